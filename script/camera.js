@@ -0,0 +1,213 @@
+/**The `Camera` class holds the position and size of the `Canvas` viewport.
+ * Zooming is animated smoothly in logarithmic space so it can cross many orders of magnitude,
+ * and the camera can follow any `Object` in the scene graph.
+ */
+class Camera {
+	/**Creates a `Camera` class that holds the position and size of the `Canvas` viewport.
+	 *
+	 * @param {number} x The horizontal center of the viewport.
+	 * @param {number} y The vertical center of the viewport.
+	 * @param {number} width The half width visible in the viewport.
+	 * @param {number} height The half height visible in the viewport.
+	 * @param {number} pitch The tilt of the view away from top-down.
+	 */
+	constructor(x = 0.0, y = 0.0, width = 1.0, height = 1.0, pitch = 0.0) {
+		this.x = x
+		this.y = y
+		this.width = width
+		this.height = height
+		this.pitch = pitch
+
+		// The zoom factor left to animate and the point it is centered on.
+		this.zoom_remaining = 1.0
+		this.zoom_anchor = null
+
+		// The followed object and the offset to it that is eased towards zero.
+		this.target = null
+		this.offset = null
+
+		this.smoothing = 8.0
+		this.min_width = 1e-6
+		this.max_width = 1e15
+	}
+
+	/**The `zoom` function scales the viewport by `factor` around a anchor point.
+	 * A factor less then one zooms in.
+	 *
+	 * @param {number} factor The amount to scale the viewport by.
+	 * @param {object} anchor The world point to keep in place, the camera center by default.
+	 * @param {boolean} smooth Whether or not to animate the zoom (**true** by default).
+	 */
+	zoom(factor, anchor = null, smooth = true) {
+		// Keep the final size within the zoom limits.
+		const width = this.width * this.zoom_remaining
+		factor = Math.min(Math.max(width * factor, this.min_width), this.max_width) / width
+
+		if (smooth) {
+			this.zoom_remaining *= factor
+			this.zoom_anchor = anchor
+		} else this.apply_zoom(factor, anchor)
+	}
+
+	/**The `apply_zoom` function scales the viewport immediately.
+	 *
+	 * @param {number} factor The amount to scale the viewport by.
+	 * @param {object} anchor The world point to keep in place.
+	 */
+	apply_zoom(factor, anchor) {
+		this.width *= factor
+		this.height *= factor
+
+		// Followed objects stay in place so only the offset to them is scaled.
+		if (this.target) {
+			if (this.offset) {
+				this.offset.x *= factor
+				this.offset.y *= factor
+			}
+		} else if (anchor) {
+			this.x = anchor.x + (this.x - anchor.x) * factor
+			this.y = anchor.y + (this.y - anchor.y) * factor
+		}
+	}
+
+	/**The `pan` function moves the viewport and stops following any object.
+	 *
+	 * @param {number} x The horizontal distance in world units.
+	 * @param {number} y The vertical distance in world units.
+	 */
+	pan(x, y) {
+		this.follow(null)
+		this.x += x
+		this.y += y
+	}
+
+	/**The `follow` function locks the camera onto a object in the scene graph.
+	 * The camera eases over from its current position.
+	 *
+	 * @param {Object} target The object to follow, or **null** to stop following.
+	 */
+	follow(target) {
+		this.target = target
+		this.offset = null
+	}
+
+	/**The `update` function animates the zoom and moves the camera to the followed object.
+	 * It is called by the `Canvas` after all its children have been updated.
+	 *
+	 * @param {Canvas} canvas The canvas the camera belongs to.
+	 */
+	update(canvas) {
+		const t = 1.0 - Math.exp(-this.smoothing * canvas.delta)
+
+		if (this.zoom_remaining !== 1.0) {
+			let factor = Math.pow(this.zoom_remaining, t)
+			this.zoom_remaining /= factor
+
+			// Snap the last bit of the animation.
+			if (Math.abs(Math.log(this.zoom_remaining)) < 1e-4) {
+				factor *= this.zoom_remaining
+				this.zoom_remaining = 1.0
+			}
+
+			this.apply_zoom(factor, this.zoom_anchor)
+		}
+
+		if (this.target) {
+			const { x, y } = canvas.world_position(this.target)
+			if (!this.offset) this.offset = { x: this.x - x, y: this.y - y }
+
+			this.offset.x *= 1.0 - t
+			this.offset.y *= 1.0 - t
+			this.x = x + this.offset.x
+			this.y = y + this.offset.y
+		}
+	}
+}
+
+/**The `CameraControls` class lets the user move the `Camera` of a `Canvas`
+ * with mouse drag, mouse wheel and touch pinch gestures.
+ */
+class CameraControls {
+	/**Creates a `CameraControls` class that listens to the input events of the canvas element.
+	 *
+	 * @param {Canvas} canvas The canvas to control the camera of.
+	 * @param {number} wheel_speed The zoom speed of the mouse wheel.
+	 */
+	constructor(canvas, wheel_speed = 0.002) {
+		this.canvas = canvas
+		this.wheel_speed = wheel_speed
+		this.pointers = new Map()
+
+		const element = canvas.element
+		element.addEventListener("pointerdown", e => this.pointerdown(e))
+		element.addEventListener("pointermove", e => this.pointermove(e))
+		element.addEventListener("pointerup", e => this.pointerup(e))
+		element.addEventListener("pointercancel", e => this.pointerup(e))
+		element.addEventListener("wheel", e => this.wheel(e), { passive: false })
+	}
+
+	/**The `pointerdown` function starts tracking a pressed pointer.
+	 *
+	 * @param {PointerEvent} event The pointer event.
+	 */
+	pointerdown(event) {
+		// Presses taken by other controls, like the handles of a `ManoeuvrePlanner`, do not move the camera.
+		if (event.defaultPrevented) return
+
+		this.canvas.element.setPointerCapture(event.pointerId)
+		this.pointers.set(event.pointerId, { x: event.offsetX, y: event.offsetY })
+	}
+
+	/**The `pointermove` function pans the camera when one pointer is dragged, and zooms it when two are pinched.
+	 *
+	 * @param {PointerEvent} event The pointer event.
+	 */
+	pointermove(event) {
+		const last = this.pointers.get(event.pointerId)
+		if (!last) return
+
+		const point = { x: event.offsetX, y: event.offsetY }
+		const camera = this.canvas.camera
+
+		if (this.pointers.size === 1) {
+			// Dragging moves the world along with the pointer.
+			const from = this.canvas.screen_to_world(last)
+			const to = this.canvas.screen_to_world(point)
+			camera.pan(from.x - to.x, from.y - to.y)
+		} else if (this.pointers.size === 2) {
+			// Pinching zooms around the center between the two pointers.
+			const other = [...this.pointers].find(([id]) => id !== event.pointerId)[1]
+			const before = Math.hypot(last.x - other.x, last.y - other.y)
+			const after = Math.hypot(point.x - other.x, point.y - other.y)
+
+			if (before > 0.0 && after > 0.0) {
+				const center = this.canvas.screen_to_world({
+					x: (point.x + other.x) / 2.0,
+					y: (point.y + other.y) / 2.0,
+				})
+				camera.zoom(before / after, center, false)
+			}
+		}
+
+		this.pointers.set(event.pointerId, point)
+	}
+
+	/**The `pointerup` function stops tracking a released or cancelled pointer.
+	 *
+	 * @param {PointerEvent} event The pointer event.
+	 */
+	pointerup(event) {
+		this.pointers.delete(event.pointerId)
+	}
+
+	/**The `wheel` function zooms the camera around the point under the pointer.
+	 *
+	 * @param {WheelEvent} event The wheel event.
+	 */
+	wheel(event) {
+		event.preventDefault()
+
+		const anchor = this.canvas.screen_to_world({ x: event.offsetX, y: event.offsetY })
+		this.canvas.camera.zoom(Math.exp(event.deltaY * this.wheel_speed), anchor)
+	}
+}
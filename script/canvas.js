@@ -1,49 +1,81 @@
+/**The render layers drawn by `Canvas.redraw` in order, each with the name of the function children draw into it with.
+ * Every layer is a pass of its own over all the children, so a orbit is always beneath every body and a label above them,
+ * however the scene graph is nested.
+ */
+const RENDER_LAYERS = [
+	["background", "draw_background"],
+	["orbits", "draw_orbits"],
+	["bodies", "draw"],
+	["labels", "draw_labels"],
+	["overlay", "draw_overlay"],
+]
+
 /**The `Canvas` class encapsulates and provides helper
  * functions to make it easier to animate a HTML canvas.
+ *
+ * Besides a HTML canvas it can draw on a `OffscreenCanvas`, like in a _Web Worker_,
+ * or straight onto any 2D context like object, like a `HeadlessContext` in tests.
+ * Without a HTML canvas it is not resized by the page and is driven frame by frame with `advance` or `step`.
  */
 class Canvas {
 	/**Creates `Canvas` class object that encapsulates and provides helper
 	 * functions to make it easier to animate a HTML canvas.
 	 *
-	 * @param {HTMLCanvasElement | string} element The HTML canvas
+	 * @param {HTMLCanvasElement | OffscreenCanvas | CanvasRenderingContext2D | string} element The HTML canvas,
+	 * or its id, a offscreen canvas, or a 2D context whose `canvas` has the `width` and `height` to draw.
 	 * @param {string} clearColor The clear color
-	 * @param {object} camera The camera position of the canvas viewport
-	 */
-	constructor(
-		element,
-		clearColor = "#888888",
-		camera = {
-			x: 0.0,
-			y: 0.0,
-			width: 1.0,
-			height: 1.0,
-		}
-	) {
+	 * @param {Camera} camera The camera position of the canvas viewport,
+	 * the `pitch` tilts the view away from top-down.
+	 */
+	constructor(element, clearColor = "#888888", camera = new Camera()) {
 		// Set element.
 		if (typeof element == "string") this.element = document.getElementById(element)
 		else this.element = element
 
-		// Set context.
-		this.context = this.element.getContext("2d")
+		// Set context, or the element of a context given directly.
+		if (this.element.getContext) this.context = this.element.getContext("2d")
+		else {
+			this.context = this.element
+			this.element = this.context.canvas
+		}
 		this.context.imageSmoothingEnabled = true
 		this.context.imageSmoothingQuality = "high"
 		this.clearColor = clearColor
 
-		// Set camera and children.
+		// Set camera and children, with the names of the `RENDER_LAYERS` that are not drawn.
 		this.camera = camera
 		this.children = []
+		this.hidden_layers = new Set()
 
-		// Set time.
+		// Set wall time and simulation clock.
 		this.time = 0.0
 		this.delta = 0.0
+		this.clock = new Clock()
+
+		// Updates run at a fixed rate while animating, and are drawn interpolated by `alpha` between the last two.
+		this.timestep = new FixedTimestep()
+		this.alpha = 1.0
+		this.ticks = 0
+
+		// Only a HTML canvas is laid out by the page, the size of the others is set with `resize`.
+		if (typeof Element !== "undefined" && this.element instanceof Element) {
+			this.resizeObserver = new ResizeObserver(e => {
+				for (const entry of e)
+					this.resize(entry.contentRect.width, entry.contentRect.height)
+			})
+			this.resizeObserver.observe(this.element)
+		}
+	}
 
-		this.resizeObserver = new ResizeObserver(e => {
-			for (const entry of e) {
-				entry.target.width = entry.contentRect.width
-				entry.target.height = entry.contentRect.height
-			}
-			if (!this.animate) this.redraw()
-		}).observe(this.element)
+	/**The `resize` function sets the size of the canvas in pixels, and redraws it unless animating.
+	 *
+	 * @param {number} width The width in pixels.
+	 * @param {number} height The height in pixels.
+	 */
+	resize(width, height) {
+		this.element.width = width
+		this.element.height = height
+		if (!this.animate) this.redraw()
 	}
 
 	/**The `animation` function assigns a funtion that is called each time a frame i drawn.
@@ -56,51 +88,105 @@ class Canvas {
 		this.animate = animate
 		this.animationFunction = animationFunction
 
-		if (animate) play()
-		else redraw()
+		if (animate) this.play()
+		else this.redraw()
 	}
 
 	/**The `play` function when called starts animating the canvas.
+	 * Each animation frame advances by the wall time since the last one, taken from the high resolution
+	 * timestamp of `requestAnimationFrame`, see `advance`.
 	 */
 	play() {
 		this.animate = true
-		var laststamp = null
+		let laststamp = null
 
-		const callback = () => {
-			// Get timestamp
-			const timestamp = new Date()
-			if (laststamp === null) laststamp = timestamp
+		// Only the loop of the last call keeps going, in case it is played again before a frame of the paused loop.
+		const playing = {}
+		this.playing = playing
 
-			// Calculate delta time
-			const delta = Math.max(0.0001, (timestamp - laststamp) / 1000.0)
+		const callback = timestamp => {
+			if (!this.animate || this.playing !== playing) return
 
-			// Step
-			this.step(delta)
-
-			// Request next frame
-			if (this.animate) requestAnimationFrame(callback)
-
-			// Set last timestamp
+			// Calculate delta time, the first frame only starts the timer.
+			if (laststamp === null) laststamp = timestamp
+			const delta = (timestamp - laststamp) / 1000.0
 			laststamp = timestamp
+
+			this.advance(delta)
+			requestAnimationFrame(callback)
 		}
 
-		callback()
+		requestAnimationFrame(callback)
+	}
+
+	/**The `advance` function runs as many fixed `timestep` updates as fit in the wall time `delta` and then redraws,
+	 * with the children drawn part way between their last two updates.
+	 * The updates are independent of the frame rate, so the simulation is deterministic.
+	 *
+	 * @param {number} delta The wall time in seconds since the last frame.
+	 */
+	advance(delta) {
+		const steps = this.timestep.advance(delta)
+		for (let i = 0; i < steps; i++) this.tick(this.timestep.delta)
+
+		this.alpha = this.timestep.alpha
+		this.redraw()
 	}
 
 	/**The `step` function steps the forward in time by `delta` amount and then redraws.
+	 * The wall time `time` advances by `delta` while the simulation `clock` advances by its warped time.
 	 *
 	 * @param {number} delta The amount of time in seconds to step forward.
 	 */
 	step(delta) {
+		this.tick(delta)
+
+		this.alpha = 1.0
+		this.redraw()
+	}
+
+	/**The `tick` function steps the forward in time by `delta` amount and updates the children, without redrawing.
+	 * The position of each child before the update is kept as its `previous` state to interpolate from.
+	 * The `ticks` made so far are counted, so inputs can be recorded against the update they came before.
+	 *
+	 * @param {number} delta The amount of time in seconds to step forward.
+	 */
+	tick(delta) {
 		this.time += delta
 		this.delta = delta
+		this.clock.step(delta)
 
+		this.keep_previous()
 		this.update()
-		this.redraw()
+		this.ticks++
+	}
+
+	/**The `keep_previous` function keeps the current position and parent of every child as its `previous` state.
+	 */
+	keep_previous() {
+		const recursive = entity => {
+			entity.previous = { x: entity.x, y: entity.y, parent: entity.parent }
+			if (entity.children) entity.children.forEach(child => recursive(child))
+		}
+		this.children.forEach(entity => recursive(entity))
+	}
+
+	/**The `jump_to` function sets the simulation `clock` to a given time and updates all the children.
+	 * Nothing is stepped through in between so the children are expected to be analytic.
+	 *
+	 * @param {number} time The simulation time in seconds.
+	 */
+	jump_to(time) {
+		this.clock.jump_to(time)
+
+		this.update()
+		this.keep_previous()
+		if (!this.animate) this.redraw()
 	}
 
 	/**The `update` function runs the `update` funtion on all the child.
 	 * ellements that have been attached with the `add_child` function.
+	 * Thereafter the `camera` is updated so it can follow the moved children.
 	 */
 	update() {
 		const recursive = entity => {
@@ -108,30 +194,61 @@ class Canvas {
 			if (entity.children) entity.children.forEach(child => recursive(child))
 		}
 		this.children.forEach(entity => recursive(entity))
+
+		if (this.camera.update) this.camera.update(this)
 	}
 
-	/**The `redraw` function redraws the canvas by calling the draw function on.
+	/**The `redraw` function redraws the canvas by calling the draw functions of
 	 * all the child ellements that have been attached with the `add_child` function.
-	 * And thereafter calls the `animationFunction`.
+	 * The `transform` of every child is found first, after which each of the `RENDER_LAYERS` is drawn in turn,
+	 * with the children in order of their `z_index` and otherwise depth first, each drawn in its own transform.
+	 * And thereafter calls the `animationFunction`, which draws above all the layers.
 	 */
 	redraw() {
 		this.clear()
 
+		const entities = []
 		const recursive = entity => {
 			this.context.save()
 			this.transform(entity)
 			entity.transform = this.context.getTransform()
+			entities.push(entity)
 
-			if (entity.draw) entity.draw(this)
 			if (entity.children) entity.children.forEach(child => recursive(child))
-
 			this.context.restore()
 		}
 		this.children.forEach(object => recursive(object))
 
+		// The sort is stable, so children of the same `z_index` keep their depth first order.
+		entities.sort((a, b) => (a.z_index ?? 0) - (b.z_index ?? 0))
+		for (const [layer, name] of RENDER_LAYERS) {
+			if (this.hidden_layers.has(layer)) continue
+
+			for (const entity of entities) {
+				if (!entity[name]) continue
+
+				this.context.save()
+				this.context.setTransform(entity.transform)
+				entity[name](this)
+				this.context.restore()
+			}
+		}
+
 		if (this.animationFunction) this.animationFunction(this, this.context)
 	}
 
+	/**The `toggle_layer` function shows or hides one of the `RENDER_LAYERS`.
+	 *
+	 * @param {string} layer The name of the layer.
+	 * @returns {boolean} Whether or not the layer is shown now.
+	 */
+	toggle_layer(layer) {
+		if (this.hidden_layers.has(layer)) this.hidden_layers.delete(layer)
+		else this.hidden_layers.add(layer)
+		if (!this.animate) this.redraw()
+		return !this.hidden_layers.has(layer)
+	}
+
 	/**The `clear` function clears the canvas and then fills it with the `clearColor`.
 	 */
 	clear() {
@@ -144,14 +261,143 @@ class Canvas {
 		this.context.translate(this.element.width / 2.0, this.element.height / 2.0)
 
 		// Calculate and set the zoom level that can fit the camera width and height.
-		const zoom = Math.min(
+		const zoom = this.get_zoom()
+		this.context.scale(zoom, -zoom)
+
+		// Translate the canvas to the camera position, moved along with the interpolation of a followed object.
+		let { x, y } = this.camera
+		if (this.camera.target) {
+			const drawn = this.world_position(this.camera.target, true)
+			const updated = this.world_position(this.camera.target)
+			x += drawn.x - updated.x
+			y += drawn.y - updated.y
+		}
+		this.context.translate(-x, -y)
+	}
+
+	/**The `get_zoom` function gets the zoom level that can fit the camera width and height.
+	 *
+	 * @returns {number} The number of pixels per world unit.
+	 */
+	get_zoom() {
+		return Math.min(
 			this.element.width / this.camera.width / 2.0,
 			this.element.height / this.camera.height / 2.0
 		)
-		this.context.scale(zoom, -zoom)
+	}
+
+	/**The `screen_to_world` function converts a point in canvas pixels into world coordinates.
+	 *
+	 * @param {object} point The point with `x` and `y` pixel coordinates.
+	 * @returns {object} The point in world coordinates.
+	 */
+	screen_to_world({ x, y }) {
+		const zoom = this.get_zoom()
+
+		return {
+			x: (x - this.element.width / 2.0) / zoom + this.camera.x,
+			y: -(y - this.element.height / 2.0) / zoom + this.camera.y,
+		}
+	}
+
+	/**The `world_position` function gets the position of a child in world coordinates.
+	 * It follows the same nested transform chain as `redraw` from the child up to the canvas.
+	 *
+	 * @param {Object} entity The child object.
+	 * @param {boolean} interpolated Whether to take the drawn position, see `interpolate`, or the updated one.
+	 * @returns {object} The point in world coordinates.
+	 */
+	world_position(entity, interpolated = false) {
+		let x = 0.0
+		let y = 0.0
+
+		for (let current = entity; current && current !== this; current = current.parent) {
+			const position = interpolated ? this.interpolate(current) : current
+			x += position.x || 0.0
+			y += position.y || 0.0
+
+			if (current.rotation) {
+				const cos = Math.cos(current.rotation)
+				const sin = Math.sin(current.rotation)
+				const rotated_x = x * cos - y * sin
+				y = x * sin + y * cos
+				x = rotated_x
+			}
+		}
+
+		return { x, y }
+	}
+
+	/**The `local_point` function maps a point in canvas pixels back through
+	 * the inverse of the `transform` recorded for a child during the last `redraw`.
+	 *
+	 * @param {Object} entity The child object.
+	 * @param {object} point The point with `x` and `y` pixel coordinates.
+	 * @returns {object | null} The point in the local coordinates of the child, or **null** if not drawn yet.
+	 */
+	local_point(entity, { x, y }) {
+		if (!entity.transform) return null
+
+		const { a, b, c, d, e, f } = entity.transform
+		const determinant = a * d - b * c
 
-		// Translate the canvas to the camera position.
-		this.context.translate(-this.camera.x, -this.camera.y)
+		return {
+			x: (d * (x - e) - c * (y - f)) / determinant,
+			y: (a * (y - f) - b * (x - e)) / determinant,
+		}
+	}
+
+	/**The `pick` function finds the child under a point in canvas pixels.
+	 * Children with a `hit_test` function are tested first, thereafter the paths of
+	 * children with a `hit_test_orbit` function. Later drawn children win ties.
+	 *
+	 * @param {object} point The point with `x` and `y` pixel coordinates.
+	 * @param {number} tolerance The distance in pixels a hit can miss by.
+	 * @returns {object | null} Object with the `target`, its `type` and `distance`, or **null** if nothing was hit.
+	 */
+	pick(point, tolerance = 6.0) {
+		const entities = []
+		const recursive = entity => {
+			entities.push(entity)
+			if (entity.children) entity.children.forEach(child => recursive(child))
+		}
+		this.children.forEach(entity => recursive(entity))
+
+		let best = null
+		for (const entity of entities) {
+			if (!entity.hit_test) continue
+
+			const distance = Math.max(entity.hit_test(this, point), 0.0)
+			if (distance <= tolerance && (!best || distance <= best.distance))
+				best = { target: entity, type: "body", distance }
+		}
+		if (best) return best
+
+		for (const entity of entities) {
+			if (!entity.hit_test_orbit) continue
+
+			const hit = entity.hit_test_orbit(this, point)
+			if (hit.distance <= tolerance && (!best || hit.distance <= best.distance))
+				best = { target: entity, type: "orbit", ...hit }
+		}
+		return best
+	}
+
+	/**The `project` function projects a 3D point onto the 2D canvas plane.
+	 * The projection is orthographic, looking top-down when the camera `pitch` is zero
+	 * and tilting the reference plane towards the viewer as it increases.
+	 *
+	 * @param {object} point The point with `x`, `y` and optional `z` coordinates.
+	 * @returns {object} The projected point with `x` and `y` coordinates.
+	 */
+	project({ x, y, z = 0.0 }) {
+		const pitch = this.camera.pitch || 0.0
+		if (!pitch) return { x, y }
+
+		return {
+			x,
+			y: y * Math.cos(pitch) + z * Math.sin(pitch),
+		}
 	}
 
 	/**The `pause` funtion when called stops the canvas from animating.
@@ -160,15 +406,31 @@ class Canvas {
 		this.animate = false
 	}
 
+	/**The `interpolate` function gets the drawn position of a child, part way by `alpha` from its `previous` state
+	 * to its current one. Children that changed parent since, like on entering a sphere of influence, are not interpolated.
+	 *
+	 * @param {Object} entity The child object.
+	 * @returns {object} The point with `x` and `y` coordinates relative to the parent.
+	 */
+	interpolate(entity) {
+		const previous = entity.previous
+		if (this.alpha >= 1.0 || !previous || previous.parent !== entity.parent)
+			return { x: entity.x, y: entity.y }
+
+		const lerp = (from, to) => (from || 0.0) + ((to || 0.0) - (from || 0.0)) * this.alpha
+		return { x: lerp(previous.x, entity.x), y: lerp(previous.y, entity.y) }
+	}
+
 	/**The `transform` function transforms the canvas to center the
-	 * drawcals to be centered at the `x` and `y` coordinates.
+	 * drawcals to be centered at the interpolated `x` and `y` coordinates.
 	 * Well as rotating the coordinates by `rotation` angle.
 	 *
 	 * @param {Object} data
 	 */
 	transform(data) {
+		const { x, y } = this.interpolate(data)
 		if (data.rotation) this.context.rotate(data.rotation)
-		if (data.x && data.y) this.context.translate(data.x, data.y)
+		if (x || y) this.context.translate(x || 0.0, y || 0.0)
 	}
 
 	/**The `add_child` function adds a child to the `Canvas` object.
@@ -189,7 +451,7 @@ class Canvas {
 	 * @param {Object} child The child objet to be removed
 	 */
 	remove_child(child) {
-		this.children = this.children.filter(child => child !== child)
+		this.children = this.children.filter(other => other !== child)
 		child.parent = null
 	}
 }
@@ -200,12 +462,14 @@ class Canvas {
 class Object {
 	/**Creates a `Object` class that encapsulates and provides helper functions for a `Canvas` class object.
 	 *
-	 * @param {Object} data Object params with `x`, `y`, `rotation` and `parent` attributes.
+	 * @param {Object} data Object params with `x`, `y`, `rotation` and `parent` attributes,
+	 * and the `z_index` it is drawn at in each of the `RENDER_LAYERS`, higher above lower.
 	 */
 	constructor(data) {
 		this.x = data.x
 		this.y = data.y
 		this.rotation = data.rotation
+		this.z_index = data.z_index ?? 0
 
 		this.children = []
 		this.set_parent(data?.parent)
@@ -228,7 +492,7 @@ class Object {
 	 * @param {Object} childThe child to be removed.
 	 */
 	remove_child(child) {
-		this.children = this.children.filter(child => child !== child)
+		this.children = this.children.filter(other => other !== child)
 		child.parent = null
 	}
 
@@ -0,0 +1,47 @@
+test(render_layers_test)
+function render_layers_test() {
+	const canvas = new Canvas(new HeadlessContext(100, 100))
+	const drawn = []
+	const entity = (name, data, layers) => {
+		const entity = new Object(data)
+		for (const layer of layers)
+			entity[layer] = canvas => {
+				assert.deepEqual(
+					canvas.context.getTransform(),
+					entity.transform,
+					`${name} is not drawn in its own transform!`
+				)
+				drawn.push(`${name}.${layer}`)
+			}
+		return entity
+	}
+
+	// A moon nested in a planet, and a label above the star drawn first in the tree.
+	const star = entity("star", { x: 0, y: 0, parent: canvas }, ["draw", "draw_labels"])
+	const planet = entity("planet", { x: 2, y: 0, parent: star }, ["draw_orbits", "draw"])
+	entity("moon", { x: 1, y: 0, parent: planet }, ["draw_orbits", "draw"])
+	entity("craft", { x: 0, y: 1, parent: star, z_index: 1 }, ["draw_orbits", "draw"])
+	entity("backdrop", { x: 0, y: 0, parent: canvas, z_index: -1 }, ["draw_background"])
+
+	canvas.redraw()
+	assert.deepEqual(
+		drawn,
+		[
+			"backdrop.draw_background",
+			"planet.draw_orbits",
+			"moon.draw_orbits",
+			"craft.draw_orbits",
+			"star.draw",
+			"planet.draw",
+			"moon.draw",
+			"craft.draw",
+			"star.draw_labels",
+		],
+		"The layers are not drawn in order!"
+	)
+
+	drawn.length = 0
+	assert.equal(canvas.toggle_layer("orbits"), false, "The orbits layer was not hidden!")
+	assert(!drawn.some(call => call.endsWith("draw_orbits")), "A hidden layer was drawn!")
+	assert.equal(canvas.toggle_layer("orbits"), true, "The orbits layer was not shown again!")
+}
@@ -0,0 +1,438 @@
+/**The formats a capture can be exported as, a single `"png"` screenshot, a `"zip"` of _PNG_ frames or a `"webm"` video.
+ */
+const CAPTURE_FORMATS = ["png", "zip", "webm"]
+
+/**The most frames a `FrameCapture` makes, a minute of video at 60 frames per second,
+ * as every frame is kept in memory until the export is done.
+ */
+const CAPTURE_MAX_FRAMES = 3600
+
+/**The table of the _CRC-32_ remainders of every byte, see `crc32`.
+ */
+const CRC32_TABLE = (() => {
+	const table = new Uint32Array(256)
+	for (let n = 0; n < 256; n++) {
+		let c = n
+		for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+		table[n] = c >>> 0
+	}
+	return table
+})()
+
+/**The `crc32` function gets the _[CRC-32](https://en.wikipedia.org/wiki/Cyclic_redundancy_check)_ checksum of bytes,
+ * the one used by _ZIP_ and _PNG_ files.
+ *
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {number} The checksum as a unsigned 32 bit integer.
+ */
+function crc32(bytes) {
+	let crc = 0xffffffff
+	for (const byte of bytes) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+	return (crc ^ 0xffffffff) >>> 0
+}
+
+/**The `create_zip` function packs files into a _[ZIP](https://en.wikipedia.org/wiki/ZIP_(file_format))_ archive.
+ * The files are stored without compression, as _PNG_ frames are compressed already.
+ *
+ * @param {object[]} files The files, each with a `name` and its `data` as bytes.
+ * @param {Date} date The modification date written for every file.
+ * @returns {Uint8Array} The archive.
+ */
+function create_zip(files, date = new Date()) {
+	const encoder = new TextEncoder()
+	// The MS-DOS time and date, in two second steps from 1980.
+	const time =
+		(date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2)
+	const day =
+		((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+		((date.getMonth() + 1) << 5) |
+		date.getDate()
+
+	const entries = files.map(({ name, data }) => ({
+		name: encoder.encode(name),
+		data,
+		crc: crc32(data),
+	}))
+	const local_size = entries.reduce(
+		(sum, { name, data }) => sum + 30 + name.length + data.length,
+		0
+	)
+	const central_size = entries.reduce((sum, { name }) => sum + 46 + name.length, 0)
+
+	const bytes = new Uint8Array(local_size + central_size + 22)
+	const view = new DataView(bytes.buffer)
+	let offset = 0
+	const write = (size, ...values) => {
+		for (const value of values) {
+			if (size === 2) view.setUint16(offset, value, true)
+			else view.setUint32(offset, value, true)
+			offset += size
+		}
+	}
+	const write_bytes = data => {
+		bytes.set(data, offset)
+		offset += data.length
+	}
+
+	// The version 2.0 and the flag for _UTF-8_ names are shared by the headers.
+	const header = ({ name, data, crc }) => {
+		write(2, 20, 0x0800, 0, time, day)
+		write(4, crc, data.length, data.length)
+		write(2, name.length, 0)
+	}
+
+	const offsets = entries.map(entry => {
+		const start = offset
+		write(4, 0x04034b50)
+		header(entry)
+		write_bytes(entry.name)
+		write_bytes(entry.data)
+		return start
+	})
+
+	entries.forEach((entry, i) => {
+		write(4, 0x02014b50)
+		write(2, 20)
+		header(entry)
+		write(2, 0, 0, 0)
+		write(4, 0, offsets[i])
+		write_bytes(entry.name)
+	})
+
+	write(4, 0x06054b50)
+	write(2, 0, 0, entries.length, entries.length)
+	write(4, central_size, local_size)
+	write(2, 0)
+	return bytes
+}
+
+/**The `validate_capture_size` function checks the size of a capture and lists every problem found.
+ *
+ * @param {number} width The width in pixels.
+ * @param {number} height The height in pixels.
+ * @returns {string[]} The problems found, empty when the size is valid.
+ */
+function validate_capture_size(width, height) {
+	const errors = []
+	for (const [key, value] of [
+		["width", width],
+		["height", height],
+	])
+		if (!Number.isInteger(value) || value <= 0)
+			errors.push(`${key}: Must be a whole number of pixels above 0`)
+	return errors
+}
+
+/**The `capture_png` function gets what is drawn on a canvas as a _PNG_ image.
+ * The image is taken when called, so the canvas can be drawn on again before it is encoded.
+ *
+ * @param {Canvas} canvas The canvas, drawing on a HTML canvas or a `OffscreenCanvas`.
+ * @returns {Promise<Uint8Array>} The image.
+ */
+async function capture_png(canvas) {
+	const element = canvas.element
+	const blob = element.convertToBlob
+		? await element.convertToBlob({ type: "image/png" })
+		: await new Promise((resolve, reject) =>
+				element.toBlob(
+					blob => (blob ? resolve(blob) : reject(new Error("The canvas is empty."))),
+					"image/png"
+				)
+		  )
+	return new Uint8Array(await blob.arrayBuffer())
+}
+
+/**The `capture_screenshot` function gets the current view of a canvas as a _PNG_ image,
+ * drawn at another resolution than the canvas has if given.
+ * The view is drawn and taken when called, only the encoding is waited for.
+ *
+ * @param {Canvas} canvas The canvas.
+ * @param {number} width The width in pixels, the one of the canvas by default.
+ * @param {number} height The height in pixels, the one of the canvas by default.
+ * @returns {Promise<Uint8Array>} The image.
+ * @throws {CaptureOptionsError} When the size is not valid, as a rejection.
+ */
+async function capture_screenshot(
+	canvas,
+	width = canvas.element.width,
+	height = canvas.element.height
+) {
+	const errors = validate_capture_size(width, height)
+	if (errors.length > 0) throw new CaptureOptionsError(errors)
+
+	const size = { width: canvas.element.width, height: canvas.element.height }
+
+	canvas.resize(width, height)
+	if (canvas.animate) canvas.redraw()
+	const png = capture_png(canvas)
+
+	canvas.resize(size.width, size.height)
+	if (canvas.animate) canvas.redraw()
+	return png
+}
+
+/**The `CaptureOptionsError` class is thrown when the options of a `FrameCapture` are not valid.
+ * The `errors` array holds every problem found, each prefixed with the name of the offending option.
+ */
+class CaptureOptionsError extends Error {
+	/**Creates a `CaptureOptionsError` class listing every problem found in the options.
+	 *
+	 * @param {string[]} errors The problems found.
+	 */
+	constructor(errors) {
+		super(`Invalid capture options:\n${errors.map(error => `- ${error}`).join("\n")}`)
+		this.name = "CaptureOptionsError"
+		this.errors = errors
+	}
+}
+
+/**The `FrameCapture` class renders the frames of a video of a canvas, independent of the frame rate it is shown at.
+ * Every frame steps the canvas with `Canvas.step` by the wall time of a video frame, so the simulation advances
+ * by the `warp` times that and is drawn with `Canvas.redraw` exactly as when playing.
+ * At 60 frames per second the frames are the same updates the canvas makes while playing, see `FixedTimestep`.
+ *
+ * The simulation goes on from the `end` of the capture afterwards, with the size, time warp and
+ * animation of the canvas as they were before.
+ * ```
+ * const capture = new FrameCapture(canvas, { width: 1920, height: 1080, end: canvas.clock.time + 3600, warp: 600 })
+ * download_file(await capture.to_zip(), "frames.zip", "application/zip")
+ * ```
+ * A `"frame"` event is dispatched as each frame is drawn, with its `index`, the `count` of frames and the simulation `time`.
+ */
+class FrameCapture extends EventTarget {
+	/**Creates a `FrameCapture` class, with any option left out taken from the canvas.
+	 *
+	 * @param {Canvas} canvas The canvas to capture.
+	 * @param {object} options Object with the `width` and `height` of the frames in pixels,
+	 * the `start` and `end` simulation times in seconds, ten seconds of video from the current time by default,
+	 * the time `warp` factor and the `fps` frames per second of video, 60 by default.
+	 * @throws {CaptureOptionsError} When the options are not valid.
+	 */
+	constructor(canvas, options = {}) {
+		super()
+		this.canvas = canvas
+		this.width = options.width ?? canvas.element.width
+		this.height = options.height ?? canvas.element.height
+		this.warp = options.warp ?? canvas.clock.warp
+		this.fps = options.fps ?? 60.0
+		this.start = options.start ?? canvas.clock.time
+		this.end = options.end ?? this.start + this.warp * 10.0
+
+		const errors = validate_capture_size(this.width, this.height)
+		if (!Number.isFinite(this.fps) || this.fps <= 0.0)
+			errors.push("fps: Must be a number above 0")
+		if (!Number.isFinite(this.warp) || this.warp === 0.0)
+			errors.push("warp: Must be a number other than 0")
+		for (const key of ["start", "end"])
+			if (!Number.isFinite(this[key])) errors.push(`${key}: Must be a number of seconds`)
+		if (errors.length > 0) throw new CaptureOptionsError(errors)
+
+		// The first frame is drawn at the start, and every next one a video frame later up to the end.
+		const duration = (this.end - this.start) / this.warp
+		this.count = Math.floor(duration * this.fps + 1e-9) + 1
+		if (duration < 0.0)
+			errors.push("end: Must come after the start in the direction of the warp")
+		else if (this.count > CAPTURE_MAX_FRAMES)
+			errors.push(`end: Must be at most ${CAPTURE_MAX_FRAMES} frames after the start`)
+		if (errors.length > 0) throw new CaptureOptionsError(errors)
+
+		this.cancelled = false
+	}
+
+	/**The `cancel` function stops the capture before its next frame, the export then gets **null**.
+	 */
+	cancel() {
+		this.cancelled = true
+	}
+
+	/**The `frames` generator draws the frames one by one, the canvas shows each frame until the next is drawn.
+	 * The canvas stops animating until the generator is done, or left early.
+	 *
+	 * @yields {object} Object with the `index` and the simulation `time` of the frame.
+	 */
+	*frames() {
+		const canvas = this.canvas
+		const animate = canvas.animate
+		const size = { width: canvas.element.width, height: canvas.element.height }
+		const { warp, paused } = canvas.clock
+
+		canvas.pause()
+		try {
+			canvas.clock.resume()
+			canvas.alpha = 1.0
+			canvas.resize(this.width, this.height)
+			canvas.jump_to(this.start)
+
+			for (let index = 0; index < this.count && !this.cancelled; index++) {
+				// The warp is set for every frame, as inputs between frames could change it.
+				canvas.clock.set_warp(this.warp)
+				if (index > 0) canvas.step(1.0 / this.fps)
+
+				const frame = { index, time: canvas.clock.time }
+				this.dispatchEvent(
+					new CustomEvent("frame", { detail: { ...frame, count: this.count } })
+				)
+				yield frame
+			}
+		} finally {
+			canvas.clock.set_warp(warp)
+			if (paused) canvas.clock.pause()
+			canvas.resize(size.width, size.height)
+			if (animate) canvas.play()
+		}
+	}
+
+	/**The `to_zip` function captures every frame as a image and packs them into a _ZIP_ archive,
+	 * named by their index like `frame_00042.png`.
+	 *
+	 * @param {Function} encode The async function that gets the bytes of the image drawn on the canvas, `capture_png` by default.
+	 * @param {string} extension The file extension of the images.
+	 * @returns {Promise<Uint8Array | null>} The archive, or **null** if the capture was cancelled.
+	 */
+	async to_zip(encode = capture_png, extension = "png") {
+		const digits = Math.max(String(this.count - 1).length, 5)
+		const files = []
+		for (const { index } of this.frames()) {
+			const name = `frame_${String(index).padStart(digits, "0")}.${extension}`
+			files.push({ name, data: await encode(this.canvas) })
+		}
+		return this.cancelled ? null : create_zip(files)
+	}
+
+	/**The `to_webm` function records the frames into a _WebM_ video with the
+	 * _[MediaRecorder](https://developer.mozilla.org/en-US/docs/Web/API/MediaRecorder)_ of the browser.
+	 * The recorder times the frames by the wall time they are given at, so the capture takes as long as the video.
+	 *
+	 * @param {string} type The _MIME_ type of the video.
+	 * @returns {Promise<Blob | null>} The video, or **null** if the capture was cancelled.
+	 */
+	async to_webm(type = "video/webm") {
+		const stream = this.canvas.element.captureStream(0)
+		const [track] = stream.getVideoTracks()
+		const recorder = new MediaRecorder(stream, { mimeType: type })
+
+		const chunks = []
+		recorder.addEventListener("dataavailable", e => chunks.push(e.data))
+		const stopped = new Promise(resolve => recorder.addEventListener("stop", resolve))
+
+		const frames = this.frames()
+		try {
+			// The first frame resizes the canvas, so the video starts at the size of the frames.
+			let frame = frames.next()
+			recorder.start()
+			for (; !frame.done; frame = frames.next()) {
+				track.requestFrame()
+				await new Promise(resolve => setTimeout(resolve, 1000.0 / this.fps))
+			}
+		} finally {
+			frames.return()
+			if (recorder.state !== "inactive") {
+				recorder.stop()
+				await stopped
+			}
+			track.stop()
+		}
+		return this.cancelled ? null : new Blob(chunks, { type })
+	}
+}
+
+/**The fields of the `CapturePanel`, each with its label and the attributes of its input.
+ * The times are in simulated seconds from the current time.
+ */
+const CAPTURE_FIELDS = [
+	["Width", { name: "width", type: "number", min: 1, step: 1 }],
+	["Height", { name: "height", type: "number", min: 1, step: 1 }],
+	["From (s)", { name: "from", type: "number", step: "any" }],
+	["To (s)", { name: "to", type: "number", step: "any" }],
+	["Warp", { name: "warp", type: "number", step: "any" }],
+	["Frame rate", { name: "fps", type: "number", min: 1, step: 1 }],
+]
+
+/**The `CapturePanel` class is a form in the UI with the options to export the viewport as images or a video.
+ * Submitting it dispatches a `"export"` event with the chosen `format`, the `width`, `height`, `warp` and `fps`,
+ * and the `from` and `to` times in seconds from the current time, see `FrameCapture`.
+ */
+class CapturePanel extends EventTarget {
+	/**Creates a hidden `CapturePanel`, see `toggle`.
+	 *
+	 * @param {Node} parent The UI ellement to attach the panel to.
+	 */
+	constructor(parent) {
+		super()
+		this.status = makeNode({ tagName: "p" })
+
+		this.form = makeNode({
+			tagName: "form",
+			childNodes: [
+				{
+					tagName: "dl",
+					childNodes: [
+						...CAPTURE_FIELDS.flatMap(([label, input]) => [
+							{ tagName: "dt", textContent: label },
+							{ tagName: "dd", childNodes: [{ tagName: "input", ...input }] },
+						]),
+						{ tagName: "dt", textContent: "Format" },
+						{
+							tagName: "dd",
+							childNodes: [
+								{
+									tagName: "select",
+									name: "format",
+									childNodes: CAPTURE_FORMATS.map(format => ({
+										tagName: "option",
+										value: format,
+										textContent: format.toUpperCase(),
+									})),
+								},
+							],
+						},
+					],
+				},
+				{ tagName: "button", type: "submit", textContent: "Export" },
+			],
+			onsubmit: e => {
+				e.preventDefault()
+				const { elements } = this.form
+				const detail = { format: elements.format.value }
+				for (const [, { name }] of CAPTURE_FIELDS)
+					detail[name] = elements[name].valueAsNumber
+				this.dispatchEvent(new CustomEvent("export", { detail }))
+			},
+		})
+
+		this.element = makeNode({
+			tagName: "section",
+			parent,
+			class: ["capture", "kode-mono-400"],
+			hidden: true,
+			childNodes: [{ tagName: "h2", textContent: "Export" }, this.form, this.status],
+		})
+	}
+
+	/**The `toggle` function shows or hides the panel, filling in the size and time warp of the canvas each time it is shown
+	 * and ten seconds of video.
+	 *
+	 * @param {Canvas} canvas The canvas to export.
+	 */
+	toggle(canvas) {
+		this.element.hidden = !this.element.hidden
+		if (this.element.hidden) return
+
+		const { elements } = this.form
+		const warp = canvas.clock.warp
+		elements.width.value = canvas.element.width
+		elements.height.value = canvas.element.height
+		elements.from.value = 0
+		elements.to.value = warp * 10.0
+		elements.warp.value = warp
+		elements.fps.value = 60
+	}
+
+	/**The `show_progress` function shows how far a export is, or clears it.
+	 *
+	 * @param {object | null} frame The detail of the last `"frame"` event of the `FrameCapture`.
+	 */
+	show_progress(frame) {
+		this.status.textContent = frame ? `Frame ${frame.index + 1}/${frame.count}` : ""
+	}
+}
@@ -0,0 +1,211 @@
+test(crc32_test)
+function crc32_test() {
+	const check = new TextEncoder().encode("123456789")
+	assert.equal(crc32(check), 0xcbf43926, "The checksum is not the CRC-32 check value!")
+	assert.equal(crc32(new Uint8Array()), 0, "The checksum of nothing is not 0!")
+}
+
+test(create_zip_test)
+function create_zip_test() {
+	const files = [
+		{ name: "frame_00000.png", data: new Uint8Array([1, 2, 3]) },
+		{ name: "frame_00001.png", data: new Uint8Array([4, 5, 6, 7]) },
+	]
+	const zip = create_zip(files, new Date(2024, 5, 1, 12, 30, 10))
+	const view = new DataView(zip.buffer)
+	const decoder = new TextDecoder()
+
+	// The end record points to a central directory entry for every file, which points to its local header.
+	const end = zip.length - 22
+	assert.equal(view.getUint32(end, true), 0x06054b50, "The archive does not end in a end record!")
+	assert.equal(
+		view.getUint16(end + 10, true),
+		files.length,
+		"The archive does not list every file!"
+	)
+
+	let offset = view.getUint32(end + 16, true)
+	for (const { name, data } of files) {
+		assert.equal(
+			view.getUint32(offset, true),
+			0x02014b50,
+			"The central directory entry is missing!"
+		)
+		assert.equal(view.getUint16(offset + 14, true), 0x58c1, "The date of the file is wrong!")
+		assert.equal(
+			view.getUint32(offset + 16, true),
+			crc32(data),
+			"The checksum of the file is wrong!"
+		)
+		const length = view.getUint16(offset + 28, true)
+		assert.equal(decoder.decode(zip.subarray(offset + 46, offset + 46 + length)), name)
+
+		const local = view.getUint32(offset + 42, true)
+		assert.equal(view.getUint32(local, true), 0x04034b50, "The local header is missing!")
+		const start = local + 30 + view.getUint16(local + 26, true)
+		assert.deepEqual(zip.subarray(start, start + data.length), data, "The file data is wrong!")
+		offset += 46 + length
+	}
+	assert.equal(offset, end, "The central directory does not end at the end record!")
+}
+
+test(frame_capture_test)
+function frame_capture_test() {
+	const canvas = new Canvas(new HeadlessContext(320, 240))
+	load_system(canvas, DEMO_SYSTEM)
+	canvas.animation(null, false)
+	canvas.clock.set_warp(100.0).pause()
+
+	const start = canvas.clock.time + 5.0
+	const capture = new FrameCapture(canvas, {
+		width: 64,
+		height: 48,
+		start,
+		end: start + 20.0,
+		warp: 10.0,
+		fps: 4.0,
+	})
+	assert.equal(capture.count, 9, "The frames are not spread over the time range!")
+
+	// The same frames are drawn as by stepping the canvas at the video frame rate.
+	const expected = new Canvas(new HeadlessContext(64, 48))
+	load_system(expected, DEMO_SYSTEM)
+	expected.animation(null, false)
+	expected.clock.set_warp(10.0)
+	expected.jump_to(start)
+
+	for (const { index, time } of capture.frames()) {
+		if (index > 0) expected.step(1.0 / 4.0)
+		assert_close(
+			time,
+			start + index * 2.5,
+			1e-9,
+			"The frame is not a video frame after the last!"
+		)
+		assert.equal(
+			canvas.context.to_svg(),
+			expected.context.to_svg(),
+			`Frame ${index} is not drawn as stepped!`
+		)
+	}
+
+	// The canvas is left the way it was, at the end of the capture.
+	assert_close(canvas.clock.time, start + 20.0, 1e-9, "The capture did not end at the end time!")
+	assert.deepEqual(
+		canvas.element,
+		{ width: 320, height: 240 },
+		"The size of the canvas was not restored!"
+	)
+	assert.equal(canvas.clock.warp, 100.0, "The time warp was not restored!")
+	assert(canvas.clock.paused, "The clock was not paused again!")
+	assert(!canvas.animate, "The canvas was started by the capture!")
+}
+
+test(frame_capture_cancel_test)
+function frame_capture_cancel_test() {
+	const canvas = new Canvas(new HeadlessContext())
+	load_system(canvas, DEMO_SYSTEM)
+	const capture = new FrameCapture(canvas, { warp: 1.0, end: canvas.clock.time + 1.0 })
+	assert.equal(capture.count, 61, "The capture is not at 60 frames per second by default!")
+
+	let frames = 0
+	for (const { index } of capture.frames()) {
+		frames++
+		if (index === 9) capture.cancel()
+	}
+	assert.equal(frames, 10, "The capture did not stop when cancelled!")
+}
+
+test(frame_capture_zip_test)
+async function frame_capture_zip_test() {
+	const canvas = new Canvas(new HeadlessContext(320, 240))
+	load_system(canvas, DEMO_SYSTEM)
+	canvas.animation(null, false)
+	const start = canvas.clock.time
+	const options = { width: 64, height: 48, start, end: start + 10.0, warp: 10.0, fps: 2.0 }
+
+	// Every frame is packed as the encoder got it, here as the SVG of the drawing.
+	const drawn = []
+	const encode = async canvas => {
+		drawn.push(canvas.context.to_svg())
+		return new TextEncoder().encode(drawn.at(-1))
+	}
+	const zip = await new FrameCapture(canvas, options).to_zip(encode, "svg")
+	assert.equal(drawn.length, 3, "Not every frame was encoded!")
+
+	const view = new DataView(zip.buffer)
+	const decoder = new TextDecoder()
+	let offset = view.getUint32(zip.length - 22 + 16, true)
+	drawn.forEach((svg, index) => {
+		const length = view.getUint16(offset + 28, true)
+		const name = decoder.decode(zip.subarray(offset + 46, offset + 46 + length))
+		assert.equal(name, `frame_0000${index}.svg`, "The frame is not named by its index!")
+
+		const local = view.getUint32(offset + 42, true)
+		const start = local + 30 + view.getUint16(local + 26, true)
+		const size = view.getUint32(offset + 24, true)
+		assert.equal(
+			decoder.decode(zip.subarray(start, start + size)),
+			svg,
+			`Frame ${index} is wrong!`
+		)
+		offset += 46 + length
+	})
+
+	// A cancelled capture gets nothing, and still leaves the canvas the way it was.
+	const capture = new FrameCapture(canvas, options)
+	capture.addEventListener("frame", e => {
+		if (e.detail.index === 1) capture.cancel()
+	})
+	assert.equal(await capture.to_zip(encode, "svg"), null, "The cancelled capture got a archive!")
+	assert.equal(drawn.length, 5, "The capture went on after it was cancelled!")
+	assert.deepEqual(
+		canvas.element,
+		{ width: 320, height: 240 },
+		"The size of the canvas was not restored!"
+	)
+}
+
+test(capture_screenshot_options_test)
+async function capture_screenshot_options_test() {
+	const canvas = new Canvas(new HeadlessContext(320, 240))
+
+	await assert.rejects(
+		capture_screenshot(canvas, 0, 48),
+		error =>
+			error instanceof CaptureOptionsError &&
+			error.errors.some(error => error.includes("width: Must be a whole number")),
+		"The screenshot of a invalid size was not rejected!"
+	)
+	assert.deepEqual(
+		canvas.element,
+		{ width: 320, height: 240 },
+		"The size of the canvas changed for a invalid screenshot!"
+	)
+}
+
+test(frame_capture_options_test)
+function frame_capture_options_test() {
+	const canvas = new Canvas(new HeadlessContext())
+	const expect_error = (options, expected) => {
+		assert.throws(
+			() => new FrameCapture(canvas, options),
+			error =>
+				error instanceof CaptureOptionsError &&
+				error.errors.some(error => error.includes(expected)),
+			`The error '${expected}' was not reported!`
+		)
+	}
+
+	expect_error({ width: 0 }, "width: Must be a whole number of pixels above 0")
+	expect_error({ height: 10.5 }, "height: Must be a whole number of pixels above 0")
+	expect_error({ fps: -1 }, "fps: Must be a number above 0")
+	expect_error({ warp: 0 }, "warp: Must be a number other than 0")
+	expect_error({ start: NaN }, "start: Must be a number of seconds")
+	expect_error({ start: 10, end: 0, warp: 1 }, "end: Must come after the start")
+	expect_error({ start: 0, end: 3600, warp: 1 }, "end: Must be at most 3600 frames")
+
+	// Running time in reverse captures backwards in time.
+	const capture = new FrameCapture(canvas, { start: 10, end: 0, warp: -1, fps: 1 })
+	assert.equal(capture.count, 11, "A reverse capture does not have every frame!")
+}
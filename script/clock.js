@@ -0,0 +1,174 @@
+/**The time warp factors stepped through by `Clock.increase_warp` and `Clock.decrease_warp`.
+ */
+const WARP_LEVELS = [1, 10, 100, 1000, 1e4, 1e5, 1e6, 1e7]
+
+/**The `Clock` class keeps track of the simulation time separate from the wall time.
+ * The simulation time advances by the wall time multiplied with a time `warp` factor,
+ * which can be negative to run the simulation in reverse.
+ */
+class Clock {
+	/**Creates a `Clock` class that keeps track of the simulation time separate from the wall time.
+	 *
+	 * @param {number} time The starting simulation time in seconds.
+	 * @param {number} warp The time warp factor.
+	 * @param {Date} epoch_date The date at simulation time zero, the _J2000_ epoch by default.
+	 */
+	constructor(time = 0.0, warp = 1.0, epoch_date = new Date(Date.UTC(2000, 0, 1, 12))) {
+		this.time = time
+		this.delta = 0.0
+		this.warp = warp
+		this.max_warp = Infinity
+		this.paused = false
+		this.epoch_date = epoch_date
+	}
+
+	/**The `step` function advances the simulation time by the wall time `delta` multiplied with the `warp`.
+	 *
+	 * @param {number} delta The wall time in seconds since the last step.
+	 * @returns {number} The simulation time in seconds that passed.
+	 */
+	step(delta) {
+		this.delta = this.paused ? 0.0 : delta * this.warp
+		this.time += this.delta
+		return this.delta
+	}
+
+	/**The `set_warp` function sets the time warp factor, at most the `max_warp` in either direction.
+	 * A negative factor runs the simulation in reverse.
+	 *
+	 * @param {number} warp The time warp factor.
+	 * @returns {Clock} `self`
+	 */
+	set_warp(warp) {
+		this.warp = Math.sign(warp) * Math.min(Math.abs(warp), this.max_warp)
+		return this
+	}
+
+	/**The `limit_warp` function sets the largest time warp factor allowed, lowering the current one if above it.
+	 * Used while something can only keep up with so much simulation time each frame.
+	 *
+	 * @param {number} max_warp The largest time warp factor, **Infinity** for no limit.
+	 * @returns {Clock} `self`
+	 */
+	limit_warp(max_warp) {
+		this.max_warp = max_warp
+		return this.set_warp(this.warp)
+	}
+
+	/**The `increase_warp` function steps the time warp up to the next of the `WARP_LEVELS`.
+	 * The direction of time is kept.
+	 *
+	 * @returns {Clock} `self`
+	 */
+	increase_warp() {
+		const speed = Math.abs(this.warp)
+		const level = WARP_LEVELS.find(level => level > speed) ?? WARP_LEVELS.at(-1)
+		return this.set_warp(Math.sign(this.warp || 1.0) * level)
+	}
+
+	/**The `decrease_warp` function steps the time warp down to the previous of the `WARP_LEVELS`.
+	 * The direction of time is kept.
+	 *
+	 * @returns {Clock} `self`
+	 */
+	decrease_warp() {
+		const speed = Math.abs(this.warp)
+		const level = WARP_LEVELS.findLast(level => level < speed) ?? WARP_LEVELS[0]
+		return this.set_warp(Math.sign(this.warp || 1.0) * level)
+	}
+
+	/**The `reverse` function flips the direction of time.
+	 *
+	 * @returns {Clock} `self`
+	 */
+	reverse() {
+		return this.set_warp(-this.warp)
+	}
+
+	/**The `pause` function stops the simulation time while keeping the `warp`.
+	 *
+	 * @returns {Clock} `self`
+	 */
+	pause() {
+		this.paused = true
+		return this
+	}
+
+	/**The `resume` function continues the simulation time after a `pause`.
+	 *
+	 * @returns {Clock} `self`
+	 */
+	resume() {
+		this.paused = false
+		return this
+	}
+
+	/**The `jump_to` function sets the simulation time directly without stepping through the time in between.
+	 *
+	 * @param {number} time The simulation time in seconds.
+	 * @returns {Clock} `self`
+	 */
+	jump_to(time) {
+		this.time = time
+		this.delta = 0.0
+		return this
+	}
+
+	/**The `jump_to_date` function sets the simulation time to a given date.
+	 *
+	 * @param {Date} date The date to jump to.
+	 * @returns {Clock} `self`
+	 */
+	jump_to_date(date) {
+		return this.jump_to((date - this.epoch_date) / 1000.0)
+	}
+
+	/**The `get_date` function gets the date of a simulation time.
+	 *
+	 * @param {number} time The simulation time in seconds, the current time by default.
+	 * @returns {Date} The date.
+	 */
+	get_date(time = this.time) {
+		return new Date(this.epoch_date.getTime() + time * 1000.0)
+	}
+}
+
+/**The `FixedTimestep` class splits the varying wall time between animation frames into updates of a fixed `delta`,
+ * so the simulation steps the same way whatever the frame rate. See _[Fix Your Timestep!](https://gafferongames.com/post/fix_your_timestep/)_.
+ * The time left over is carried to the next frame, and its fraction of an update is the `alpha`
+ * used to interpolate the drawn state between the last two updates.
+ */
+class FixedTimestep {
+	/**Creates a `FixedTimestep` class that splits wall time into updates of a fixed `delta`.
+	 *
+	 * @param {number} rate The number of updates per wall second.
+	 * @param {number} max_steps The most updates made in one frame, the time beyond is dropped so a
+	 * backgrounded tab does not have to catch up on every update it missed.
+	 */
+	constructor(rate = 60.0, max_steps = 10) {
+		this.delta = 1.0 / rate
+		this.max_steps = max_steps
+
+		this.accumulator = 0.0
+		this.alpha = 1.0
+	}
+
+	/**The `advance` function adds the wall time of a frame and gets the number of updates to make.
+	 *
+	 * @param {number} delta The wall time in seconds since the last frame.
+	 * @returns {number} The number of updates of `delta` seconds to make.
+	 */
+	advance(delta) {
+		this.accumulator += Math.max(delta, 0.0)
+
+		let steps = Math.floor(this.accumulator / this.delta)
+		if (steps > this.max_steps) {
+			steps = this.max_steps
+			this.accumulator = this.delta * steps
+		}
+
+		this.accumulator -= this.delta * steps
+		this.alpha = this.accumulator / this.delta
+		return steps
+	}
+}
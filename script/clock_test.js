@@ -0,0 +1,119 @@
+test(warp_levels_test)
+function warp_levels_test() {
+	const clock = new Clock()
+
+	for (const level of WARP_LEVELS.slice(1)) {
+		clock.increase_warp()
+		assert.equal(clock.warp, level, `'increase_warp' did not step up to ${level}!`)
+	}
+	clock.increase_warp()
+	assert.equal(clock.warp, WARP_LEVELS.at(-1), "'increase_warp' went past the last level!")
+
+	for (const level of WARP_LEVELS.slice(0, -1).reverse()) {
+		clock.decrease_warp()
+		assert.equal(clock.warp, level, `'decrease_warp' did not step down to ${level}!`)
+	}
+	clock.decrease_warp()
+	assert.equal(clock.warp, WARP_LEVELS[0], "'decrease_warp' went past the first level!")
+
+	// Warps between the levels step to the closest level in that direction.
+	assert.equal(
+		new Clock(0.0, 50.0).increase_warp().warp,
+		100,
+		"A warp of 50 did not step up to 100!"
+	)
+	assert.equal(
+		new Clock(0.0, 50.0).decrease_warp().warp,
+		10,
+		"A warp of 50 did not step down to 10!"
+	)
+}
+
+test(reverse_warp_test)
+function reverse_warp_test() {
+	const clock = new Clock(0.0, 10.0).reverse()
+	assert.equal(clock.warp, -10, "'reverse' did not flip the warp!")
+
+	// The direction of time is kept while stepping through the levels.
+	clock.increase_warp()
+	assert.equal(clock.warp, -100, "'increase_warp' lost the direction of time!")
+	clock.decrease_warp().decrease_warp().decrease_warp()
+	assert.equal(clock.warp, -1, "'decrease_warp' lost the direction of time!")
+
+	assert_close(clock.step(2.0), -2.0, 1e-12, "'step' did not run the time in reverse!")
+	assert_close(clock.time, -2.0, 1e-12, "'step' did not move the time back!")
+	assert.equal(clock.reverse().warp, 1, "'reverse' did not flip the warp back!")
+}
+
+test(pause_test)
+function pause_test() {
+	const clock = new Clock(5.0, 100.0).pause()
+
+	assert.equal(clock.step(1.0), 0.0, "'step' of a paused clock did not give a zero delta!")
+	assert.equal(clock.delta, 0.0, "The delta of a paused clock is not zero!")
+	assert.equal(clock.time, 5.0, "The time of a paused clock moved!")
+	assert.equal(clock.warp, 100.0, "'pause' did not keep the warp!")
+
+	clock.resume()
+	assert_close(clock.step(0.5), 50.0, 1e-12, "'step' after 'resume' did not warp the time!")
+	assert_close(clock.time, 55.0, 1e-12, "'step' after 'resume' did not advance the time!")
+}
+
+test(date_test)
+function date_test() {
+	const clock = new Clock()
+	assert.equal(
+		clock.get_date().toISOString(),
+		"2000-01-01T12:00:00.000Z",
+		"Simulation time zero is not the J2000 epoch!"
+	)
+
+	const date = new Date(Date.UTC(2024, 5, 1, 6, 30, 15))
+	clock.step(1.0)
+	clock.jump_to_date(date)
+	assert_close(
+		clock.time,
+		770495415.0,
+		1e-6,
+		"'jump_to_date' did not set the seconds since J2000!"
+	)
+	assert.equal(clock.delta, 0.0, "'jump_to_date' stepped the time!")
+	assert.equal(
+		clock.get_date().getTime(),
+		date.getTime(),
+		"'get_date' did not round-trip 'jump_to_date'!"
+	)
+}
+
+test(fixed_timestep_test)
+function fixed_timestep_test() {
+	const frames = [0.016, 0.007, 0.033, 0.001, 0.05, 0.0166, 0.02]
+	const timestep = new FixedTimestep(100.0)
+
+	// The same number of updates are made however the wall time is split into frames.
+	let steps = 0
+	for (const delta of frames) {
+		steps += timestep.advance(delta)
+		assert(timestep.alpha >= 0.0 && timestep.alpha < 1.0, `The alpha is ${timestep.alpha}!`)
+	}
+	const total = frames.reduce((sum, delta) => sum + delta, 0.0)
+	assert.equal(steps, Math.floor(total * 100.0 + 1e-9), "Wall time was lost between frames!")
+	assert_close(
+		timestep.alpha,
+		total * 100.0 - steps,
+		1e-9,
+		"The alpha is not the fraction of an update left over!"
+	)
+}
+
+test(fixed_timestep_catch_up_test)
+function fixed_timestep_catch_up_test() {
+	const timestep = new FixedTimestep(60.0, 10)
+	timestep.advance(0.5 / 60.0)
+
+	// A long pause, like a backgrounded tab, only catches up on a few updates.
+	assert.equal(timestep.advance(60.0), 10, "The catch up was not capped!")
+	assert.equal(timestep.alpha, 0.0, "The dropped time was carried over!")
+	assert.equal(timestep.advance(1.0 / 60.0), 1, "The timestep did not recover after catching up!")
+	assert.equal(timestep.advance(-1.0), 0, "A negative frame time made updates!")
+}
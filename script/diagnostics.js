@@ -0,0 +1,76 @@
+/**The rows shown by the `DiagnosticsPanel`, each with a label and a function that gets the formatted value
+ * from the last sample and the largest drift of the `ConservationLog`.
+ */
+const DIAGNOSTICS_ROWS = [
+	["Samples", (sample, max, log) => `${log.samples.length}`],
+	["Energy", sample => formatQuantity(sample.energy, "J")],
+	["Energy drift", sample => formatQuantity(sample.energy_drift)],
+	["Angular momentum", sample => formatQuantity(sample.angular_momentum, "kg·m²/s")],
+	["Momentum drift", sample => formatQuantity(sample.angular_momentum_drift)],
+	["Worst body", (sample, max) => max.bodies.energy.entity?.name ?? "—"],
+	["Body energy drift", (sample, max) => formatQuantity(max.bodies.energy.drift)],
+	["Body momentum drift", (sample, max) => formatQuantity(max.bodies.angular_momentum.drift)],
+]
+
+/**The `DiagnosticsPanel` class shows the energy and angular momentum of the simulation in the UI,
+ * recording them into a `ConservationLog` while it is shown.
+ * The drift of the whole system is since the panel was shown, and the largest drift of any body is over the whole log.
+ */
+class DiagnosticsPanel {
+	/**Creates a hidden `DiagnosticsPanel`, see `toggle`.
+	 *
+	 * @param {Node} parent The UI ellement to attach the panel to.
+	 * @param {ConservationLog} log The log to record into.
+	 */
+	constructor(parent, log) {
+		this.log = log
+		this.values = DIAGNOSTICS_ROWS.map(() => makeNode({ tagName: "dd" }))
+
+		this.element = makeNode({
+			tagName: "section",
+			parent,
+			class: ["diagnostics", "kode-mono-400"],
+			hidden: true,
+			childNodes: [
+				{ tagName: "h2", textContent: "Diagnostics" },
+				{
+					tagName: "dl",
+					childNodes: DIAGNOSTICS_ROWS.flatMap(([label], i) => [
+						{ tagName: "dt", textContent: label },
+						this.values[i],
+					]),
+				},
+			],
+		})
+	}
+
+	/**The `toggle` function shows or hides the panel, starting a new log each time it is shown.
+	 *
+	 * @param {Object[]} entities The objects to measure, see `ConservationLog.reset`.
+	 */
+	toggle(entities) {
+		this.element.hidden = !this.element.hidden
+		if (!this.element.hidden) this.log.reset(entities)
+	}
+
+	/**The `update` function records a sample while the panel is shown and patches the shown values.
+	 *
+	 * @param {number} time The time in seconds to measure at.
+	 */
+	update(time) {
+		if (this.element.hidden) return
+
+		this.log.record(time)
+		const sample = this.log.samples[this.log.samples.length - 1]
+		if (!sample) return
+
+		const patch = (node, text) => {
+			if (node.textContent !== text) node.textContent = text
+		}
+
+		const max = this.log.get_max_drift()
+		DIAGNOSTICS_ROWS.forEach(([, format], i) =>
+			patch(this.values[i], format(sample, max, this.log))
+		)
+	}
+}
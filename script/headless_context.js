@@ -0,0 +1,331 @@
+/**The number of line segments a full turn of a `arc` or `ellipse` is traced with by the `HeadlessContext`.
+ */
+const HEADLESS_SEGMENTS_PER_TURN = 64
+
+/**The `HeadlessGradient` class is the gradient made by `HeadlessContext.createConicGradient`,
+ * which keeps its color stops so they show up in the drawing.
+ */
+class HeadlessGradient {
+	/**Creates a `HeadlessGradient` class without any color stops.
+	 *
+	 * @param {string} kind The kind of gradient, like `"conic"`.
+	 * @param {number[]} parameters The parameters the gradient was made with.
+	 */
+	constructor(kind, parameters) {
+		this.kind = kind
+		this.parameters = parameters
+		this.stops = []
+	}
+
+	/**The `addColorStop` function adds a color at a offset between 0 and 1 along the gradient.
+	 *
+	 * @param {number} offset The offset along the gradient.
+	 * @param {string} color The color.
+	 */
+	addColorStop(offset, color) {
+		this.stops.push({ offset, color })
+		this.stops.sort((a, b) => a.offset - b.offset)
+	}
+
+	/**Gets the gradient written like the _CSS_ gradients, like `conic(1.5, 0, 0; #fff 0, #000 1)`.
+	 *
+	 * @returns {string}
+	 */
+	toString() {
+		const parameters = this.parameters.map(headless_number).join(", ")
+		const stops = this.stops.map(({ offset, color }) => `${color} ${headless_number(offset)}`)
+		return `${this.kind}(${parameters}; ${stops.join(", ")})`
+	}
+}
+
+/**The `HeadlessContext` class is a 2D context like the one of a HTML canvas that draws without a browser.
+ * It implements the part of `CanvasRenderingContext2D` the scene draws with, and keeps everything drawn since the
+ * last `reset` as _SVG_ shapes in pixel coordinates, with arcs and ellipses traced as line segments.
+ * The drawing can be saved with `to_svg`, so it can be checked against a golden image in tests.
+ * ```
+ * const canvas = new Canvas(new HeadlessContext(640, 480))
+ * canvas.animation(draw, false)
+ * canvas.advance(1.0 / 60.0)
+ * ```
+ */
+class HeadlessContext {
+	/**Creates a empty `HeadlessContext` class.
+	 *
+	 * @param {number} width The width in pixels.
+	 * @param {number} height The height in pixels.
+	 */
+	constructor(width = 300, height = 150) {
+		// Stands in for the canvas element, with the size `Canvas` draws at.
+		this.canvas = { width, height }
+		this.reset()
+	}
+
+	/**The `reset` function clears the drawing and sets every state back to its default.
+	 */
+	reset() {
+		this.shapes = []
+		this.stack = []
+		this.path = []
+
+		this.matrix = { a: 1.0, b: 0.0, c: 0.0, d: 1.0, e: 0.0, f: 0.0 }
+		this.fillStyle = "#000000"
+		this.strokeStyle = "#000000"
+		this.lineWidth = 1.0
+		this.font = "10px sans-serif"
+		this.dash = []
+	}
+
+	save() {
+		const { matrix, fillStyle, strokeStyle, lineWidth, font, dash } = this
+		this.stack.push({ matrix, fillStyle, strokeStyle, lineWidth, font, dash })
+	}
+
+	restore() {
+		const state = this.stack.pop()
+		if (state) {
+			this.matrix = state.matrix
+			this.fillStyle = state.fillStyle
+			this.strokeStyle = state.strokeStyle
+			this.lineWidth = state.lineWidth
+			this.font = state.font
+			this.dash = state.dash
+		}
+	}
+
+	getTransform() {
+		return { ...this.matrix }
+	}
+
+	setTransform(a = 1.0, b = 0.0, c = 0.0, d = 1.0, e = 0.0, f = 0.0) {
+		// Also takes a matrix object, like the one from `getTransform`.
+		if (typeof a === "object") ({ a, b, c, d, e, f } = a)
+		this.matrix = { a, b, c, d, e, f }
+	}
+
+	resetTransform() {
+		this.setTransform()
+	}
+
+	transform(a, b, c, d, e, f) {
+		const m = this.matrix
+		this.matrix = {
+			a: m.a * a + m.c * b,
+			b: m.b * a + m.d * b,
+			c: m.a * c + m.c * d,
+			d: m.b * c + m.d * d,
+			e: m.a * e + m.c * f + m.e,
+			f: m.b * e + m.d * f + m.f,
+		}
+	}
+
+	translate(x, y) {
+		this.transform(1.0, 0.0, 0.0, 1.0, x, y)
+	}
+
+	scale(x, y) {
+		this.transform(x, 0.0, 0.0, y, 0.0, 0.0)
+	}
+
+	rotate(angle) {
+		const cos = Math.cos(angle)
+		const sin = Math.sin(angle)
+		this.transform(cos, sin, -sin, cos, 0.0, 0.0)
+	}
+
+	setLineDash(segments) {
+		this.dash = [...segments]
+	}
+
+	getLineDash() {
+		return [...this.dash]
+	}
+
+	createConicGradient(start_angle, x, y) {
+		return new HeadlessGradient("conic", [start_angle, x, y])
+	}
+
+	beginPath() {
+		this.path = []
+	}
+
+	moveTo(x, y) {
+		this.path.push({ points: [this.project(x, y)], closed: false })
+	}
+
+	lineTo(x, y) {
+		const subpath = this.path[this.path.length - 1]
+		if (subpath) subpath.points.push(this.project(x, y))
+		else this.moveTo(x, y)
+	}
+
+	closePath() {
+		const subpath = this.path[this.path.length - 1]
+		if (!subpath) return
+
+		// A new subpath starts where the closed one did.
+		subpath.closed = true
+		this.path.push({ points: [subpath.points[0]], closed: false })
+	}
+
+	rect(x, y, width, height) {
+		this.moveTo(x, y)
+		this.lineTo(x + width, y)
+		this.lineTo(x + width, y + height)
+		this.lineTo(x, y + height)
+		this.closePath()
+	}
+
+	arc(x, y, radius, start_angle, end_angle, counterclockwise = false) {
+		this.ellipse(x, y, radius, radius, 0.0, start_angle, end_angle, counterclockwise)
+	}
+
+	/**The `ellipse` function traces a elliptic arc as line segments, joined to the current subpath like a canvas does.
+	 * The angles are swept the same way as by a canvas, a full turn or more draws the whole ellipse.
+	 */
+	ellipse(x, y, radius_x, radius_y, rotation, start_angle, end_angle, counterclockwise = false) {
+		const turn = Math.PI * 2.0
+		let sweep
+		if (!counterclockwise && end_angle - start_angle >= turn) sweep = turn
+		else if (counterclockwise && start_angle - end_angle >= turn) sweep = -turn
+		else if (!counterclockwise) sweep = (((end_angle - start_angle) % turn) + turn) % turn
+		else sweep = -((((start_angle - end_angle) % turn) + turn) % turn)
+
+		const cos = Math.cos(rotation)
+		const sin = Math.sin(rotation)
+		const segments = Math.max(
+			Math.ceil((Math.abs(sweep) / turn) * HEADLESS_SEGMENTS_PER_TURN),
+			1
+		)
+
+		for (let i = 0; i <= segments; i++) {
+			const angle = start_angle + (sweep * i) / segments
+			const px = radius_x * Math.cos(angle)
+			const py = radius_y * Math.sin(angle)
+			const point = [x + px * cos - py * sin, y + px * sin + py * cos]
+
+			if (i === 0 && this.path.length === 0) this.moveTo(...point)
+			else this.lineTo(...point)
+		}
+	}
+
+	stroke() {
+		this.add_path("none", this.strokeStyle)
+	}
+
+	fill() {
+		this.add_path(this.fillStyle, "none")
+	}
+
+	fillRect(x, y, width, height) {
+		const path = this.path
+		this.beginPath()
+		this.rect(x, y, width, height)
+		this.fill()
+		this.path = path
+	}
+
+	strokeRect(x, y, width, height) {
+		const path = this.path
+		this.beginPath()
+		this.rect(x, y, width, height)
+		this.stroke()
+		this.path = path
+	}
+
+	fillText(text, x, y) {
+		const { a, b, c, d, e, f } = this.matrix
+		const attributes = [
+			`transform="matrix(${[a, b, c, d, e, f].map(headless_number).join(" ")})"`,
+			`x="${headless_number(x)}"`,
+			`y="${headless_number(y)}"`,
+			`style="font: ${headless_escape(this.font)}"`,
+		]
+		const paint = headless_paint("fill", this.fillStyle)
+		this.shapes.push(`<text ${attributes.join(" ")}${paint}>${headless_escape(text)}</text>`)
+	}
+
+	/**Gets a point in pixel coordinates through the current transform.
+	 *
+	 * @param {number} x The `x` coordinate.
+	 * @param {number} y The `y` coordinate.
+	 * @returns {number[]} The `x` and `y` pixel coordinates.
+	 */
+	project(x, y) {
+		const { a, b, c, d, e, f } = this.matrix
+		return [a * x + c * y + e, b * x + d * y + f]
+	}
+
+	/**The `add_path` function adds the current path as a _SVG_ path, with the line width and dashes scaled
+	 * by the current transform, as they are in user units.
+	 *
+	 * @param {string | HeadlessGradient} fill The fill style, or `"none"`.
+	 * @param {string | HeadlessGradient} stroke The stroke style, or `"none"`.
+	 */
+	add_path(fill, stroke) {
+		const data = this.path
+			.filter(subpath => subpath.points.length > 1 || subpath.closed)
+			.map(({ points, closed }) => {
+				const [first, ...rest] = points.map(point => point.map(headless_number).join(" "))
+				const lines = rest.length > 0 ? ` L ${rest.join(" L ")}` : ""
+				return `M ${first}${lines}${closed ? " Z" : ""}`
+			})
+		if (data.length === 0) return
+
+		let attributes = headless_paint("fill", fill) + headless_paint("stroke", stroke)
+		if (stroke !== "none") {
+			const { a, b, c, d } = this.matrix
+			const scale = Math.sqrt(Math.abs(a * d - b * c))
+			attributes += ` stroke-width="${headless_number(this.lineWidth * scale)}"`
+			if (this.dash.length > 0)
+				attributes += ` stroke-dasharray="${this.dash
+					.map(length => headless_number(length * scale))
+					.join(" ")}"`
+		}
+
+		this.shapes.push(`<path d="${data.join(" ")}"${attributes}/>`)
+	}
+
+	/**The `to_svg` function gets everything drawn since the last `reset` as a _SVG_ image.
+	 *
+	 * @returns {string} The _SVG_ document.
+	 */
+	to_svg() {
+		const { width, height } = this.canvas
+		return [
+			`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+			...this.shapes.map(shape => `\t${shape}`),
+			"</svg>",
+			"",
+		].join("\n")
+	}
+}
+
+/**Gets a number rounded to a hundredth of a pixel, so drawings compare the same across platforms.
+ *
+ * @param {number} value The number.
+ * @returns {string} The rounded number.
+ */
+function headless_number(value) {
+	return String(Number(value.toFixed(2)))
+}
+
+/**Gets a _SVG_ paint attribute for a style, with a gradient painted in its first color and written out in full.
+ *
+ * @param {string} name The attribute name, `"fill"` or `"stroke"`.
+ * @param {string | HeadlessGradient} style The style.
+ * @returns {string} The attributes with a leading space.
+ */
+function headless_paint(name, style) {
+	if (!(style instanceof HeadlessGradient)) return ` ${name}="${headless_escape(String(style))}"`
+
+	const color = style.stops[0]?.color ?? "none"
+	return ` ${name}="${headless_escape(color)}" data-${name}="${headless_escape(String(style))}"`
+}
+
+function headless_escape(text) {
+	return text
+		.replaceAll("&", "&amp;")
+		.replaceAll("<", "&lt;")
+		.replaceAll(">", "&gt;")
+		.replaceAll('"', "&quot;")
+}
@@ -0,0 +1,87 @@
+test(headless_context_transform_test)
+function headless_context_transform_test() {
+	const context = new HeadlessContext(100, 100)
+	context.translate(50.0, 50.0)
+	context.scale(2.0, -2.0)
+	context.save()
+	context.rotate(Math.PI / 2.0)
+	assert_close(
+		context.project(1.0, 0.0),
+		[50.0, 48.0],
+		1e-12,
+		"The transforms were not combined!"
+	)
+
+	// The transform and styles are restored, but not the path.
+	context.lineWidth = 3.0
+	context.beginPath()
+	context.moveTo(0.0, 0.0)
+	context.restore()
+	assert.deepEqual(context.project(1.0, 0.0), [52.0, 50.0], "The transform was not restored!")
+	assert.equal(context.lineWidth, 1.0, "The line width was not restored!")
+	assert.equal(context.path.length, 1, "The path was restored!")
+
+	const matrix = context.getTransform()
+	context.setTransform()
+	context.setTransform(matrix)
+	assert.deepEqual(context.getTransform(), matrix, "The matrix object was not set!")
+}
+
+test(headless_context_path_test)
+function headless_context_path_test() {
+	const context = new HeadlessContext(100, 100)
+	context.scale(10.0, 10.0)
+	context.lineWidth = 0.1
+	context.setLineDash([0.4, 0.3])
+
+	// A full turn is traced all the way round.
+	context.beginPath()
+	context.arc(5.0, 5.0, 2.0, 0.0, Math.PI * 2.0)
+	const points = context.path[0].points
+	assert.equal(points.length, HEADLESS_SEGMENTS_PER_TURN + 1, "The arc was not traced!")
+	for (const [x, y] of points)
+		assert_close(Math.hypot(x - 50.0, y - 50.0), 20.0, 1e-9, "A arc point is off the circle!")
+
+	// Counterclockwise to a quarter turn goes the long way round.
+	context.beginPath()
+	context.arc(0.0, 0.0, 1.0, 0.0, Math.PI / 2.0, true)
+	const quarter = HEADLESS_SEGMENTS_PER_TURN / 4
+	assert.equal(context.path[0].points.length, quarter * 3 + 1, "The arc did not sweep backwards!")
+	assert_close(
+		context.path[0].points[quarter],
+		[0.0, -10.0],
+		1e-9,
+		"The arc did not sweep backwards!"
+	)
+
+	context.stroke()
+	assert.match(
+		context.shapes[0],
+		/stroke-width="1" stroke-dasharray="4 3"/,
+		"The line width and dashes were not scaled!"
+	)
+
+	context.reset()
+	assert.equal(context.shapes.length, 0, "The drawing was not cleared!")
+}
+
+test(headless_canvas_test)
+function headless_canvas_test() {
+	const context = new HeadlessContext(200, 200)
+	const canvas = new Canvas(context, "#000000")
+	canvas.camera.width = 10
+	canvas.camera.height = 10
+	load_system(canvas, DEMO_SYSTEM)
+
+	// Driven frame by frame, with the canvas drawn each frame.
+	let frames = 0
+	canvas.animation(() => frames++, false)
+	for (let i = 0; i < 30; i++) canvas.advance(1.0 / 30.0)
+	assert.equal(frames, 31, "The canvas was not drawn each frame!")
+	assert.equal(canvas.ticks, 60, "The fixed updates were not made!")
+
+	canvas.resize(300, 200)
+	assert.equal(context.canvas.width, 300, "The canvas was not resized!")
+	assert.equal(canvas.get_zoom(), 10.0, "The zoom does not fit the new size!")
+	assert_golden("demo_system.svg", context.to_svg(), "The demo system is not drawn the same!")
+}
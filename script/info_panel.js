@@ -0,0 +1,109 @@
+/**The rows shown by the `InfoPanel`, each with a label and a function that gets the formatted value
+ * from the `info` object of `InfoPanel.get_info`.
+ */
+const INFO_PANEL_ROWS = [
+	["Mass", info => formatQuantity(info.body?.get_mass(), "kg")],
+	["Semimajor axis", info => formatQuantity(info.orbit?.semimajor_axis, "m")],
+	["Eccentricity", info => formatQuantity(info.orbit?.eccentricity)],
+	["Periapsis", info => formatQuantity(info.orbit?.periapsis(), "m")],
+	["Apoapsis", info => formatQuantity(info.orbit?.apoapsis(), "m")],
+	["Period", info => formatDuration(info.period)],
+	["True anomaly", info => formatQuantity(info.true_anomaly?.get_degrees(), "°")],
+	["Mean anomaly", info => formatQuantity(info.mean_anomaly?.get_degrees(), "°")],
+	["Eccentric anomaly", info => formatQuantity(info.eccentric_anomaly?.get_degrees(), "°")],
+	["Speed", info => formatQuantity(info.speed, "m/s")],
+	["Distance", info => formatQuantity(info.distance, "m")],
+	["Escape velocity", info => formatQuantity(info.escape_velocity, "m/s")],
+]
+
+/**The `InfoPanel` class shows the orbital elements of the selected body in the UI.
+ * The panel is built once with `makeNode` and only its values are patched by `update`.
+ */
+class InfoPanel {
+	/**Creates a `InfoPanel` class that shows the orbital elements of the selected body.
+	 *
+	 * @param {Node} parent The UI ellement to attach the panel to.
+	 * @param {Selection} selection The selection to show the selected body of.
+	 */
+	constructor(parent, selection) {
+		this.selection = selection
+
+		this.title = makeNode({ tagName: "h2" })
+		this.values = INFO_PANEL_ROWS.map(() => makeNode({ tagName: "dd" }))
+
+		this.element = makeNode({
+			tagName: "section",
+			parent,
+			class: ["info-panel", "kode-mono-400"],
+			hidden: true,
+			childNodes: [
+				this.title,
+				{
+					tagName: "dl",
+					childNodes: INFO_PANEL_ROWS.flatMap(([label], i) => [
+						{ tagName: "dt", textContent: label },
+						this.values[i],
+					]),
+				},
+			],
+		})
+
+		selection.addEventListener("select", () => (this.element.hidden = !selection.selected))
+	}
+
+	/**The `get_info` function calculates the orbital elements of a body at the current simulation time.
+	 * Bodies without a orbit, like a `Star`, only get their `body`.
+	 *
+	 * @param {Object} target The body.
+	 * @param {Canvas} canvas The canvas the body is drawn on.
+	 * @returns {object} The orbital elements of the body.
+	 */
+	get_info(target, canvas) {
+		if (!target.orbit || !target.parent?.body) return { body: target.body }
+
+		const orbit = target.orbit
+		const parent_boddy = target.parent.body
+
+		// Closed orbits repeat so the mean anomaly is wrapped to the same range as the true anomaly.
+		let mean_anomaly = target.mean_anomaly(canvas.clock.time)
+		if (orbit.is_elliptic())
+			mean_anomaly = new MeanAnomaly(
+				Math.atan2(Math.sin(mean_anomaly.angle), Math.cos(mean_anomaly.angle))
+			)
+
+		const true_anomaly = mean_anomaly.true_anomaly(orbit)
+		const { velocity } = orbit.state_vectors(parent_boddy, true_anomaly)
+		const distance = true_anomaly.radius(orbit)
+
+		return {
+			body: target.body,
+			orbit,
+			period: orbit.orbital_period(parent_boddy),
+			true_anomaly,
+			mean_anomaly,
+			eccentric_anomaly: orbit.is_elliptic() ? mean_anomaly.eccentric_anomaly(orbit) : null,
+			speed: vector_length(velocity),
+			distance,
+			escape_velocity: parent_boddy.get_escape_velocity(distance),
+		}
+	}
+
+	/**The `update` function patches the shown values of the selected body.
+	 * Only values whose text changed are written to the document.
+	 *
+	 * @param {Canvas} canvas The canvas the body is drawn on.
+	 */
+	update(canvas) {
+		const target = this.selection.selected
+		if (!target) return
+
+		const patch = (node, text) => {
+			if (node.textContent !== text) node.textContent = text
+		}
+
+		patch(this.title, target.name ?? target.constructor.name)
+
+		const info = this.get_info(target, canvas)
+		INFO_PANEL_ROWS.forEach(([, format], i) => patch(this.values[i], format(info)))
+	}
+}
@@ -1,3 +1,85 @@
+/**The star system shown on start up, see `validate_system` for the format.
+ */
+const DEMO_SYSTEM = {
+	version: SYSTEM_FORMAT_VERSION,
+	bodies: [
+		{ name: "Sol", type: "star", mass: 1.0e10, radius: 1.0 },
+		{
+			name: "Ferrum",
+			type: "planet",
+			parent: "Sol",
+			mass: 1.0e8,
+			radius: 0.25,
+			orbit: { semimajor_axis: 3, eccentricity: 0 },
+		},
+		{
+			name: "Magnus",
+			type: "planet",
+			parent: "Sol",
+			mass: 1.0e9,
+			radius: 0.5,
+			orbit: { semimajor_axis: 7, eccentricity: 0.1, mean_anomaly_at_epoch: Math.PI },
+		},
+		{
+			name: "Parvus",
+			type: "planet",
+			parent: "Magnus",
+			mass: 1.0e7,
+			radius: 0.1,
+			orbit: { semimajor_axis: 1.25, eccentricity: 0.25 },
+		},
+		{
+			name: "Vagus",
+			type: "planet",
+			parent: "Sol",
+			mass: 1.0e6,
+			radius: 0.05,
+			orbit: {
+				semimajor_axis: 5,
+				eccentricity: 0.75,
+				argument_of_periapsis: Math.PI / 2,
+				clockwise: true,
+			},
+		},
+		{
+			name: "Probe",
+			type: "spacecraft",
+			parent: "Sol",
+			radius: 0.05,
+			dry_mass: 1000,
+			fuel_mass: 0.1,
+			specific_impulse: 300,
+			thrust: 20,
+			orbit: { semimajor_axis: 4, mean_anomaly_at_epoch: Math.PI / 2 },
+		},
+	],
+}
+
+/**The `download_file` function lets the user save a text or bytes as a file.
+ *
+ * @param {string | Uint8Array | Blob} text The content of the file.
+ * @param {string} name The suggested file name.
+ * @param {string} type The MIME type of the file.
+ */
+function download_file(text, name, type) {
+	const blob = new Blob([text], { type })
+	const link = makeNode({
+		tagName: "a",
+		href: URL.createObjectURL(blob),
+		download: name,
+	})
+	link.click()
+	URL.revokeObjectURL(link.href)
+}
+
+/**The `download_system` function lets the user save a star system description as a JSON file.
+ *
+ * @param {object} data The star system description.
+ */
+function download_system(data) {
+	download_file(JSON.stringify(data, null, "\t"), "system.json", "application/json")
+}
+
 window.onload = () => {
 	viewport = new Canvas("viewport", "#000000")
 	ui = document.getElementById("ui")
@@ -6,37 +88,350 @@ window.onload = () => {
 	viewport.camera.width = 10
 	viewport.camera.height = 10
 
-	const star = new Star(viewport)
+	let bodies = load_system(viewport, DEMO_SYSTEM)
+
+	const clock = makeNode({ tagName: "p", parent: ui, class: ["clock", "kode-mono-400"] })
+
+	new CameraControls(viewport)
+	const selection = new Selection(viewport)
+	const info_panel = new InfoPanel(ui, selection)
+	const manoeuvres = new ManoeuvrePlanner(ui, viewport)
+
+	// Numerically integrates every body while toggled on.
+	const simulation = new NBodySimulation("verlet", 0.01)
 
-	const planet1 = new Planet({
-		parent: star,
-		radius: 0.25,
-		semimajor_axis: 3,
-		eccentricity: 0,
+	// Records the inputs that change the simulation, and replays dropped recordings in place of the live session.
+	const recorder = new SessionRecorder(viewport, simulation)
+	let replay = null
+
+	// Clicking a orbit plans a manoeuvre node at that point.
+	selection.addEventListener("select", e => {
+		const { target, hit } = e.detail
+		if (hit?.type === "orbit" && !replay)
+			manoeuvres.plan(target, hit.true_anomaly, viewport.clock.time)
+	})
+	manoeuvres.addEventListener("change", e => {
+		recorder.record_manoeuvre(e.detail.target, e.detail.node)
 	})
 
-	const planet2 = new Planet({
-		parent: star,
-		radius: 0.5,
-		semimajor_axis: 7,
-		eccentricity: 0.1,
+	// The energy and angular momentum of every body, sampled ten times per simulated second.
+	const diagnostics = new DiagnosticsPanel(ui, new ConservationLog([], simulation, 0.1))
+
+	// Exports the viewport as images or a video, nothing else can be done while a export is running.
+	const capture_panel = new CapturePanel(ui)
+	let capture = null
+
+	// The cheapest transfer from the followed body to the selected one.
+	let transfer = null
+	let show_trajectory = true
+	let porkchop = null
+
+	const follow = target => {
+		viewport.camera.follow(target)
+		recorder.record({ type: "follow", target: target?.body ? target.name : null })
+	}
+	const record_clock = () => {
+		const { warp, paused } = viewport.clock
+		recorder.record({ type: "clock", warp, paused })
+	}
+
+	// Removes everything belonging to the current scene before a new one is loaded.
+	const clear_scene = () => {
+		recorder.stop()
+		selection.select(null)
+		selection.hover(null)
+		viewport.camera.follow(null)
+		transfer = null
+		porkchop?.remove()
+		porkchop = null
+		manoeuvres.clear()
+		simulation.release()
+		viewport.clock.limit_warp(Infinity)
+	}
+
+	// While replaying, the keys that would change the simulation control the replay instead.
+	const control_replay = key => {
+		switch (key) {
+			case "Escape":
+				// Going on live from where the replay is.
+				replay = null
+				viewport.play()
+				break
+			case " ":
+				replay.paused = !replay.paused
+				break
+			case ".":
+				replay.set_speed(replay.speed * 2.0)
+				break
+			case ",":
+				replay.set_speed(replay.speed / 2.0)
+				break
+			case "[":
+				replay.seek_time(replay.get_time() - 10.0)
+				break
+			case "]":
+				replay.seek_time(replay.get_time() + 10.0)
+				break
+			case "r":
+				download_file(
+					JSON.stringify(replay.recording),
+					"recording.json",
+					"application/json"
+				)
+				break
+			// Inputs that would make the replay drift from the recording are ignored.
+			case "/":
+			case "n":
+			case "Delete":
+			case "v":
+				break
+			default:
+				return false
+		}
+		return true
+	}
+
+	const start_replay = recording => {
+		const errors = validate_recording(recording)
+		if (errors.length > 0) throw new RecordingFormatError(errors)
+
+		clear_scene()
+		const current = new SessionReplay(viewport, recording, simulation)
+		replay = current
+		bodies = replay.bodies
+		diagnostics.log.reset(list_bodies(viewport))
+
+		// The replay takes over the animation loop of the canvas until it is left.
+		viewport.pause()
+		let laststamp = null
+		const callback = timestamp => {
+			if (replay !== current) return
+			if (laststamp === null) laststamp = timestamp
+			replay.advance((timestamp - laststamp) / 1000.0)
+			laststamp = timestamp
+
+			viewport.redraw()
+			requestAnimationFrame(callback)
+		}
+		requestAnimationFrame(callback)
+	}
+
+	capture_panel.addEventListener("export", async e => {
+		const { format, width, height, from, to, warp, fps } = e.detail
+		if (capture) return
+
+		try {
+			if (format === "png") {
+				const data = await capture_screenshot(viewport, width, height)
+				download_file(data, "screenshot.png", "image/png")
+				return
+			}
+			if (replay || recorder.recording) {
+				alert("A export can not be made while recording or replaying.")
+				return
+			}
+
+			const time = viewport.clock.time
+			const options = { width, height, start: time + from, end: time + to, warp, fps }
+			capture = new FrameCapture(viewport, options)
+			capture.addEventListener("frame", e => capture_panel.show_progress(e.detail))
+
+			const data = format === "webm" ? await capture.to_webm() : await capture.to_zip()
+			const type = format === "webm" ? "video/webm" : "application/zip"
+			if (data) download_file(data, `frames.${format}`, type)
+		} catch (error) {
+			alert(error.message)
+		} finally {
+			capture = null
+			capture_panel.show_progress(null)
+		}
 	})
 
-	const planet3 = new Planet({
-		parent: planet2,
-		radius: 0.1,
-		semimajor_axis: 1.25,
-		eccentricity: 0.25,
+	document.addEventListener("keydown", event => {
+		// Typing into the fields of a panel is not a shortcut.
+		if (["INPUT", "SELECT"].includes(event.target?.tagName)) return
+		if (capture) {
+			if (event.key === "Escape") capture.cancel()
+			return
+		}
+		if (replay && control_replay(event.key)) return
+
+		if (event.key >= "0" && event.key <= "9") {
+			if (bodies[event.key]) follow(bodies[event.key])
+			return
+		}
+
+		switch (event.key) {
+			case "Escape":
+				follow(null)
+				transfer = null
+				break
+			case "f":
+				if (selection.selected) follow(selection.selected)
+				break
+			case " ":
+				if (viewport.clock.paused) viewport.clock.resume()
+				else viewport.clock.pause()
+				record_clock()
+				break
+			case ".":
+				viewport.clock.increase_warp()
+				record_clock()
+				break
+			case ",":
+				viewport.clock.decrease_warp()
+				record_clock()
+				break
+			case "/":
+				viewport.clock.reverse()
+				record_clock()
+				break
+			case "r":
+				if (recorder.recording) {
+					const recording = recorder.stop()
+					download_file(JSON.stringify(recording), "recording.json", "application/json")
+				} else recorder.start()
+				break
+			case "s":
+				download_system(save_system(viewport))
+				break
+			case "Delete":
+				manoeuvres.clear()
+				break
+			case "o":
+				show_trajectory = !show_trajectory
+				break
+			case "l":
+				viewport.toggle_layer("labels")
+				break
+			case "n":
+				if (simulation.entities.length > 0) {
+					simulation.release()
+					viewport.clock.limit_warp(Infinity)
+				} else {
+					simulation.seed(list_bodies(viewport), viewport.clock.time)
+					viewport.clock.limit_warp(simulation.max_warp(viewport.timestep.delta))
+				}
+				recorder.record({ type: "simulation", seeded: simulation.entities.length > 0 })
+				record_clock()
+				diagnostics.log.reset()
+				break
+			case "d":
+				diagnostics.toggle(list_bodies(viewport))
+				break
+			case "e":
+				download_file(diagnostics.log.to_csv(), "diagnostics.csv", "text/csv")
+				break
+			case "c":
+				capture_screenshot(viewport)
+					.then(data => download_file(data, "screenshot.png", "image/png"))
+					.catch(error => alert(error.message))
+				break
+			case "v":
+				capture_panel.toggle(viewport)
+				break
+			case "p": {
+				porkchop?.remove()
+				porkchop = null
+
+				const from = viewport.camera.target
+				const to = selection.selected
+				if (from?.orbit && to?.orbit && from !== to && from.parent === to.parent) {
+					porkchop = new PorkchopPlot(ui, from, to, viewport.clock)
+					porkchop.addEventListener("select", e => {
+						transfer = { from: e.detail.from, plan: e.detail.transfer }
+					})
+				}
+				break
+			}
+			case "t": {
+				const from = viewport.camera.target
+				const to = selection.selected
+				if (from?.orbit && to?.orbit && from !== to && from.parent === to.parent) {
+					const [plan] = from.get_transfers(to, viewport.clock.time)
+					transfer = { from, plan }
+				} else transfer = null
+				break
+			}
+		}
 	})
 
-	const planet4 = new Planet({
-		parent: star,
-		radius: 0.05,
-		semimajor_axis: 5,
-		eccentricity: 0.75,
-		argument_of_periapsis: Math.PI / 2,
-		clockwise: true,
+	// Dropping a star system file replaces the current one, and dropping a recording replays it.
+	viewport.element.addEventListener("dragover", event => event.preventDefault())
+	viewport.element.addEventListener("drop", async event => {
+		event.preventDefault()
+		const file = event.dataTransfer.files[0]
+		if (!file) return
+
+		try {
+			const data = JSON.parse(await file.text())
+			if ("commands" in data) {
+				start_replay(data)
+				return
+			}
+
+			const errors = validate_system(data)
+			if (errors.length > 0) throw new SystemFormatError(errors)
+
+			clear_scene()
+			if (replay) {
+				replay = null
+				viewport.play()
+			}
+			for (const child of viewport.children.filter(child => child.body))
+				viewport.remove_child(child)
+			bodies = load_system(viewport, data)
+			diagnostics.log.reset(list_bodies(viewport))
+		} catch (error) {
+			alert(error.message)
+		}
 	})
 
-	viewport.play()
+	// The transfer, the predicted path, the manoeuvre node and the selection are drawn above every body.
+	const overlay = new Object({ x: 0.0, y: 0.0, parent: viewport })
+	overlay.draw_overlay = canvas => {
+		const context = canvas.context
+		if (transfer) transfer.from.draw_transfer(canvas, transfer.plan, 1.5 / canvas.get_zoom())
+		manoeuvres.draw(canvas)
+
+		// The predicted path of the followed body, with the closest approach to the selected one.
+		const followed = canvas.camera.target
+		if (show_trajectory && followed?.orbit) {
+			const target =
+				selection.selected?.orbit && selection.selected !== followed
+					? selection.selected
+					: null
+			const prediction = predict_trajectory(followed, canvas.clock.time, 2, target)
+			draw_trajectory(canvas, followed, prediction, 1.5 / canvas.get_zoom())
+		}
+
+		// Ring around the selected body.
+		const selected = selection.selected
+		if (selected?.transform) {
+			const pixel = 1.0 / canvas.get_zoom()
+			context.setTransform(selected.transform)
+			context.strokeStyle = "#88ccff"
+			context.lineWidth = pixel * 2.0
+			context.beginPath()
+			context.arc(0.0, 0.0, selected.radius + pixel * 6.0, 0, Math.PI * 2)
+			context.stroke()
+		}
+	}
+
+	viewport.animation(canvas => {
+		manoeuvres.update(canvas)
+
+		const date = canvas.clock.get_date().toISOString().slice(0, 19).replace("T", " ")
+		const warp = canvas.clock.paused ? "paused" : `${canvas.clock.warp}×`
+		let status = recorder.recording ? " ● rec" : ""
+		if (replay) {
+			const speed = replay.paused ? "paused" : `${replay.speed}×`
+			const time = `${replay.get_time().toFixed(1)}/${replay.get_duration().toFixed(1)} s`
+			status = ` ▶ replay ${time} ${speed}`
+		}
+		clock.textContent = `${date} ${warp}${status}`
+
+		info_panel.update(canvas)
+		diagnostics.update(simulation.entities.length > 0 ? simulation.time : canvas.clock.time)
+	})
 }
@@ -0,0 +1,377 @@
+/**The handles drawn around a `ManoeuvreNode`, each dragging one of its _Δv_ components
+ * towards its `sign`, so both the prograde and retrograde handle change the `prograde` component.
+ */
+const MANOEUVRE_HANDLES = [
+	{ name: "Prograde", component: "prograde", sign: 1.0, color: "#88ff88" },
+	{ name: "Retrograde", component: "prograde", sign: -1.0, color: "#88ff88" },
+	{ name: "Radial out", component: "radial", sign: 1.0, color: "#88ccff" },
+	{ name: "Radial in", component: "radial", sign: -1.0, color: "#88ccff" },
+]
+
+/**The rows shown by the `ManoeuvrePlanner`, each with a label and a function that gets the formatted value
+ * from the planned `ManoeuvreNode` at a simulation time.
+ */
+const MANOEUVRE_ROWS = [
+	["Δv", node => formatQuantity(node.get_delta_velocity(), "m/s")],
+	["Prograde", node => formatQuantity(node.prograde, "m/s")],
+	["Radial", node => formatQuantity(node.radial, "m/s")],
+	[
+		"Burn time",
+		node => formatDuration(node.target.get_burn_duration?.(node.get_delta_velocity())),
+	],
+	["Time to node", (node, time) => formatDuration(node.time - time)],
+]
+
+/**The `ManoeuvreNode` class is a planned burn at a point along the orbit of a object.
+ * The _Δv_ is split into components along the _[prograde, normal and radial](https://en.wikipedia.org/wiki/Orbital_maneuver)_
+ * directions at the node, so the burn keeps its meaning as it is adjusted.
+ * ```
+ * prograde = v / |v|
+ * normal = (r × v) / |r × v|
+ * radial = prograde × normal
+ * ```
+ */
+class ManoeuvreNode {
+	/**Creates a `ManoeuvreNode` at the next time a object passes a _true anomaly_ along its orbit.
+	 *
+	 * @param {Orbit} target The object that makes the burn.
+	 * @param {TrueAnomaly} true_anomaly The position along the orbit of the target.
+	 * @param {number} time The time in seconds the node is planned at, see `Orbit.time_at_true_anomaly`.
+	 */
+	constructor(target, true_anomaly, time) {
+		this.target = target
+		this.true_anomaly = true_anomaly
+		this.time = target.time_at_true_anomaly(true_anomaly, time)
+
+		this.prograde = 0.0
+		this.normal = 0.0
+		this.radial = 0.0
+	}
+
+	/**Gets the _state vectors_ of the target relative to its parent at the node, before the burn.
+	 *
+	 * @returns {object} Object with the `position` and `velocity` **point** objects.
+	 */
+	state_vectors() {
+		return this.target.orbit.state_vectors(this.target.parent.body, this.true_anomaly)
+	}
+
+	/**Gets the unit directions of the _Δv_ components at the node.
+	 *
+	 * @returns {object} Object with the `prograde`, `normal` and `radial` **point** objects.
+	 */
+	get_directions() {
+		const { position: r, velocity: v } = this.state_vectors()
+
+		const prograde = vector_normalize(v)
+		const normal = vector_normalize(vector_cross(r, v))
+		return { prograde, normal, radial: vector_cross(prograde, normal) }
+	}
+
+	/**Gets the planned _Δv_ as a vector relative to the parent.
+	 *
+	 * @returns {object} The _Δv_ **point** object.
+	 */
+	get_burn_vector() {
+		const { prograde, normal, radial } = this.get_directions()
+		const component = axis =>
+			prograde[axis] * this.prograde + normal[axis] * this.normal + radial[axis] * this.radial
+
+		return { x: component("x"), y: component("y"), z: component("z") }
+	}
+
+	/**Gets the total planned _Δv_.
+	 *
+	 * @returns {number} The _Δv_ in meters per second.
+	 */
+	get_delta_velocity() {
+		return Math.hypot(this.prograde, this.normal, this.radial)
+	}
+
+	/**Gets the orbit the target would be on after the burn.
+	 *
+	 * @returns {object} Object with the predicted `orbit` and the `true_anomaly` of the node along it.
+	 */
+	predict() {
+		const { position, velocity } = this.state_vectors()
+		const burn = this.get_burn_vector()
+		const orbit = KeplerianOrbit.from_state_vectors(this.target.parent.body, position, {
+			x: velocity.x + burn.x,
+			y: velocity.y + burn.y,
+			z: velocity.z + burn.z,
+		})
+
+		return { orbit, true_anomaly: orbit.true_anomaly_at_point(position) }
+	}
+
+	/**The `execute` function makes the planned burn with the `burn` function of the target.
+	 *
+	 * @returns {number} The _Δv_ made in meters per second.
+	 */
+	execute() {
+		return this.target.burn(this.time, this.get_burn_vector())
+	}
+
+	/**Gets the position of the node in canvas pixels, using the `transform` recorded for the parent of the target.
+	 *
+	 * @param {Canvas} canvas The canvas the target is drawn on.
+	 * @returns {object | null} The point with `x` and `y` pixel coordinates, or **null** if not drawn yet.
+	 */
+	screen_position(canvas) {
+		const transform = this.target.parent?.transform
+		if (!transform) return null
+
+		const { a, b, c, d, e, f } = transform
+		const { x, y } = canvas.project(this.state_vectors().position)
+		return { x: a * x + c * y + e, y: b * x + d * y + f }
+	}
+
+	/**Gets the handles of the node in canvas pixels. Handles that point straight at the camera are left out.
+	 *
+	 * @param {Canvas} canvas The canvas the target is drawn on.
+	 * @param {number} length The distance in pixels from the node to the handles.
+	 * @returns {object[]} The `MANOEUVRE_HANDLES` with the `x`, `y` and unit `direction` on the screen.
+	 */
+	get_handles(canvas, length = 40.0) {
+		const center = this.screen_position(canvas)
+		if (!center) return []
+
+		const { a, b, c, d } = this.target.parent.transform
+		const directions = this.get_directions()
+
+		return MANOEUVRE_HANDLES.flatMap(handle => {
+			const direction = canvas.project(directions[handle.component])
+			const dx = a * direction.x + c * direction.y
+			const dy = b * direction.x + d * direction.y
+			const norm = Math.hypot(dx, dy)
+			if (norm < 1e-9) return []
+
+			const unit = { x: (dx / norm) * handle.sign, y: (dy / norm) * handle.sign }
+			return [
+				{
+					...handle,
+					x: center.x + unit.x * length,
+					y: center.y + unit.y * length,
+					direction: unit,
+				},
+			]
+		})
+	}
+
+	/**The `draw` function draws the predicted orbit as a dashed path and the node with its handles.
+	 *
+	 * @param {Canvas} canvas The canvas to draw on.
+	 * @param {number} width The line width.
+	 * @param {string} color The line color.
+	 */
+	draw(canvas, width = 0.02, color = "#ffcc66") {
+		const target = this.target
+		if (!target.parent?.transform) return
+
+		canvas.context.save()
+		canvas.context.setTransform(target.parent.transform)
+		const { orbit } = this.predict()
+		target.transform_orbital_plane(canvas, orbit)
+
+		canvas.context.strokeStyle = color
+		canvas.context.lineWidth = width
+		canvas.context.setLineDash([width * 4.0, width * 3.0])
+		canvas.context.beginPath()
+		target.trace_orbit(canvas.context, orbit)
+		canvas.context.stroke()
+		canvas.context.restore()
+
+		// The handles are drawn in pixels so they keep their size when zooming.
+		const center = this.screen_position(canvas)
+
+		canvas.context.save()
+		canvas.context.setTransform(1, 0, 0, 1, 0, 0)
+		canvas.context.lineWidth = 1.5
+
+		for (const handle of this.get_handles(canvas)) {
+			canvas.context.strokeStyle = handle.color
+			canvas.context.fillStyle = handle.color
+			canvas.context.beginPath()
+			canvas.context.moveTo(center.x, center.y)
+			canvas.context.lineTo(handle.x, handle.y)
+			canvas.context.stroke()
+
+			canvas.context.beginPath()
+			canvas.context.arc(handle.x, handle.y, handle.sign > 0.0 ? 5.0 : 3.0, 0, Math.PI * 2)
+			canvas.context.fill()
+		}
+
+		canvas.context.fillStyle = color
+		canvas.context.beginPath()
+		canvas.context.arc(center.x, center.y, 4.0, 0, Math.PI * 2)
+		canvas.context.fill()
+		canvas.context.restore()
+	}
+}
+
+/**The `ManoeuvrePlanner` class lets the user plan a `ManoeuvreNode` by dragging its handles,
+ * and shows the planned burn in the UI. The node is made by the target when the clock reaches it.
+ *
+ * A `change` event is dispatched whenever the user plans, adjusts or removes the node,
+ * with the `target` and the `node`, or **null** if it was removed, in the event `detail`.
+ */
+class ManoeuvrePlanner extends EventTarget {
+	/**Creates a `ManoeuvrePlanner` class that listens to the input events of the canvas element.
+	 * Pressing a handle is captured before the `CameraControls` and `Selection` get the event.
+	 *
+	 * @param {Node} parent The UI ellement to attach the panel to.
+	 * @param {Canvas} canvas The canvas the nodes are drawn on.
+	 * @param {number} tolerance The distance in pixels a handle can be missed by.
+	 * @param {number} sensitivity The fraction of the orbital speed at the node a pixel of dragging changes.
+	 */
+	constructor(parent, canvas, tolerance = 8.0, sensitivity = 0.002) {
+		super()
+		this.canvas = canvas
+		this.tolerance = tolerance
+		this.sensitivity = sensitivity
+
+		this.node = null
+		this.drag = null
+
+		this.title = makeNode({ tagName: "h2" })
+		this.values = MANOEUVRE_ROWS.map(() => makeNode({ tagName: "dd" }))
+
+		this.element = makeNode({
+			tagName: "section",
+			parent,
+			class: ["manoeuvre", "kode-mono-400"],
+			hidden: true,
+			childNodes: [
+				this.title,
+				{
+					tagName: "dl",
+					childNodes: MANOEUVRE_ROWS.flatMap(([label], i) => [
+						{ tagName: "dt", textContent: label },
+						this.values[i],
+					]),
+				},
+			],
+		})
+
+		const element = canvas.element
+		element.addEventListener("pointerdown", e => this.pointerdown(e), { capture: true })
+		element.addEventListener("pointermove", e => this.pointermove(e), { capture: true })
+		element.addEventListener("pointerup", e => this.pointerup(e), { capture: true })
+		element.addEventListener("pointercancel", e => this.pointerup(e), { capture: true })
+	}
+
+	/**The `plan` function replaces the planned node with a new one along the orbit of a target.
+	 * Points the target has already passed on a open trajectory can not be planned.
+	 *
+	 * @param {Orbit} target The object that makes the burn.
+	 * @param {TrueAnomaly} true_anomaly The position along the orbit of the target.
+	 * @param {number} time The time in seconds to plan from.
+	 * @returns {ManoeuvreNode | null} The planned node.
+	 */
+	plan(target, true_anomaly, time) {
+		this.clear()
+
+		const node = new ManoeuvreNode(target, true_anomaly, time)
+		if (node.time === null) return null
+
+		target.manoeuvre = node
+		this.node = node
+		this.dispatchEvent(new CustomEvent("change", { detail: { target, node } }))
+		return node
+	}
+
+	/**The `clear` function removes the planned node.
+	 */
+	clear() {
+		const target = this.node?.target
+		if (target?.manoeuvre === this.node) {
+			target.manoeuvre = null
+			this.dispatchEvent(new CustomEvent("change", { detail: { target, node: null } }))
+		}
+		this.node = null
+		this.drag = null
+		this.element.hidden = true
+	}
+
+	/**The `pointerdown` function starts dragging the handle under the pointer, if there is one.
+	 * The event is then prevented so the camera and selection leave it alone.
+	 *
+	 * @param {PointerEvent} event The pointer event.
+	 */
+	pointerdown(event) {
+		if (!this.node) return
+
+		const handle = this.node
+			.get_handles(this.canvas)
+			.find(
+				handle =>
+					Math.hypot(handle.x - event.offsetX, handle.y - event.offsetY) <= this.tolerance
+			)
+		if (!handle) return
+
+		event.preventDefault()
+		this.canvas.element.setPointerCapture(event.pointerId)
+		this.drag = { handle, pointer: event.pointerId, x: event.offsetX, y: event.offsetY }
+	}
+
+	/**The `pointermove` function changes the component of the dragged handle by the movement along it,
+	 * scaled by the speed at the node and the `sensitivity`.
+	 *
+	 * @param {PointerEvent} event The pointer event.
+	 */
+	pointermove(event) {
+		if (!this.drag || this.drag.pointer !== event.pointerId) return
+
+		// Only the movement along the handle changes its component.
+		const { handle, x, y } = this.drag
+		const along =
+			(event.offsetX - x) * handle.direction.x + (event.offsetY - y) * handle.direction.y
+		const { velocity } = this.node.state_vectors()
+		const speed = vector_length(velocity)
+
+		this.node[handle.component] += along * handle.sign * speed * this.sensitivity
+		this.drag.x = event.offsetX
+		this.drag.y = event.offsetY
+		this.dispatchEvent(
+			new CustomEvent("change", { detail: { target: this.node.target, node: this.node } })
+		)
+	}
+
+	/**The `pointerup` function stops dragging when the pointer that started it is released.
+	 *
+	 * @param {PointerEvent} event The pointer event.
+	 */
+	pointerup(event) {
+		if (this.drag?.pointer === event.pointerId) this.drag = null
+	}
+
+	/**The `draw` function draws the planned node, unless the target already made the burn.
+	 *
+	 * @param {Canvas} canvas The canvas to draw on.
+	 */
+	draw(canvas) {
+		if (this.node && this.node.target.manoeuvre === this.node)
+			this.node.draw(canvas, 1.5 / canvas.get_zoom())
+	}
+
+	/**The `update` function patches the shown values of the planned node.
+	 * Once the target made the burn the node is cleared.
+	 *
+	 * @param {Canvas} canvas The canvas the node is drawn on.
+	 */
+	update(canvas) {
+		if (!this.node) return
+		if (this.node.target.manoeuvre !== this.node) return this.clear()
+
+		const patch = (node, text) => {
+			if (node.textContent !== text) node.textContent = text
+		}
+
+		const target = this.node.target
+		patch(this.title, `Manoeuvre ${target.name ?? target.constructor.name}`)
+		MANOEUVRE_ROWS.forEach(([, format], i) =>
+			patch(this.values[i], format(this.node, canvas.clock.time))
+		)
+		this.element.hidden = false
+	}
+}
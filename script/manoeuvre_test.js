@@ -0,0 +1,85 @@
+/**Creates a planet on a circular orbit with a `ManoeuvreNode` a quarter of a orbit ahead.
+ *
+ * @returns {object} Object with the `planet` and its `node`.
+ */
+function manoeuvre_on_circular_orbit() {
+	const star = new Star(new Object({}), 0, 0, 1.0e10)
+	const planet = new Planet({ parent: star, radius: 0.1, mass: 1.0e6, semimajor_axis: 4 })
+	const node = new ManoeuvreNode(planet, new TrueAnomaly(Math.PI / 2.0), 0.0)
+	planet.manoeuvre = node
+
+	return { planet, node }
+}
+
+test(manoeuvre_time_test)
+function manoeuvre_time_test() {
+	const { planet, node } = manoeuvre_on_circular_orbit()
+	const period = planet.orbit.orbital_period(planet.parent.body)
+
+	assert_close(node.time, period / 4.0, 1e-9, "The node is not a quarter of a orbit ahead!")
+	assert_close(
+		planet.time_at_true_anomaly(new TrueAnomaly(Math.PI / 2.0), period / 2.0),
+		(period * 5.0) / 4.0,
+		1e-9,
+		"A passed node on a closed orbit is not planned for the next orbit!"
+	)
+
+	// Open trajectories never come back to a passed point.
+	planet.orbit = new KeplerianOrbit(4, 1.5)
+	assert.equal(
+		planet.time_at_true_anomaly(new TrueAnomaly(-0.5), 0.0),
+		null,
+		"A passed point on a open trajectory was planned!"
+	)
+	assert(
+		planet.time_at_true_anomaly(new TrueAnomaly(0.5), 0.0) > 0.0,
+		"A point ahead on a open trajectory was not planned!"
+	)
+}
+
+test(manoeuvre_directions_test)
+function manoeuvre_directions_test() {
+	const { node } = manoeuvre_on_circular_orbit()
+
+	// At the top of a counter clockwise orbit prograde points left and radial out points up.
+	const { prograde, normal, radial } = node.get_directions()
+	assert_close(prograde, { x: -1.0, y: 0.0, z: 0.0 }, 1e-9, "The prograde direction is wrong!")
+	assert_close(normal, { x: 0.0, y: 0.0, z: 1.0 }, 1e-9, "The normal direction is wrong!")
+	assert_close(radial, { x: 0.0, y: 1.0, z: 0.0 }, 1e-9, "The radial direction is wrong!")
+
+	node.prograde = 2.0
+	node.radial = -1.0
+	assert_close(
+		node.get_burn_vector(),
+		{ x: -2.0, y: -1.0, z: 0.0 },
+		1e-9,
+		"The burn vector does not match the components!"
+	)
+	assert_close(node.get_delta_velocity(), Math.sqrt(5.0), 1e-9, "The node Δv is wrong!")
+}
+
+test(manoeuvre_execute_test)
+function manoeuvre_execute_test() {
+	const { planet, node } = manoeuvre_on_circular_orbit()
+	const { position, velocity } = node.state_vectors()
+	node.prograde = Math.hypot(velocity.x, velocity.y) * 0.1
+	const predicted = node.predict().orbit
+
+	// Stepping the clock past the node makes the burn at the time of the node.
+	const canvas = { clock: { time: node.time * 1.5 }, project: point => point }
+	planet.update(canvas)
+
+	assert.equal(planet.manoeuvre, null, "The node was not cleared after the burn!")
+	assert_close(
+		[planet.orbit.semimajor_axis, planet.orbit.eccentricity, planet.orbit.periapsis()],
+		[predicted.semimajor_axis, predicted.eccentricity, 4.0],
+		1e-9,
+		"The burn does not match the predicted orbit!"
+	)
+	assert_close(
+		planet.state_vectors(node.time).position,
+		position,
+		1e-9,
+		"The burn was not made at the node!"
+	)
+}
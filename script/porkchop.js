@@ -0,0 +1,347 @@
+/**The `porkchop_transfer` function plans the direct transfer between two bodies orbiting the same parent
+ * with `solve_lambert`, moving the same way around the parent as the departure body.
+ * The _Δv_ is the speed needed to leave the orbit of `from` and to match the orbit of `to`,
+ * the gravity of the bodies themselves is ignored.
+ *
+ * The transfer has the same fields as the transfers of `CelestialObject.get_transfers`,
+ * with the `end_anomalies` used by `Orbit.draw_transfer` and the `departure_time` and `arrival_time`.
+ *
+ * @param {Orbit} from The body to depart from.
+ * @param {Orbit} to The body to arrive at.
+ * @param {number} departure_time The simulation time in seconds of departure.
+ * @param {number} arrival_time The simulation time in seconds of arrival.
+ * @returns {object} The transfer, or **null** if there is none.
+ */
+function porkchop_transfer(from, to, departure_time, arrival_time) {
+	const departure = from.state_vectors(departure_time)
+	const arrival = to.state_vectors(arrival_time)
+
+	const solution = solve_lambert(
+		from.parent.body,
+		departure.position,
+		arrival.position,
+		arrival_time - departure_time,
+		from.orbit.clockwise
+	)
+	if (!solution) return null
+
+	const burns = [
+		vector_length(vector_subtract(solution.departure_velocity, departure.velocity)),
+		vector_length(vector_subtract(arrival.velocity, solution.arrival_velocity)),
+	]
+
+	// The arrival is always reached moving forward along the orbit.
+	const start = solution.departure_anomaly.angle
+	const sweep = solution.arrival_anomaly.angle - start
+	const end = start + (((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2))
+
+	return {
+		type: "lambert",
+		burns,
+		delta_velocity: burns[0] + burns[1],
+		transfer_orbits: [solution.orbit],
+		start_anomalies: [start],
+		end_anomalies: [end],
+		time_of_flight: arrival_time - departure_time,
+		departure_time,
+		arrival_time,
+	}
+}
+
+/**The `porkchop_window` function gets a range of departure and arrival times that is likely to hold the launch window.
+ * Departures span one _[synodic period](https://en.wikipedia.org/wiki/Orbital_period#Synodic_period)_,
+ * and arrivals span from a third to twice the time of flight of a _Hohmann transfer_ after those.
+ *
+ * @param {Orbit} from The body to depart from.
+ * @param {Orbit} to The body to arrive at.
+ * @param {number} time The earliest departure time in seconds.
+ * @returns {object} Object with the `departure` and `arrival` time ranges as `[start, end]` arrays.
+ */
+function porkchop_window(from, to, time) {
+	const parent_boddy = from.parent.body
+	const from_period = from.orbit.orbital_period(parent_boddy)
+	const to_period = to.orbit.orbital_period(parent_boddy)
+
+	// Bodies with the same period never line up differently, so a full period is used.
+	const longest = Math.max(from_period, to_period)
+	const synodic = Math.abs((from_period * to_period) / (to_period - from_period))
+	const span = Math.min(synodic, longest * 2.0)
+
+	const { time_of_flight } = parent_boddy.get_hohmann_transfer(from.orbit, to.orbit)
+
+	return {
+		departure: [time, time + span],
+		arrival: [time + time_of_flight / 3.0, time + span + time_of_flight * 2.0],
+	}
+}
+
+/**The `compute_porkchop` function calculates the total _Δv_ of the direct transfers for a grid of
+ * departure and arrival times, see `porkchop_transfer`.
+ * Cells arriving before departing, or without a transfer, have a infinite _Δv_.
+ *
+ * @param {Orbit} from The body to depart from.
+ * @param {Orbit} to The body to arrive at.
+ * @param {number[]} departure The range of departure times in seconds as a `[start, end]` array.
+ * @param {number[]} arrival The range of arrival times in seconds as a `[start, end]` array.
+ * @param {number} size The number of departure and arrival times.
+ * @returns {object} Object with the `departure_times`, `arrival_times`,
+ * the `delta_velocity` rows of each arrival time and the `best` cell.
+ */
+function compute_porkchop(from, to, departure, arrival, size = 48) {
+	const times = ([start, end]) =>
+		Array.from({ length: size }, (_, i) => start + ((end - start) * (i + 0.5)) / size)
+
+	const departure_times = times(departure)
+	const arrival_times = times(arrival)
+
+	let best = null
+	const delta_velocity = arrival_times.map((arrival_time, j) =>
+		departure_times.map((departure_time, i) => {
+			if (arrival_time <= departure_time) return Infinity
+
+			const transfer = porkchop_transfer(from, to, departure_time, arrival_time)
+			const value = transfer ? transfer.delta_velocity : Infinity
+
+			if (value < (best?.delta_velocity ?? Infinity)) best = { i, j, delta_velocity: value }
+			return value
+		})
+	)
+
+	return { from, to, departure_times, arrival_times, delta_velocity, best }
+}
+
+/**The `porkchop_contours` function traces the contour lines of a grid of values with
+ * _[marching squares](https://en.wikipedia.org/wiki/Marching_squares)_.
+ * The value of each cell lies at its center, so `values[j][i]` is at `(i + 0.5, j + 0.5)`.
+ * Cells next to non-finite values are left out.
+ *
+ * @param {number[][]} values The rows of values.
+ * @param {number} level The value to trace.
+ * @returns {number[][]} The line segments as `[x1, y1, x2, y2]` arrays.
+ */
+function porkchop_contours(values, level) {
+	const segments = []
+
+	for (let j = 0; j + 1 < values.length; j++) {
+		for (let i = 0; i + 1 < values[j].length; i++) {
+			// The corners counterclockwise from the bottom left.
+			const corners = [
+				[i, j],
+				[i + 1, j],
+				[i + 1, j + 1],
+				[i, j + 1],
+			].map(([x, y]) => ({ x: x + 0.5, y: y + 0.5, value: values[y][x] }))
+			if (!corners.every(corner => Number.isFinite(corner.value))) continue
+
+			// The points where the level crosses each edge.
+			const crossings = []
+			corners.forEach((a, k) => {
+				const b = corners[(k + 1) % 4]
+				if (a.value < level === b.value < level) return
+
+				const t = (level - a.value) / (b.value - a.value)
+				crossings.push([a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t])
+			})
+
+			// Saddle cells cross all four edges and are joined in order around the cell.
+			for (let k = 0; k + 1 < crossings.length; k += 2)
+				segments.push([...crossings[k], ...crossings[k + 1]])
+		}
+	}
+
+	return segments
+}
+
+/**The `PorkchopGrid` class draws a porkchop plot from `compute_porkchop` on a `Canvas`,
+ * with the departure times along `x` and the arrival times along `y`, one world unit per cell.
+ * Cells are colored from blue to red by the logarithm of their _Δv_, with contour lines in between.
+ */
+class PorkchopGrid extends Object {
+	/**Creates a `PorkchopGrid` class that draws a porkchop plot.
+	 *
+	 * @param {Canvas} canvas The canvas to draw on.
+	 * @param {object} porkchop The porkchop plot from `compute_porkchop`.
+	 * @param {number} range The ratio between the _Δv_ of the red and blue cells.
+	 * @param {number} contours The number of contour lines.
+	 */
+	constructor(canvas, porkchop, range = 4.0, contours = 8) {
+		super({ parent: canvas })
+		this.porkchop = porkchop
+		this.range = range
+		this.contours = contours
+		this.selected = null
+	}
+
+	/**Gets the cell of a point in world coordinates.
+	 *
+	 * @param {object} point The point with `x` and `y` world coordinates.
+	 * @returns {object | null} Object with the `i` and `j` index of the cell, or **null** if outside of the grid.
+	 */
+	cell_at({ x, y }) {
+		const i = Math.floor(x)
+		const j = Math.floor(y)
+		if (j < 0 || j >= this.porkchop.arrival_times.length) return null
+		if (i < 0 || i >= this.porkchop.departure_times.length) return null
+
+		return { i, j }
+	}
+
+	/**Gets the color of a _Δv_ on a logarithmic scale from the `best` cell.
+	 *
+	 * @param {number} delta_velocity The _Δv_.
+	 * @returns {string} The color.
+	 */
+	color(delta_velocity) {
+		if (!Number.isFinite(delta_velocity)) return "#222222"
+
+		const best = this.porkchop.best.delta_velocity
+		const t = Math.min(Math.log(delta_velocity / best) / Math.log(this.range), 1.0)
+		return `hsl(${240.0 * (1.0 - t)}, 80%, ${30.0 + 20.0 * t}%)`
+	}
+
+	draw(canvas) {
+		const context = canvas.context
+		const pixel = 1.0 / canvas.get_zoom()
+		const { delta_velocity, best } = this.porkchop
+		if (!best) return
+
+		delta_velocity.forEach((row, j) =>
+			row.forEach((value, i) => {
+				context.fillStyle = this.color(value)
+				// Slightly oversized to hide the seams between cells.
+				context.fillRect(i, j, 1.0 + pixel, 1.0 + pixel)
+			})
+		)
+
+		// Contours spaced evenly on the logarithmic color scale.
+		context.strokeStyle = "#ffffffaa"
+		context.lineWidth = pixel
+		context.beginPath()
+		for (let k = 1; k <= this.contours; k++) {
+			const level = best.delta_velocity * Math.pow(this.range, k / this.contours)
+			for (const [x1, y1, x2, y2] of porkchop_contours(delta_velocity, level)) {
+				context.moveTo(x1, y1)
+				context.lineTo(x2, y2)
+			}
+		}
+		context.stroke()
+
+		// Mark the cheapest and the selected cells.
+		context.lineWidth = pixel * 2.0
+		for (const [cell, color] of [
+			[best, "#ffffff"],
+			[this.selected, "#ffcc66"],
+		]) {
+			if (!cell) continue
+
+			context.strokeStyle = color
+			context.strokeRect(cell.i, cell.j, 1.0, 1.0)
+		}
+	}
+}
+
+/**The `PorkchopPlot` class shows a porkchop plot between two bodies in its own panel of the UI.
+ * Clicking a cell plans that transfer and dispatches a `select` event with a `detail` object
+ * holding the `from` and `to` bodies and the `transfer` from `porkchop_transfer`.
+ */
+class PorkchopPlot extends EventTarget {
+	/**Creates a `PorkchopPlot` class that shows a porkchop plot between two bodies orbiting the same parent.
+	 *
+	 * @param {Node} parent The UI ellement to attach the panel to.
+	 * @param {Orbit} from The body to depart from.
+	 * @param {Orbit} to The body to arrive at.
+	 * @param {Clock} clock The clock to show the dates and find the earliest departure with.
+	 * @param {number} size The number of departure and arrival times.
+	 */
+	constructor(parent, from, to, clock, size = 48) {
+		super()
+		this.from = from
+		this.to = to
+		this.clock = clock
+
+		const { departure, arrival } = porkchop_window(from, to, clock.time)
+		this.porkchop = compute_porkchop(from, to, departure, arrival, size)
+
+		const name = body => body.name ?? body.constructor.name
+		const date = time => this.format_date(time)
+
+		this.caption = makeNode({ tagName: "p" })
+		const element = makeNode({ tagName: "canvas" })
+		this.element = makeNode({
+			tagName: "section",
+			parent,
+			class: ["porkchop", "kode-mono-400"],
+			childNodes: [
+				{ tagName: "h2", textContent: `${name(from)} → ${name(to)}` },
+				element,
+				{
+					tagName: "p",
+					textContent: `Departure ${date(departure[0])} – ${date(departure[1])} →`,
+				},
+				{
+					tagName: "p",
+					textContent: `Arrival ${date(arrival[0])} – ${date(arrival[1])} ↑`,
+				},
+				this.caption,
+			],
+		})
+
+		const columns = this.porkchop.departure_times.length
+		const rows = this.porkchop.arrival_times.length
+		const camera = new Camera(columns / 2.0, rows / 2.0, columns / 2.0, rows / 2.0)
+		this.canvas = new Canvas(element, "#000000", camera)
+		this.grid = new PorkchopGrid(this.canvas, this.porkchop)
+		this.canvas.animation(null, false)
+
+		element.addEventListener("pointerup", e => {
+			const cell = this.grid.cell_at(
+				this.canvas.screen_to_world({ x: e.offsetX, y: e.offsetY })
+			)
+			if (cell) this.select(cell)
+		})
+
+		const best = this.porkchop.best
+		this.caption.textContent = best
+			? `Best ${formatQuantity(best.delta_velocity, "m/s")}`
+			: "No transfers found"
+	}
+
+	/**The `select` function plans the transfer of a cell and dispatches a `select` event.
+	 *
+	 * @param {object} cell Object with the `i` and `j` index of the cell.
+	 */
+	select({ i, j }) {
+		const departure_time = this.porkchop.departure_times[i]
+		const arrival_time = this.porkchop.arrival_times[j]
+		if (!Number.isFinite(this.porkchop.delta_velocity[j][i])) return
+
+		const transfer = porkchop_transfer(this.from, this.to, departure_time, arrival_time)
+		const date = time => this.format_date(time)
+
+		this.grid.selected = { i, j }
+		this.canvas.redraw()
+		this.caption.textContent = `${date(departure_time)} → ${date(
+			arrival_time
+		)} ${formatQuantity(transfer.delta_velocity, "m/s")}`
+
+		this.dispatchEvent(
+			new CustomEvent("select", { detail: { from: this.from, to: this.to, transfer } })
+		)
+	}
+
+	/**The `format_date` function formats a simulation time as a date down to the minute.
+	 *
+	 * @param {number} time The simulation time in seconds.
+	 * @returns {string} The formatted date.
+	 */
+	format_date(time) {
+		return this.clock.get_date(time).toISOString().slice(0, 16).replace("T", " ")
+	}
+
+	/**The `remove` function removes the panel from the UI.
+	 */
+	remove() {
+		this.canvas.resizeObserver.disconnect()
+		this.element.remove()
+	}
+}
@@ -0,0 +1,68 @@
+test(porkchop_contours_test)
+function porkchop_contours_test() {
+	// A ramp along `x` has straight vertical contours.
+	const values = Array.from({ length: 4 }, () => [0.0, 1.0, 2.0, 3.0])
+	const segments = porkchop_contours(values, 1.5)
+
+	assert.equal(segments.length, 3, `'porkchop_contours' found ${segments.length} segments!`)
+	for (const segment of segments)
+		assert_close(
+			[segment[0], segment[2], Math.abs(segment[3] - segment[1])],
+			[2.0, 2.0, 1.0],
+			1e-12,
+			`'porkchop_contours' segment is not on the contour! ${segment}`
+		)
+
+	// Cells next to missing values are left out.
+	values[0][1] = Infinity
+	assert.equal(
+		porkchop_contours(values, 1.5).length,
+		2,
+		"'porkchop_contours' traced a cell next to a missing value!"
+	)
+}
+
+test(porkchop_hohmann_test)
+function porkchop_hohmann_test() {
+	const root = new Object({})
+	const star = new Star(root, 0, 0, 1.0e10)
+	const inner = new Planet({ parent: star, radius: 0.1, mass: 1.0e6, semimajor_axis: 3 })
+	const outer = new Planet({
+		parent: star,
+		radius: 0.1,
+		mass: 1.0e6,
+		semimajor_axis: 7,
+		mean_anomaly_at_epoch: 2.0,
+	})
+
+	// Between circular orbits no direct transfer beats the Hohmann transfer, but the best comes close.
+	const hohmann = star.body.get_hohmann_transfer(inner.orbit, outer.orbit)
+	const { departure, arrival } = porkchop_window(inner, outer, 0.0)
+	const porkchop = compute_porkchop(inner, outer, departure, arrival, 32)
+	const best = porkchop.best.delta_velocity
+
+	assert(
+		best >= hohmann.delta_velocity * (1.0 - 1e-6) && best <= hohmann.delta_velocity * 1.1,
+		`The best porkchop transfer is not close to the hohmann transfer! ${best} != ${hohmann.delta_velocity}`
+	)
+
+	// The drawn arc ends where the target is at arrival.
+	const transfer = porkchop_transfer(
+		inner,
+		outer,
+		porkchop.departure_times[porkchop.best.i],
+		porkchop.arrival_times[porkchop.best.j]
+	)
+	const end = new TrueAnomaly(transfer.end_anomalies[0]).point3d(transfer.transfer_orbits[0])
+	const { position } = outer.state_vectors(transfer.arrival_time)
+	assert_close(
+		Math.hypot(end.x - position.x, end.y - position.y, end.z - position.z),
+		0.0,
+		1e-6,
+		`The porkchop transfer does not end at the target! ${JSON.stringify(end)}`
+	)
+	assert(
+		transfer.end_anomalies[0] > transfer.start_anomalies[0],
+		"The porkchop transfer does not move forward along its orbit!"
+	)
+}
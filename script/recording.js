@@ -0,0 +1,475 @@
+/**The version of the recording format written by `SessionRecorder`.
+ */
+const RECORDING_FORMAT_VERSION = 1
+
+/**The commands a recording can hold, each with the function that applies it to the canvas being replayed.
+ * Commands describe the state the input left behind rather than the input itself,
+ * like the new warp instead of the key that changed it, so applying one never depends on the state before it.
+ */
+const RECORDING_COMMANDS = {
+	/**Sets the time `warp` and whether the clock is `paused`.
+	 */
+	clock(canvas, { warp, paused }) {
+		canvas.clock.set_warp(warp)
+		if (paused) canvas.clock.pause()
+		else canvas.clock.resume()
+	},
+
+	/**Follows the named `target` with the camera, or stops following when it is **null**.
+	 */
+	follow(canvas, { target }) {
+		canvas.camera.follow(target === null ? null : find_recorded_body(canvas, target))
+	},
+
+	/**Plans the `node` of the named `target`, or removes its planned node when it is **null**.
+	 * The node keeps the recorded time instead of searching for it along the orbit again.
+	 */
+	manoeuvre(canvas, { target, node }) {
+		const entity = find_recorded_body(canvas, target)
+		if (!node) {
+			entity.manoeuvre = null
+			return
+		}
+
+		const manoeuvre = new ManoeuvreNode(entity, new TrueAnomaly(node.true_anomaly), node.time)
+		manoeuvre.time = node.time
+		manoeuvre.prograde = node.prograde
+		manoeuvre.normal = node.normal
+		manoeuvre.radial = node.radial
+		entity.manoeuvre = manoeuvre
+	},
+
+	/**Seeds the `NBodySimulation` with every body when `seeded`, or releases them.
+	 */
+	simulation(canvas, { seeded }, simulation) {
+		if (seeded) simulation.seed(list_bodies(canvas), canvas.clock.time)
+		else simulation.release()
+	},
+}
+
+/**The `RecordingFormatError` class is thrown when a recording is not valid, or does not replay the way it was recorded.
+ * The `errors` array holds every problem found, each prefixed with the path to the offending value.
+ */
+class RecordingFormatError extends Error {
+	/**Creates a `RecordingFormatError` class listing every problem found in a recording.
+	 *
+	 * @param {string[]} errors The problems found.
+	 */
+	constructor(errors) {
+		super(`Invalid recording:\n${errors.map(error => `- ${error}`).join("\n")}`)
+		this.name = "RecordingFormatError"
+		this.errors = errors
+	}
+}
+
+/**The `validate_recording` function checks a recording and lists every problem found.
+ *
+ * A recording is a JSON object of the form:
+ * ```
+ * {
+ *     "version": 1,
+ *     "delta": 0.016666666666666666,
+ *     "ticks": 600,
+ *     "clock": { "time": 0, "warp": 1, "paused": false },
+ *     "simulation": { "integrator": "verlet", "substep": 0.01, "tolerance": 1e-9, "max_substeps": 1000 },
+ *     "scene": { "version": 1, "bodies": [...] },
+ *     "commands": [
+ *         { "tick": 0, "time": 0, "type": "follow", "target": "Probe" },
+ *         { "tick": 120, "time": 2, "type": "clock", "warp": 10, "paused": false }
+ *     ],
+ *     "checksum": "5f3a09c1"
+ * }
+ * ```
+ * The `scene` is a star system description, see `validate_system`, and each command is applied
+ * before the update numbered by its `tick`, see `RECORDING_COMMANDS`.
+ *
+ * @param {object} data The recording.
+ * @returns {string[]} The problems found, empty if the recording is valid.
+ */
+function validate_recording(data) {
+	const errors = []
+	const is_number = value => typeof value === "number" && Number.isFinite(value)
+
+	if (typeof data !== "object" || data === null) return ["The recording must be a object."]
+
+	if (data.version !== RECORDING_FORMAT_VERSION)
+		errors.push(
+			`version: Unsupported version ${JSON.stringify(
+				data.version
+			)}, expected ${RECORDING_FORMAT_VERSION}.`
+		)
+
+	if (!is_number(data.delta) || data.delta <= 0)
+		errors.push(`delta: Must be a positive number, got ${JSON.stringify(data.delta)}.`)
+
+	if (!Number.isInteger(data.ticks) || data.ticks < 0)
+		errors.push(
+			`ticks: Must be a whole number of at least 0, got ${JSON.stringify(data.ticks)}.`
+		)
+
+	if (!is_number(data.clock?.time) || !is_number(data.clock?.warp))
+		errors.push("clock: Must be a object with numeric time and warp.")
+
+	// The global `Object` is the scene graph class, so the keys are listed with `Reflect`.
+	const integrators = Reflect.ownKeys(NBODY_INTEGRATORS)
+	if (!integrators.includes(data.simulation?.integrator))
+		errors.push(
+			`simulation.integrator: Unknown integrator ${JSON.stringify(
+				data.simulation?.integrator
+			)}, expected one of ${integrators.join(", ")}.`
+		)
+
+	errors.push(...validate_system(data.scene).map(error => `scene.${error}`))
+
+	if (!Array.isArray(data.commands)) {
+		errors.push("commands: Must be a array.")
+		return errors
+	}
+
+	const types = Reflect.ownKeys(RECORDING_COMMANDS)
+	let last = 0
+	data.commands.forEach((command, i) => {
+		const path = `commands[${i}]`
+		if (typeof command !== "object" || command === null) {
+			errors.push(`${path}: Must be a object.`)
+			return
+		}
+
+		if (!Number.isInteger(command.tick) || command.tick < last || command.tick > data.ticks)
+			errors.push(
+				`${path}.tick: Must be a whole number between the last command and the end, got ${JSON.stringify(
+					command.tick
+				)}.`
+			)
+		else last = command.tick
+
+		if (!is_number(command.time)) errors.push(`${path}.time: Must be a number.`)
+
+		if (!types.includes(command.type))
+			errors.push(
+				`${path}.type: Unknown command ${JSON.stringify(
+					command.type
+				)}, expected one of ${types.join(", ")}.`
+			)
+	})
+
+	return errors
+}
+
+/**The `find_recorded_body` function finds a body of the canvas by the name it is recorded with.
+ *
+ * @param {Canvas} canvas The canvas to search.
+ * @param {string} name The name of the body.
+ * @returns {Object} The body.
+ * @throws {RecordingFormatError} If there is no body with the name.
+ */
+function find_recorded_body(canvas, name) {
+	const entity = list_bodies(canvas).find(entity => entity.name === name)
+	if (!entity) throw new RecordingFormatError([`Unknown body "${name}".`])
+	return entity
+}
+
+/**The `recording_checksum` function hashes the state of a canvas, its clock time and every body as saved by `save_system`,
+ * with the 32 bit _[FNV-1a](https://en.wikipedia.org/wiki/Fowler%E2%80%93Noll%E2%80%93Vo_hash_function)_ hash.
+ * Canvases in the same state bit for bit have the same checksum, so a replay can check it ended where the recording did.
+ *
+ * @param {Canvas} canvas The canvas to hash.
+ * @returns {string} The hash as eight hexadecimal digits.
+ */
+function recording_checksum(canvas) {
+	const text = JSON.stringify({ time: canvas.clock.time, scene: save_system(canvas) })
+
+	let hash = 0x811c9dc5
+	for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193)
+	return (hash >>> 0).toString(16).padStart(8, "0")
+}
+
+/**The `SessionRecorder` class records a session on a canvas so it can be replayed by a `SessionReplay`.
+ *
+ * A recording starts with a snapshot of the scene, the clock and the settings of the `NBodySimulation`,
+ * followed by every command that changed the state, see `RECORDING_COMMANDS`, numbered by the fixed timestep
+ * update it came before. As each update steps by the same `delta`, replaying the commands before the same updates
+ * gives the same state bit for bit, which the `checksum` of the last state lets a replay check.
+ */
+class SessionRecorder {
+	/**Creates a `SessionRecorder` class that is not recording yet, see `start`.
+	 *
+	 * @param {Canvas} canvas The canvas to record.
+	 * @param {NBodySimulation} simulation The simulation the recorded bodies may be seeded into.
+	 */
+	constructor(canvas, simulation = new NBodySimulation()) {
+		this.canvas = canvas
+		this.simulation = simulation
+
+		this.recording = null
+		this.start_tick = 0
+	}
+
+	/**The `start` function starts a new recording from the current state.
+	 * Unnamed bodies are named so commands can refer to them, and simulated bodies are seeded again from their orbits,
+	 * as the saved scene only has the orbits and not the integrated state.
+	 *
+	 * @returns {object} The new recording, see `validate_recording`.
+	 */
+	start() {
+		const canvas = this.canvas
+		const simulation = this.simulation
+		const seeded = simulation.entities.length > 0
+		if (seeded) simulation.release()
+
+		const scene = save_system(canvas)
+		list_bodies(canvas).forEach((entity, i) => (entity.name = scene.bodies[i].name))
+
+		this.start_tick = canvas.ticks
+		this.recording = {
+			version: RECORDING_FORMAT_VERSION,
+			delta: canvas.timestep.delta,
+			ticks: 0,
+			clock: {
+				time: canvas.clock.time,
+				warp: canvas.clock.warp,
+				paused: canvas.clock.paused,
+			},
+			simulation: {
+				integrator: simulation.integrator,
+				substep: simulation.substep,
+				tolerance: simulation.tolerance,
+				max_substeps: simulation.max_substeps,
+			},
+			scene,
+			commands: [],
+		}
+
+		// The state the snapshot does not hold is recorded as the first commands.
+		if (canvas.camera.target?.body)
+			this.record({ type: "follow", target: canvas.camera.target.name })
+		for (const entity of list_bodies(canvas))
+			if (entity.manoeuvre) this.record_manoeuvre(entity, entity.manoeuvre)
+		if (seeded) {
+			simulation.seed(list_bodies(canvas), canvas.clock.time)
+			this.record({ type: "simulation", seeded: true })
+		}
+
+		return this.recording
+	}
+
+	/**The `record` function adds a command at the current update, if recording.
+	 * The command has to already be applied to the canvas, as it is only recorded.
+	 *
+	 * @param {object} command The command with its `type`, see `RECORDING_COMMANDS`.
+	 * @returns {object | null} The recorded command, or **null** if not recording.
+	 */
+	record(command) {
+		if (!this.recording) return null
+
+		const recorded = {
+			tick: this.canvas.ticks - this.start_tick,
+			time: this.canvas.clock.time,
+			...command,
+		}
+		this.recording.commands.push(recorded)
+		return recorded
+	}
+
+	/**The `record_manoeuvre` function records the planned node of a body, see `record`.
+	 *
+	 * @param {Orbit} target The object that makes the burn.
+	 * @param {ManoeuvreNode | null} node The planned node, or **null** if it was removed.
+	 * @returns {object | null} The recorded command, or **null** if not recording.
+	 */
+	record_manoeuvre(target, node) {
+		return this.record({
+			type: "manoeuvre",
+			target: target.name,
+			node: node && {
+				time: node.time,
+				true_anomaly: node.true_anomaly.angle,
+				prograde: node.prograde,
+				normal: node.normal,
+				radial: node.radial,
+			},
+		})
+	}
+
+	/**The `stop` function ends the recording with the number of updates made and the checksum of the last state.
+	 *
+	 * @returns {object | null} The finished recording, or **null** if not recording.
+	 */
+	stop() {
+		const recording = this.recording
+		if (!recording) return null
+
+		recording.ticks = this.canvas.ticks - this.start_tick
+		recording.checksum = recording_checksum(this.canvas)
+		this.recording = null
+		return recording
+	}
+}
+
+/**The `SessionReplay` class replays a recording made by a `SessionRecorder` on a canvas.
+ * The replay can be played at any speed or seeked to any update.
+ * Seeking backwards loads the scene again and replays from the start, as the updates can only run forward.
+ */
+class SessionReplay {
+	/**Creates a `SessionReplay` class, replacing the scene of the canvas with the one of the recording.
+	 *
+	 * @param {Canvas} canvas The canvas to replay on.
+	 * @param {object} recording The recording, see `validate_recording`.
+	 * @param {NBodySimulation} simulation The simulation the recorded bodies may be seeded into.
+	 * @throws {RecordingFormatError} If the recording is not valid.
+	 */
+	constructor(canvas, recording, simulation = new NBodySimulation()) {
+		const errors = validate_recording(recording)
+		if (errors.length > 0) throw new RecordingFormatError(errors)
+
+		this.canvas = canvas
+		this.recording = recording
+		this.simulation = simulation
+
+		// The replay position in updates, with the fraction of the next one.
+		this.position = 0.0
+		this.speed = 1.0
+		this.paused = false
+
+		this.reset()
+	}
+
+	/**The `reset` function loads the scene of the recording again and goes back to its start.
+	 */
+	reset() {
+		const { canvas, recording, simulation } = this
+		simulation.release()
+		for (const child of canvas.children.filter(child => child.body)) canvas.remove_child(child)
+		canvas.camera.follow(null)
+
+		this.bodies = load_system(canvas, recording.scene)
+		canvas.clock.jump_to(recording.clock.time)
+		RECORDING_COMMANDS.clock(canvas, recording.clock)
+		simulation.integrator = recording.simulation.integrator
+		simulation.substep = recording.simulation.substep ?? simulation.substep
+		simulation.tolerance = recording.simulation.tolerance ?? simulation.tolerance
+		simulation.max_substeps = recording.simulation.max_substeps ?? simulation.max_substeps
+
+		// The recorded canvas was updated at the start time before the snapshot was taken.
+		canvas.update()
+		canvas.keep_previous()
+		canvas.alpha = 1.0
+
+		this.tick = 0
+		this.next = 0
+		this.position = 0.0
+		this.apply_commands()
+	}
+
+	/**The `apply_commands` function applies every command due before the next update.
+	 *
+	 * @throws {RecordingFormatError} If a command is not at the time it was recorded at.
+	 */
+	apply_commands() {
+		const commands = this.recording.commands
+		for (; this.next < commands.length && commands[this.next].tick <= this.tick; this.next++) {
+			const command = commands[this.next]
+			if (command.time !== this.canvas.clock.time)
+				throw new RecordingFormatError([
+					`commands[${this.next}].time: Recorded at ${command.time}, replayed at ${this.canvas.clock.time}.`,
+				])
+
+			RECORDING_COMMANDS[command.type](this.canvas, command, this.simulation)
+		}
+	}
+
+	/**The `step` function makes the next update of the recording, after the commands due before it.
+	 *
+	 * @returns {boolean} **false** if the recording already ended.
+	 */
+	step() {
+		if (this.tick >= this.recording.ticks) return false
+
+		this.canvas.tick(this.recording.delta)
+		this.tick++
+		this.apply_commands()
+		return true
+	}
+
+	/**The `seek` function replays up to a given update.
+	 *
+	 * @param {number} tick The number of updates into the recording, clamped to its length.
+	 */
+	seek(tick) {
+		tick = Math.min(Math.max(Math.floor(tick), 0), this.recording.ticks)
+		if (tick < this.tick) this.reset()
+		while (this.tick < tick) this.step()
+
+		this.position = tick
+		this.canvas.alpha = 1.0
+	}
+
+	/**The `seek_time` function replays up to a given wall time into the recording, see `seek`.
+	 *
+	 * @param {number} time The time in seconds into the recording.
+	 */
+	seek_time(time) {
+		this.seek(time / this.recording.delta)
+	}
+
+	/**Gets the wall time into the recording the replay is at.
+	 *
+	 * @returns {number} The time in seconds.
+	 */
+	get_time() {
+		return this.position * this.recording.delta
+	}
+
+	/**Gets the wall time length of the recording.
+	 *
+	 * @returns {number} The time in seconds.
+	 */
+	get_duration() {
+		return this.recording.ticks * this.recording.delta
+	}
+
+	/**The `advance` function plays the replay forward by the wall time of a frame times the `speed`,
+	 * with the canvas drawn part way into the next update like `Canvas.advance`.
+	 *
+	 * @param {number} delta The wall time in seconds since the last frame.
+	 */
+	advance(delta) {
+		if (this.paused) return
+
+		const position = Math.min(
+			this.position + (Math.max(delta, 0.0) * this.speed) / this.recording.delta,
+			this.recording.ticks
+		)
+		this.seek(position)
+
+		this.position = position
+		this.canvas.alpha = position - this.tick
+	}
+
+	/**The `set_speed` function sets how many times faster than recorded the replay plays.
+	 * Replays can not play backwards, use `seek` instead.
+	 *
+	 * @param {number} speed The speed factor, at least zero.
+	 * @returns {SessionReplay} `self`
+	 */
+	set_speed(speed) {
+		this.speed = Math.max(speed, 0.0)
+		return this
+	}
+
+	/**Whether or not the replay reached the end of the recording.
+	 *
+	 * @returns {boolean}
+	 */
+	is_finished() {
+		return this.tick >= this.recording.ticks
+	}
+
+	/**The `verify` function checks that the replay ended in the same state the recording did.
+	 *
+	 * @returns {boolean} **true** if the state matches the checksum of the recording.
+	 */
+	verify() {
+		return this.is_finished() && recording_checksum(this.canvas) === this.recording.checksum
+	}
+}
@@ -0,0 +1,126 @@
+/**Creates a headless canvas to record and replay on.
+ *
+ * @returns {Canvas} The new canvas.
+ */
+function recording_canvas() {
+	return new Canvas(new HeadlessContext())
+}
+
+/**Records a session on the demo system with every kind of command.
+ *
+ * @returns {object} Object with the `canvas` and the `recording`.
+ */
+function record_session() {
+	const canvas = recording_canvas()
+	const simulation = new NBodySimulation("verlet", 0.01)
+	load_system(canvas, DEMO_SYSTEM)
+	const run = ticks => {
+		for (let i = 0; i < ticks; i++) canvas.tick(canvas.timestep.delta)
+	}
+
+	// The recording starts part way into the session.
+	run(30)
+	const recorder = new SessionRecorder(canvas, simulation)
+	recorder.start()
+	const probe = find_recorded_body(canvas, "Probe")
+
+	canvas.camera.follow(probe)
+	recorder.record({ type: "follow", target: "Probe" })
+	run(20)
+
+	canvas.clock.set_warp(10.0)
+	recorder.record({ type: "clock", warp: 10.0, paused: false })
+	const node = new ManoeuvreNode(probe, new TrueAnomaly(2.0), canvas.clock.time)
+	node.prograde = 0.05
+	node.radial = -0.01
+	probe.manoeuvre = node
+	recorder.record_manoeuvre(probe, node)
+	run(100)
+
+	simulation.seed(list_bodies(canvas), canvas.clock.time)
+	recorder.record({ type: "simulation", seeded: true })
+	run(60)
+	simulation.release()
+	recorder.record({ type: "simulation", seeded: false })
+	canvas.clock.pause()
+	recorder.record({ type: "clock", warp: 10.0, paused: true })
+	run(10)
+
+	return { canvas, recording: JSON.parse(JSON.stringify(recorder.stop())) }
+}
+
+test(recording_replay_test)
+function recording_replay_test() {
+	const { canvas, recording } = record_session()
+	assert.equal(recording.ticks, 190, "The recording does not count its updates!")
+	assert.deepEqual(validate_recording(recording), [], "The recording is not valid!")
+	assert(find_recorded_body(canvas, "Probe").fuel_mass < 0.1, "The planned burn was not made!")
+
+	const replay = new SessionReplay(recording_canvas(), recording)
+	replay.seek(recording.ticks)
+	assert(replay.verify(), "The replay did not end in the recorded state!")
+	assert.equal(
+		JSON.stringify(save_system(replay.canvas)),
+		JSON.stringify(save_system(canvas)),
+		"The replayed bodies are not the recorded ones bit for bit!"
+	)
+	assert.equal(replay.canvas.camera.target?.name, "Probe", "The followed body was not replayed!")
+	assert(replay.canvas.clock.paused, "The clock was not paused by the replay!")
+
+	// Seeking back starts over, and playing at any speed ends in the same state.
+	replay.seek(75)
+	assert.equal(replay.tick, 75, "The replay did not seek back!")
+	replay.set_speed(3.0)
+	while (!replay.is_finished()) replay.advance(0.1)
+	assert(replay.verify(), "The replay did not end in the recorded state after seeking!")
+}
+
+test(recording_divergence_test)
+function recording_divergence_test() {
+	const { recording } = record_session()
+
+	// A replay that drifts from the recorded timestamps is caught at the next command.
+	const commands = recording.commands.map((command, i) =>
+		i === recording.commands.length - 1 ? { ...command, time: command.time + 1e-9 } : command
+	)
+	const changed = { ...recording, commands }
+	const replay = new SessionReplay(recording_canvas(), changed)
+	assert.throws(
+		() => replay.seek(changed.ticks),
+		error => error instanceof RecordingFormatError,
+		"The replay did not notice it drifted!"
+	)
+}
+
+test(validate_recording_test)
+function validate_recording_test() {
+	const { recording } = record_session()
+	const expect_error = (data, expected) => {
+		const errors = validate_recording(data)
+		assert(
+			errors.some(error => error.includes(expected)),
+			`The error '${expected}' was not reported! Got: ${errors.join(" ")}`
+		)
+	}
+
+	expect_error({ ...recording, version: 2 }, "version: Unsupported version 2")
+	expect_error({ ...recording, ticks: -1 }, "ticks: Must be a whole number")
+	expect_error(
+		{ ...recording, simulation: { integrator: "euler" } },
+		'simulation.integrator: Unknown integrator "euler"'
+	)
+	expect_error({ ...recording, scene: { version: 1, bodies: [] } }, "scene.bodies: Must be")
+	expect_error(
+		{ ...recording, commands: [...recording.commands, { tick: 0, time: 0, type: "clock" }] },
+		"tick: Must be a whole number between the last command and the end"
+	)
+	expect_error(
+		{ ...recording, commands: [{ tick: 0, time: 0, type: "teleport" }] },
+		'commands[0].type: Unknown command "teleport"'
+	)
+	assert.throws(
+		() => new SessionReplay(recording_canvas(), { ...recording, delta: 0 }),
+		error => error instanceof RecordingFormatError && error.errors.length === 1,
+		"The 'SessionReplay' did not throw a 'RecordingFormatError'!"
+	)
+}
@@ -0,0 +1,89 @@
+/**The `Selection` class keeps track of the selected and hovered children of a `Canvas`.
+ * It picks children with the pointer and dispatches `select` and `hover` events
+ * that the UI can subscribe to with `addEventListener`.
+ *
+ * Each event has a `detail` object with the `target` child, or **null**,
+ * and the `hit` returned by `Canvas.pick`.
+ *
+ * @example
+ * const selection = new Selection(viewport)
+ * selection.addEventListener("select", e => console.log(e.detail.target))
+ */
+class Selection extends EventTarget {
+	/**Creates a `Selection` class that picks children of the canvas with the pointer.
+	 *
+	 * @param {Canvas} canvas The canvas to pick children of.
+	 * @param {number} tolerance The distance in pixels a pick can miss by.
+	 * @param {number} click_distance The distance in pixels the pointer can move and still click.
+	 */
+	constructor(canvas, tolerance = 6.0, click_distance = 4.0) {
+		super()
+		this.canvas = canvas
+		this.tolerance = tolerance
+		this.click_distance = click_distance
+
+		this.selected = null
+		this.hovered = null
+		this.down = null
+
+		const element = canvas.element
+		element.addEventListener("pointerdown", e => {
+			if (!e.defaultPrevented) this.down = { x: e.offsetX, y: e.offsetY }
+		})
+		element.addEventListener("pointerup", e => {
+			if (!this.down) return
+
+			const moved = Math.hypot(e.offsetX - this.down.x, e.offsetY - this.down.y)
+			if (moved <= this.click_distance) this.click({ x: e.offsetX, y: e.offsetY })
+			this.down = null
+		})
+		element.addEventListener("pointermove", e => {
+			if (!this.down) this.move({ x: e.offsetX, y: e.offsetY })
+		})
+		element.addEventListener("pointerleave", () => this.hover(null))
+	}
+
+	/**The `click` function selects the child under a point, or clears the selection if there is none.
+	 *
+	 * @param {object} point The point with `x` and `y` pixel coordinates.
+	 */
+	click(point) {
+		const hit = this.canvas.pick(point, this.tolerance)
+		this.select(hit?.target ?? null, hit)
+	}
+
+	/**The `move` function hovers the child under a point.
+	 *
+	 * @param {object} point The point with `x` and `y` pixel coordinates.
+	 */
+	move(point) {
+		const hit = this.canvas.pick(point, this.tolerance)
+		this.hover(hit?.target ?? null, hit)
+	}
+
+	/**The `select` function sets the selected child and dispatches a `select` event.
+	 * Orbit hits are always dispatched since the picked point along the path can differ.
+	 *
+	 * @param {Object} target The child to select, or **null** to clear the selection.
+	 * @param {object} hit The hit returned by `Canvas.pick`.
+	 */
+	select(target, hit = null) {
+		if (target === this.selected && hit?.type !== "orbit") return
+
+		this.selected = target
+		this.dispatchEvent(new CustomEvent("select", { detail: { target, hit } }))
+	}
+
+	/**The `hover` function sets the hovered child and dispatches a `hover` event.
+	 *
+	 * @param {Object} target The child to hover, or **null** to clear the hover.
+	 * @param {object} hit The hit returned by `Canvas.pick`.
+	 */
+	hover(target, hit = null) {
+		if (target === this.hovered) return
+
+		this.hovered = target
+		this.canvas.element.style.cursor = target ? "pointer" : ""
+		this.dispatchEvent(new CustomEvent("hover", { detail: { target, hit } }))
+	}
+}
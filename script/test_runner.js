@@ -0,0 +1,156 @@
+/**The headless test runner loads the page scripts into a shared _Node.js_ context and runs the `*_test.js` files.
+ *
+ * ```
+ * node script/test_runner.js [--update-golden] [test files...]
+ * ```
+ *
+ * The scripts are loaded in the order of the `<script>` tags in `index.html`,
+ * so every class and function is available to the tests as a global just like in the browser.
+ * Without arguments every `*_test.js` file in the `script` folder is run.
+ *
+ * Test files register named functions with `test` and check their results with `assert`,
+ * the _Node.js_ [strict assertion library](https://nodejs.org/api/assert.html),
+ * `assert_close` for values that only have to match within a tolerance,
+ * and `assert_golden` for drawings that have to match a golden image, see `HeadlessContext.to_svg`.
+ * A test function can be `async`, the runner waits for it before running the next one.
+ * The runner prints every failed test, the number of passed and failed tests,
+ * and exits with a non-zero code if any test failed.
+ */
+const fs = require("node:fs")
+const path = require("node:path")
+const vm = require("node:vm")
+const assert = require("node:assert/strict")
+
+const ROOT = path.resolve(__dirname, "..")
+
+/**The `assert_close` function asserts that the `actual` value is within the `tolerance` of the `expected` value.
+ * Arrays and objects are compared element by element and `tolerance` can be a array or object matching them.
+ *
+ * @param {any} actual The resulting value.
+ * @param {any} expected The expected value.
+ * @param {any} tolerance The error tolerance.
+ * @param {string} message The message shown on test fail.
+ */
+function assert_close(actual, expected, tolerance, message) {
+	const compare = (actual, expected, tolerance, key) => {
+		if (typeof actual === "object" && actual !== null) {
+			for (const i in actual)
+				compare(
+					actual[i],
+					typeof expected === "object" ? expected[i] : expected,
+					typeof tolerance === "object" ? tolerance[i] : tolerance,
+					`${key}[${i}]`
+				)
+			return
+		}
+
+		// Negated so that `NaN` fails.
+		if (!(Math.abs(actual - expected) <= tolerance))
+			throw new assert.AssertionError({
+				message: `${message}\n${key}: ${actual} is not within ${tolerance} of ${expected}`,
+				actual,
+				expected,
+				operator: "assert_close",
+			})
+	}
+	compare(actual, expected, tolerance, "value")
+}
+
+/**The `assert_golden` function asserts that the `actual` text matches a golden file, like a _SVG_ image.
+ * Golden files live in a `golden` folder next to the test file using them.
+ * A missing golden file is written instead of compared, and every golden file used is written again with `--update-golden`,
+ * after which the changed images can be looked over before they are committed.
+ *
+ * @param {string} test_file The path of the test file relative to the root.
+ * @param {string} name The file name of the golden file.
+ * @param {string} actual The resulting text.
+ * @param {string} message The message shown on test fail.
+ * @param {boolean} update Whether or not to write the golden file instead of comparing it.
+ */
+function assert_golden(test_file, name, actual, message, update = false) {
+	const file = path.join(ROOT, path.dirname(test_file), "golden", name)
+	if (update || !fs.existsSync(file)) {
+		fs.mkdirSync(path.dirname(file), { recursive: true })
+		fs.writeFileSync(file, actual)
+		console.log(`Wrote golden file ${path.relative(ROOT, file)}`)
+		return
+	}
+
+	assert.equal(
+		actual,
+		fs.readFileSync(file, "utf8"),
+		`${message}\nGolden file: ${path.relative(ROOT, file)}`
+	)
+}
+
+/**The `find_tests` function lists every `*_test.js` file in a folder and its sub folders.
+ *
+ * @param {string} folder The folder to search.
+ * @returns {string[]} The paths of the test files.
+ */
+function find_tests(folder) {
+	return fs
+		.readdirSync(folder, { withFileTypes: true })
+		.flatMap(entry => {
+			const file = path.join(folder, entry.name)
+			if (entry.isDirectory()) return find_tests(file)
+			return entry.name.endsWith("_test.js") ? [file] : []
+		})
+		.sort()
+}
+
+/**The `page_scripts` function lists the local scripts loaded by `index.html` in order.
+ *
+ * @returns {string[]} The paths of the scripts.
+ */
+function page_scripts() {
+	const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8")
+	return [...html.matchAll(/<script\s+src="([^"]+)"/g)]
+		.map(match => path.join(ROOT, match[1]))
+		.filter(file => !file.endsWith("_test.js"))
+}
+
+async function main() {
+	const args = process.argv.slice(2)
+	const update_golden = args.includes("--update-golden")
+	const files = args.filter(arg => !arg.startsWith("--")).map(file => path.resolve(file))
+	const test_files = files.length > 0 ? files : find_tests(path.join(ROOT, "script"))
+
+	const tests = []
+	const context = vm.createContext({
+		console,
+		EventTarget,
+		CustomEvent,
+		TextEncoder,
+		TextDecoder,
+		assert,
+		assert_close,
+		assert_golden: (name, actual, message) =>
+			assert_golden(context.__file, name, actual, message, update_golden),
+		test: (fn, name = fn.name) => tests.push({ name, fn, file: context.__file }),
+	})
+	context.window = context
+
+	for (const file of [...page_scripts(), ...test_files]) {
+		context.__file = path.relative(ROOT, file)
+		vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file })
+	}
+
+	let passed = 0
+	let failed = 0
+	for (const { name, fn, file } of tests) {
+		context.__file = file
+		try {
+			await fn()
+			passed++
+		} catch (error) {
+			failed++
+			console.error(`✗ ${file} ${name}\n${error.stack ?? error}\n`)
+		}
+	}
+
+	console.log(`${passed} passed, ${failed} failed`)
+	process.exitCode = failed > 0 ? 1 : 0
+}
+
+main()
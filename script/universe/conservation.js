@@ -0,0 +1,268 @@
+/**The `ConservationError` class is thrown when the energy or angular momentum of a simulation drifted too far.
+ * The `violations` array holds every quantity that drifted past its threshold.
+ */
+class ConservationError extends Error {
+	/**Creates a `ConservationError` class listing every quantity that drifted too far.
+	 *
+	 * @param {string[]} violations The quantities that drifted, with their drift and threshold.
+	 */
+	constructor(violations) {
+		super(`Not conserved:\n${violations.map(violation => `- ${violation}`).join("\n")}`)
+		this.name = "ConservationError"
+		this.violations = violations
+	}
+}
+
+/**The `measure_conserved` function measures the _[mechanical energy](https://en.wikipedia.org/wiki/Mechanical_energy)_
+ * and _[angular momentum](https://en.wikipedia.org/wiki/Angular_momentum)_ of a set of objects,
+ * both for the whole system and for each object around its parent.
+ *
+ * The system is measured in the frame of the root of the star systems, with the gravity between every pair of objects.
+ * It is only conserved when everything is simulated by a `NBodySimulation`, as the Keplerian rails ignore the pull of
+ * the orbiting objects on their parents. Each object around its parent is a two body problem and is conserved
+ * along its `KeplerianOrbit`, except for the burns it makes and when it changes parent.
+ * ```
+ * E = Σ m_i * v_i^2 / 2 - Σ G * m_i * m_j / r_ij
+ * L = Σ m_i * (r_i × v_i)
+ * ```
+ *
+ * @param {Object[]} entities The objects to measure.
+ * @param {number} time The time in seconds.
+ * @param {NBodySimulation} simulation The simulation whose integrated states are used, if any.
+ * @returns {object} Object with the system `energy` and `angular_momentum`, and the `bodies` with the
+ * `entity`, `energy` and `angular_momentum` of each object around its parent.
+ */
+function measure_conserved(entities, time, simulation = null) {
+	// A simulation without objects follows the rails of every object.
+	const frame = simulation ?? new NBodySimulation()
+	const states = entities.map(entity => ({
+		mass: entity.body.get_mass(),
+		gravitational_parameter: entity.body.gravitational_parameter,
+		...frame.absolute_state(entity, time),
+	}))
+
+	let energy = 0.0
+	const angular_momentum = { x: 0.0, y: 0.0, z: 0.0 }
+	states.forEach(({ mass, position, velocity }, i) => {
+		energy += (mass * vector_dot(velocity, velocity)) / 2.0
+		const momentum = vector_cross(position, velocity)
+		angular_momentum.x += momentum.x * mass
+		angular_momentum.y += momentum.y * mass
+		angular_momentum.z += momentum.z * mass
+
+		for (const other of states.slice(i + 1)) {
+			const distance = vector_length(vector_subtract(other.position, position))
+			if (distance > 0.0) energy -= (other.gravitational_parameter * mass) / distance
+		}
+	})
+
+	// Each object around its parent, as a two body problem.
+	const bodies = []
+	for (const entity of entities) {
+		if (!entity.orbit || !entity.parent?.body) continue
+
+		const own = frame.absolute_state(entity, time)
+		const parent = frame.absolute_state(entity.parent, time)
+		const position = vector_subtract(own.position, parent.position)
+		const velocity = vector_subtract(own.velocity, parent.velocity)
+		const mass = entity.body.get_mass()
+
+		bodies.push({
+			entity,
+			energy:
+				mass *
+				(vector_dot(velocity, velocity) / 2.0 -
+					entity.parent.body.gravitational_parameter / vector_length(position)),
+			angular_momentum: mass * vector_length(vector_cross(position, velocity)),
+		})
+	}
+
+	return { energy, angular_momentum: vector_length(angular_momentum), bodies }
+}
+
+/**Gets the _relative drift_ of a conserved quantity from its starting value,
+ * or the absolute drift when it started at zero.
+ * ```
+ * drift = |X - X0| / |X0|
+ * ```
+ *
+ * @param {number} value The current value.
+ * @param {number} start The starting value.
+ * @returns {number} The relative drift.
+ */
+function conservation_drift(value, start) {
+	const difference = Math.abs(value - start)
+	return start === 0.0 ? difference : difference / Math.abs(start)
+}
+
+/**The `ConservationLog` class records the energy and angular momentum of a set of objects over time,
+ * with their drift since the first sample, to catch integrator and solver regressions.
+ * The log can be exported with `to_csv` and checked against drift thresholds with `assert_drift`.
+ */
+class ConservationLog {
+	/**Creates a empty `ConservationLog`.
+	 *
+	 * @param {Object[]} entities The objects to measure, see `measure_conserved`.
+	 * @param {NBodySimulation} simulation The simulation whose integrated states are used, if any.
+	 * @param {number} interval The least simulation time in seconds between samples.
+	 * @param {number} max_samples The most samples kept, after which the oldest are dropped.
+	 */
+	constructor(entities, simulation = null, interval = 0.0, max_samples = 10000) {
+		this.entities = entities
+		this.simulation = simulation
+		this.interval = interval
+		this.max_samples = max_samples
+
+		// The first sample, the drift is measured against.
+		this.start = null
+		this.samples = []
+	}
+
+	/**The `reset` function clears the log so the drift is measured from the next sample,
+	 * like after a burn or a change of the simulated objects.
+	 *
+	 * @param {Object[]} entities The objects to measure from now on, the same as before by default.
+	 */
+	reset(entities = this.entities) {
+		this.entities = entities
+		this.start = null
+		this.samples = []
+	}
+
+	/**The `record` function measures the objects and adds a sample, unless the last one is less than `interval` away.
+	 * Each sample has the `time`, the system `energy`, `angular_momentum` and their drift,
+	 * and the `bodies` with the same for each object around its parent.
+	 *
+	 * @param {number} time The time in seconds.
+	 * @returns {object | null} The new sample, or **null** if none was added.
+	 */
+	record(time) {
+		const last = this.samples[this.samples.length - 1]
+		if (last && Math.abs(time - last.time) < this.interval) return null
+
+		const measured = measure_conserved(this.entities, time, this.simulation)
+		if (!this.start) this.start = measured
+
+		const start_of = entity => this.start.bodies.find(body => body.entity === entity)
+		const sample = {
+			time,
+			energy: measured.energy,
+			energy_drift: conservation_drift(measured.energy, this.start.energy),
+			angular_momentum: measured.angular_momentum,
+			angular_momentum_drift: conservation_drift(
+				measured.angular_momentum,
+				this.start.angular_momentum
+			),
+			bodies: measured.bodies.map(({ entity, energy, angular_momentum }) => {
+				const start = start_of(entity) ?? { energy, angular_momentum }
+				return {
+					entity,
+					energy,
+					energy_drift: conservation_drift(energy, start.energy),
+					angular_momentum,
+					angular_momentum_drift: conservation_drift(
+						angular_momentum,
+						start.angular_momentum
+					),
+				}
+			}),
+		}
+
+		this.samples.push(sample)
+		if (this.samples.length > this.max_samples) this.samples.shift()
+		return sample
+	}
+
+	/**Gets the largest drift in the log, of the whole system and of any object around its parent.
+	 *
+	 * @returns {object} Object with the largest `energy` and `angular_momentum` drift of the `system`,
+	 * and of the `bodies` with the `entity` that drifted the most.
+	 */
+	get_max_drift() {
+		const max = { system: { energy: 0.0, angular_momentum: 0.0 }, bodies: {} }
+		for (const key of ["energy", "angular_momentum"]) {
+			max.bodies[key] = { drift: 0.0, entity: null }
+
+			for (const sample of this.samples) {
+				max.system[key] = Math.max(max.system[key], sample[`${key}_drift`])
+				for (const body of sample.bodies)
+					if (body[`${key}_drift`] > max.bodies[key].drift)
+						max.bodies[key] = { drift: body[`${key}_drift`], entity: body.entity }
+			}
+		}
+
+		return max
+	}
+
+	/**The `check_drift` function lists every quantity in the log that drifted past a threshold.
+	 * Thresholds that are left out are not checked.
+	 *
+	 * @param {object} thresholds Object with the largest relative drift allowed for the `energy` and `angular_momentum`
+	 * of the whole `system` and of the `bodies` around their parents, like `{ bodies: { energy: 1e-9 } }`.
+	 * @returns {string[]} The quantities that drifted too far, empty if everything was conserved.
+	 */
+	check_drift(thresholds) {
+		const max = this.get_max_drift()
+		const violations = []
+
+		for (const key of ["energy", "angular_momentum"]) {
+			const system = thresholds.system?.[key]
+			if (system !== undefined && max.system[key] > system)
+				violations.push(`System ${key} drifted by ${max.system[key]}, above ${system}.`)
+
+			const bodies = thresholds.bodies?.[key]
+			const { drift, entity } = max.bodies[key]
+			if (bodies !== undefined && drift > bodies)
+				violations.push(
+					`${conservation_name(entity)} ${key} drifted by ${drift}, above ${bodies}.`
+				)
+		}
+
+		return violations
+	}
+
+	/**The `assert_drift` function throws a `ConservationError` if anything drifted past a threshold,
+	 * so the thresholds can be used in automated tests. See `check_drift`.
+	 *
+	 * @param {object} thresholds The largest relative drift allowed.
+	 */
+	assert_drift(thresholds) {
+		const violations = this.check_drift(thresholds)
+		if (violations.length > 0) throw new ConservationError(violations)
+	}
+
+	/**The `to_csv` function exports the log as comma separated values, one row for each sample,
+	 * with the system columns first and then the columns of each object by name.
+	 *
+	 * @returns {string} The log as CSV.
+	 */
+	to_csv() {
+		const keys = ["energy", "energy_drift", "angular_momentum", "angular_momentum_drift"]
+		const entities = this.samples[0]?.bodies.map(body => body.entity) ?? []
+
+		const header = [
+			"time",
+			...keys.map(key => `system_${key}`),
+			...entities.flatMap(entity => keys.map(key => `${conservation_name(entity)}_${key}`)),
+		]
+		const rows = this.samples.map(sample => [
+			sample.time,
+			...keys.map(key => sample[key]),
+			...entities.flatMap(entity => {
+				const body = sample.bodies.find(body => body.entity === entity)
+				return keys.map(key => body?.[key] ?? "")
+			}),
+		])
+
+		return [header, ...rows].map(row => row.join(",")).join("\n")
+	}
+}
+
+/**Gets the name to report an object by, its class name when it has none.
+ *
+ * @param {Object} entity The object.
+ * @returns {string} The name.
+ */
+function conservation_name(entity) {
+	return entity?.name ?? entity?.constructor.name ?? "Body"
+}
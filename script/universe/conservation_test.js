@@ -0,0 +1,97 @@
+/**Creates a star with a heavy planet and a light moon, returning them in the order they are measured.
+ *
+ * @param {number} eccentricity The eccentricity of the orbit of the planet.
+ * @returns {Object[]} The star, the planet and the moon.
+ */
+function conservation_system(eccentricity = 0.5) {
+	const star = new Star(new Object({}), 0, 0, 1.0e10)
+	const planet = new Planet({
+		parent: star,
+		radius: 0.1,
+		mass: 1.0e8,
+		semimajor_axis: 3,
+		eccentricity,
+	})
+	const moon = new Planet({ parent: planet, radius: 0.01, mass: 1.0e4, semimajor_axis: 0.2 })
+	planet.name = "Ferrum"
+	moon.name = "Luna"
+
+	return [star, planet, moon]
+}
+
+test(conservation_keplerian_test)
+function conservation_keplerian_test() {
+	for (const eccentricity of [0.0, 0.5, 0.9, 0.999]) {
+		const entities = conservation_system(eccentricity)
+		const period = entities[1].orbit.orbital_period(entities[0].body)
+		const log = new ConservationLog(entities)
+		for (let i = 0; i <= 500; i++) log.record((period * i * 1.37) / 500)
+
+		// Each body is a two body problem on its rails.
+		log.assert_drift({ bodies: { energy: 1e-9, angular_momentum: 1e-9 } })
+		assert.equal(log.samples[0].bodies.length, 2, "The star was measured around a parent!")
+	}
+}
+
+test(conservation_nbody_test)
+function conservation_nbody_test() {
+	for (const [integrator, threshold] of [
+		["verlet", 1e-5],
+		["rk45", 1e-9],
+	]) {
+		const entities = conservation_system()
+		const simulation = new NBodySimulation(integrator, 0.01)
+		simulation.seed(entities, 0.0)
+
+		const log = new ConservationLog(entities, simulation)
+		for (let time = 0.0; time <= 50.0; time += 0.5) {
+			simulation.step_to(time)
+			log.record(simulation.time)
+		}
+
+		// The whole system is conserved when everything is simulated.
+		log.assert_drift({ system: { energy: threshold, angular_momentum: threshold } })
+		assert(log.get_max_drift().system.energy > 0.0, "The energy was not measured!")
+	}
+}
+
+test(conservation_drift_test)
+function conservation_drift_test() {
+	const [star, planet, moon] = conservation_system()
+	const log = new ConservationLog([star, planet, moon], null, 1.0)
+	log.record(0.0)
+	assert.equal(log.record(0.5), null, "A sample was recorded within the interval!")
+
+	// A burn is not conservative, so it shows up as drift of the body that made it.
+	planet.burn(1.0, { x: 0.01, y: 0.0, z: 0.0 })
+	log.record(2.0)
+	assert.throws(
+		() => log.assert_drift({ bodies: { energy: 1e-9 } }),
+		error =>
+			error instanceof ConservationError &&
+			error.violations.length === 1 &&
+			error.violations[0].startsWith("Ferrum energy"),
+		"The burn did not fail the drift threshold!"
+	)
+	assert.deepEqual(
+		log.check_drift({ bodies: { energy: 1.0 } }),
+		[],
+		"A loose threshold was not met!"
+	)
+
+	const rows = log.to_csv().split("\n")
+	assert.equal(rows.length, 3, "The CSV does not have a row for each sample!")
+	assert.equal(
+		rows[0],
+		[
+			"time",
+			...["system", "Ferrum", "Luna"].flatMap(name =>
+				["energy", "energy_drift", "angular_momentum", "angular_momentum_drift"].map(
+					key => `${name}_${key}`
+				)
+			),
+		].join(","),
+		"The CSV header is wrong!"
+	)
+	assert.equal(rows[1].split(",").length, 13, "The CSV rows do not match the header!")
+}
@@ -0,0 +1,55 @@
+/**The Kepler benchmark measures `solve_kepler` across eccentricities from circular to nearly parabolic.
+ *
+ * ```
+ * node script/universe/kepler_benchmark.js [samples]
+ * ```
+ *
+ * For each eccentricity the mean anomaly is sampled evenly over a few whole turns,
+ * and the mean and largest number of iterations, the largest error left in Kepler's equation,
+ * the number of solves that did not converge and the time per solve are printed as a table.
+ */
+const { solve_kepler } = require("./orbit.js")
+
+const ECCENTRICITIES = [0.0, 0.1, 0.3, 0.5, 0.7, 0.9, 0.95, 0.99, 0.995, 0.999]
+
+function main() {
+	const samples = Number(process.argv[2] ?? 100000)
+	const turns = 3.0
+
+	console.log("| e     | mean it. | max it. | max error | failed | ns/solve |")
+	console.log("| ----- | -------- | ------- | --------- | ------ | -------- |")
+
+	for (const eccentricity of ECCENTRICITIES) {
+		const angles = Array.from(
+			{ length: samples },
+			(_, i) => (i / (samples - 1) - 0.5) * Math.PI * 2.0 * turns
+		)
+
+		let iterations = 0
+		let max_iterations = 0
+		let max_error = 0.0
+		let failed = 0
+
+		const start = process.hrtime.bigint()
+		for (const angle of angles) {
+			const result = solve_kepler(angle, eccentricity)
+			iterations += result.iterations
+			max_iterations = Math.max(max_iterations, result.iterations)
+			max_error = Math.max(max_error, result.error)
+			if (!result.converged) failed++
+		}
+		const elapsed = Number(process.hrtime.bigint() - start) / samples
+
+		const cells = [
+			eccentricity.toFixed(3),
+			(iterations / samples).toFixed(2).padStart(8),
+			String(max_iterations).padStart(7),
+			max_error.toExponential(2).padStart(9),
+			String(failed).padStart(6),
+			elapsed.toFixed(0).padStart(8),
+		]
+		console.log(`| ${cells.join(" | ")} |`)
+	}
+}
+
+main()
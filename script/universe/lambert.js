@@ -0,0 +1,316 @@
+/**The `solve_lambert` function solves _[Lambert's problem](https://en.wikipedia.org/wiki/Lambert%27s_problem)_,
+ * finding the orbit that connects two positions around the same parent in a given time of flight.
+ * It uses the method of _[Izzo (2015)](https://arxiv.org/abs/1403.2705)_ which solves for the
+ * parameter `x` of the non-dimensional time of flight equation with Householder iterations.
+ * ```
+ * c = |r2 - r1|
+ * s = (|r1| + |r2| + c) / 2
+ * λ = ±sqrt(1 - c / s)
+ * T = sqrt(2 * μ / s^3) * t
+ * ```
+ * Transfers with `revolutions` above zero go around the parent that many times before arriving,
+ * and have two solutions, the `low_path` with the lower energy and smaller semimajor axis, and the high path.
+ *
+ * @param {CelestialObject} parent_boddy The parameters of the parent object.
+ * @param {object} from The departure **point** object relative to the parent.
+ * @param {object} to The arrival **point** object relative to the parent.
+ * @param {number} time_of_flight The time in seconds between departure and arrival.
+ * @param {boolean} clockwise Whether or not the transfer is clockwise, matching `KeplerianOrbit.clockwise`.
+ * @param {number} revolutions The number of full revolutions made before arriving.
+ * @param {boolean} low_path Whether to take the low or high path of multi revolution transfers.
+ * @returns {object} Object with the transfer `orbit`, the `departure_velocity` and `arrival_velocity` **point** objects
+ * and the `departure_anomaly` and `arrival_anomaly` along the orbit, or **null** if there is no solution.
+ */
+function solve_lambert(
+	parent_boddy,
+	from,
+	to,
+	time_of_flight,
+	clockwise = false,
+	revolutions = 0,
+	low_path = true
+) {
+	const gravitational_parameter = parent_boddy.gravitational_parameter
+	const r1 = { x: from.x, y: from.y, z: from.z ?? 0.0 }
+	const r2 = { x: to.x, y: to.y, z: to.z ?? 0.0 }
+
+	const r1_norm = vector_length(r1)
+	const r2_norm = vector_length(r2)
+	const c_norm = vector_length(vector_subtract(r2, r1))
+	if (!(time_of_flight > 0.0) || r1_norm === 0.0 || r2_norm === 0.0 || c_norm === 0.0) return null
+
+	const s = (r1_norm + r2_norm + c_norm) / 2.0
+	const i_r1 = vector_scale(r1, 1.0 / r1_norm)
+	const i_r2 = vector_scale(r2, 1.0 / r2_norm)
+
+	// Positions on opposite sides of the parent do not span a plane, so the reference plane is used.
+	let i_h = vector_cross(i_r1, i_r2)
+	const h_norm = vector_length(i_h)
+	i_h = h_norm > 1e-12 ? vector_scale(i_h, 1.0 / h_norm) : { x: 0.0, y: 0.0, z: 1.0 }
+
+	let lambda = Math.sqrt(Math.max(1.0 - c_norm / s, 0.0))
+	let i_t1, i_t2
+	if (i_h.z < 0.0) {
+		lambda = -lambda
+		i_t1 = vector_cross(i_r1, i_h)
+		i_t2 = vector_cross(i_r2, i_h)
+	} else {
+		i_t1 = vector_cross(i_h, i_r1)
+		i_t2 = vector_cross(i_h, i_r2)
+	}
+
+	// Clockwise transfers move the other way around the parent.
+	if (clockwise) {
+		lambda = -lambda
+		i_t1 = vector_scale(i_t1, -1.0)
+		i_t2 = vector_scale(i_t2, -1.0)
+	}
+
+	const T = Math.sqrt((2.0 * gravitational_parameter) / (s * s * s)) * time_of_flight
+	const x = lambert_find_x(lambda, T, revolutions, low_path)
+	if (x === null) return null
+	const y = lambert_y(x, lambda)
+
+	// Reconstruct the radial and tangential velocities.
+	const gamma = Math.sqrt((gravitational_parameter * s) / 2.0)
+	const rho = (r1_norm - r2_norm) / c_norm
+	const sigma = Math.sqrt(Math.max(1.0 - rho * rho, 0.0))
+
+	const radial1 = (gamma * (lambda * y - x - rho * (lambda * y + x))) / r1_norm
+	const radial2 = (-gamma * (lambda * y - x + rho * (lambda * y + x))) / r2_norm
+	const tangential1 = (gamma * sigma * (y + lambda * x)) / r1_norm
+	const tangential2 = (gamma * sigma * (y + lambda * x)) / r2_norm
+
+	const departure_velocity = vector_add(
+		vector_scale(i_r1, radial1),
+		vector_scale(i_t1, tangential1)
+	)
+	const arrival_velocity = vector_add(
+		vector_scale(i_r2, radial2),
+		vector_scale(i_t2, tangential2)
+	)
+
+	const orbit = KeplerianOrbit.from_state_vectors(parent_boddy, r1, departure_velocity)
+	return {
+		orbit,
+		departure_velocity,
+		arrival_velocity,
+		departure_anomaly: orbit.true_anomaly_at_point(r1),
+		arrival_anomaly: orbit.true_anomaly_at_point(r2),
+	}
+}
+
+/**Finds the `x` parameter of the non-dimensional time of flight equation.
+ *
+ * @param {number} lambda The non-dimensional geometry parameter `λ` of the transfer, between -1 and 1.
+ * @param {number} T The non-dimensional time of flight.
+ * @param {number} revolutions The number of full revolutions made before arriving.
+ * @param {boolean} low_path Whether to find the low or high path of multi revolution transfers.
+ * @param {number} iterations The maximum number of iterations.
+ * @param {number} tolerance The change in `x` at which the iterations stop.
+ * @returns {number} The parameter `x`, or **null** if the number of revolutions can not be made in the time of flight.
+ */
+function lambert_find_x(lambda, T, revolutions, low_path, iterations = 35, tolerance = 1e-12) {
+	// The most revolutions possible, one less if the time is below the minimum of that branch.
+	let max_revolutions = Math.floor(T / Math.PI)
+	const T_00 = Math.acos(lambda) + lambda * Math.sqrt(1.0 - lambda * lambda)
+	if (max_revolutions > 0 && T < T_00 + max_revolutions * Math.PI) {
+		const T_min = lambert_minimum_time(lambda, max_revolutions, iterations, tolerance)
+		if (T < T_min) max_revolutions--
+	}
+	if (revolutions > max_revolutions) return null
+
+	let x = lambert_initial_guess(lambda, T, revolutions, low_path)
+	for (let i = 0; i < iterations; i++) {
+		const y = lambert_y(x, lambda)
+		const value = lambert_time(x, y, lambda, revolutions) - T
+		const T_x = value + T
+		const d1 = lambert_time_derivative(x, y, T_x, lambda)
+		const d2 = lambert_time_derivative2(x, y, T_x, d1, lambda)
+		const d3 = lambert_time_derivative3(x, y, d1, d2, lambda)
+
+		// Householder step of order three.
+		const next =
+			x -
+			value *
+				((d1 * d1 - (value * d2) / 2.0) /
+					(d1 * (d1 * d1 - value * d2) + (d3 * value * value) / 6.0))
+
+		if (!Number.isFinite(next)) return null
+		if (Math.abs(next - x) < tolerance) return next
+		x = next
+	}
+
+	return null
+}
+
+/**Gets the smallest non-dimensional time of flight of a multi revolution branch using Halley iterations.
+ *
+ * @param {number} lambda The non-dimensional geometry parameter `λ` of the transfer, between -1 and 1.
+ * @param {number} revolutions The number of full revolutions of the branch, above zero.
+ * @param {number} iterations The maximum number of iterations.
+ * @param {number} tolerance The change in `x` at which the iterations stop.
+ * @returns {number} The smallest non-dimensional time of flight of the branch.
+ */
+function lambert_minimum_time(lambda, revolutions, iterations, tolerance) {
+	let x = 0.1
+	for (let i = 0; i < iterations; i++) {
+		const y = lambert_y(x, lambda)
+		const T = lambert_time(x, y, lambda, revolutions)
+		const d1 = lambert_time_derivative(x, y, T, lambda)
+		const d2 = lambert_time_derivative2(x, y, T, d1, lambda)
+		const d3 = lambert_time_derivative3(x, y, d1, d2, lambda)
+
+		const next = x - (2.0 * d1 * d2) / (2.0 * d2 * d2 - d1 * d3)
+		if (Math.abs(next - x) < tolerance) {
+			x = next
+			break
+		}
+		x = next
+	}
+
+	return lambert_time(x, lambert_y(x, lambda), lambda, revolutions)
+}
+
+/**Gets the starting guess of `x` for the Householder iterations.
+ *
+ * @param {number} lambda The non-dimensional geometry parameter `λ` of the transfer, between -1 and 1.
+ * @param {number} T The non-dimensional time of flight.
+ * @param {number} revolutions The number of full revolutions made before arriving.
+ * @param {boolean} low_path Whether to guess the low or high path of multi revolution transfers.
+ * @returns {number} The starting guess of `x`.
+ */
+function lambert_initial_guess(lambda, T, revolutions, low_path) {
+	if (revolutions === 0) {
+		const T_0 = Math.acos(lambda) + lambda * Math.sqrt(1.0 - lambda * lambda)
+		const T_1 = (2.0 * (1.0 - lambda * lambda * lambda)) / 3.0
+
+		if (T >= T_0) return Math.pow(T_0 / T, 2.0 / 3.0) - 1.0
+		if (T < T_1) return ((2.5 * T_1) / T) * ((T_1 - T) / (1.0 - Math.pow(lambda, 5.0))) + 1.0
+		return Math.exp((Math.log(2.0) * Math.log(T / T_0)) / Math.log(T_1 / T_0)) - 1.0
+	}
+
+	const left = Math.pow(((revolutions + 1.0) * Math.PI) / (8.0 * T), 2.0 / 3.0)
+	const right = Math.pow((8.0 * T) / (revolutions * Math.PI), 2.0 / 3.0)
+	const x_left = (left - 1.0) / (left + 1.0)
+	const x_right = (right - 1.0) / (right + 1.0)
+
+	// Smaller values of `x` have a smaller semimajor axis.
+	return low_path ? Math.min(x_left, x_right) : Math.max(x_left, x_right)
+}
+
+/**Gets the `y` parameter of the non-dimensional time of flight equation for a given `x`.
+ * ```
+ * y = sqrt(1 - λ^2 * (1 - x^2))
+ * ```
+ *
+ * @param {number} x The parameter `x` of the non-dimensional time of flight equation.
+ * @param {number} lambda The non-dimensional geometry parameter `λ` of the transfer, between -1 and 1.
+ * @returns {number} The parameter `y`.
+ */
+function lambert_y(x, lambda) {
+	return Math.sqrt(1.0 - lambda * lambda * (1.0 - x * x))
+}
+
+/**Gets the non-dimensional time of flight for a given `x`.
+ * Close to parabolic transfers a series expansion is used to avoid the loss of precision.
+ *
+ * @param {number} x The parameter `x` of the non-dimensional time of flight equation.
+ * @param {number} y The parameter `y` matching `x`, from `lambert_y`.
+ * @param {number} lambda The non-dimensional geometry parameter `λ` of the transfer, between -1 and 1.
+ * @param {number} revolutions The number of full revolutions made before arriving.
+ * @returns {number} The non-dimensional time of flight `T`.
+ */
+function lambert_time(x, y, lambda, revolutions) {
+	if (revolutions === 0 && x > Math.sqrt(0.6) && x < Math.sqrt(1.4)) {
+		const eta = y - lambda * x
+		const S_1 = (1.0 - lambda - x * eta) / 2.0
+		const Q = (4.0 / 3.0) * lambert_hypergeometric(S_1)
+		return (eta * eta * eta * Q + 4.0 * lambda * eta) / 2.0
+	}
+
+	let psi = 0.0
+	if (x >= -1.0 && x < 1.0) psi = Math.acos(x * y + lambda * (1.0 - x * x))
+	else if (x > 1.0) psi = Math.asinh((y - x * lambda) * Math.sqrt(x * x - 1.0))
+
+	return (
+		((psi + revolutions * Math.PI) / Math.sqrt(Math.abs(1.0 - x * x)) - x + lambda * y) /
+		(1.0 - x * x)
+	)
+}
+
+/**Gets the first derivative of the non-dimensional time of flight with respect to `x`.
+ * ```
+ * dT/dx = (3 * T * x - 2 + 2 * λ^3 * x / y) / (1 - x^2)
+ * ```
+ *
+ * @param {number} x The parameter `x` of the non-dimensional time of flight equation.
+ * @param {number} y The parameter `y` matching `x`, from `lambert_y`.
+ * @param {number} T The non-dimensional time of flight at `x`.
+ * @param {number} lambda The non-dimensional geometry parameter `λ` of the transfer, between -1 and 1.
+ * @returns {number} The first derivative `dT/dx`.
+ */
+function lambert_time_derivative(x, y, T, lambda) {
+	return (3.0 * T * x - 2.0 + (2.0 * lambda * lambda * lambda * x) / y) / (1.0 - x * x)
+}
+
+/**Gets the second derivative of the non-dimensional time of flight with respect to `x`.
+ * ```
+ * d²T/dx² = (3 * T + 5 * x * dT/dx + 2 * (1 - λ^2) * λ^3 / y^3) / (1 - x^2)
+ * ```
+ *
+ * @param {number} x The parameter `x` of the non-dimensional time of flight equation.
+ * @param {number} y The parameter `y` matching `x`, from `lambert_y`.
+ * @param {number} T The non-dimensional time of flight at `x`.
+ * @param {number} d1 The first derivative `dT/dx` at `x`.
+ * @param {number} lambda The non-dimensional geometry parameter `λ` of the transfer, between -1 and 1.
+ * @returns {number} The second derivative `d²T/dx²`.
+ */
+function lambert_time_derivative2(x, y, T, d1, lambda) {
+	const lambda2 = lambda * lambda
+	return (
+		(3.0 * T + 5.0 * x * d1 + (2.0 * (1.0 - lambda2) * lambda2 * lambda) / (y * y * y)) /
+		(1.0 - x * x)
+	)
+}
+
+/**Gets the third derivative of the non-dimensional time of flight with respect to `x`.
+ * ```
+ * d³T/dx³ = (7 * x * d²T/dx² + 8 * dT/dx - 6 * (1 - λ^2) * λ^5 * x / y^5) / (1 - x^2)
+ * ```
+ *
+ * @param {number} x The parameter `x` of the non-dimensional time of flight equation.
+ * @param {number} y The parameter `y` matching `x`, from `lambert_y`.
+ * @param {number} d1 The first derivative `dT/dx` at `x`.
+ * @param {number} d2 The second derivative `d²T/dx²` at `x`.
+ * @param {number} lambda The non-dimensional geometry parameter `λ` of the transfer, between -1 and 1.
+ * @returns {number} The third derivative `d³T/dx³`.
+ */
+function lambert_time_derivative3(x, y, d1, d2, lambda) {
+	const lambda2 = lambda * lambda
+	return (
+		(7.0 * x * d2 +
+			8.0 * d1 -
+			(6.0 * (1.0 - lambda2) * lambda2 * lambda2 * lambda * x) / Math.pow(y, 5.0)) /
+		(1.0 - x * x)
+	)
+}
+
+/**Gets the _[hypergeometric function](https://en.wikipedia.org/wiki/Hypergeometric_function)_ `2F1(3, 1, 5/2, x)`.
+ *
+ * @param {number} x The argument of the series, below 1.
+ * @returns {number} The value of the series, or **Infinity** where it diverges.
+ */
+function lambert_hypergeometric(x) {
+	if (x >= 1.0) return Infinity
+
+	let result = 1.0
+	let term = 1.0
+	for (let i = 0; i < 1000; i++) {
+		term *= (((3.0 + i) * (1.0 + i)) / (2.5 + i)) * (x / (i + 1.0))
+		const previous = result
+		result += term
+		if (result === previous) break
+	}
+	return result
+}
@@ -0,0 +1,188 @@
+/**The earth as used by the textbook examples, with `μ = 398600 km^3/s^2`.
+ */
+const LAMBERT_EARTH = new CelestialObject(398600.0e9 / G)
+
+/**Converts a array of kilometres into a **point** object in metres.
+ */
+function lambert_km(values) {
+	const [x, y, z] = values.map(value => value * 1000.0)
+	return { x, y, z }
+}
+
+test(lambert_curtis_5_2_test)
+function lambert_curtis_5_2_test() {
+	// Example 5.2 of Curtis, Orbital Mechanics for Engineering Students.
+	const from = lambert_km([5000.0, 10000.0, 2100.0])
+	const to = lambert_km([-14600.0, 2500.0, 7000.0])
+	const result = solve_lambert(LAMBERT_EARTH, from, to, 3600.0)
+
+	const expected_departure = lambert_km([-5.9925, 1.9254, 3.2456])
+	const expected_arrival = lambert_km([-3.3125, -4.1966, -0.38529])
+	assert_close(
+		result.departure_velocity,
+		expected_departure,
+		0.1,
+		`'solve_lambert' of Curtis example 5.2 has the wrong departure velocity! ${JSON.stringify(
+			result.departure_velocity
+		)}`
+	)
+	assert_close(
+		result.arrival_velocity,
+		expected_arrival,
+		0.1,
+		`'solve_lambert' of Curtis example 5.2 has the wrong arrival velocity! ${JSON.stringify(
+			result.arrival_velocity
+		)}`
+	)
+
+	const orbit = result.orbit
+	assert_close(
+		[orbit.semimajor_axis / 1000.0, orbit.eccentricity, (orbit.inclination * 180.0) / Math.PI],
+		[20002.9, 0.4335, 30.191],
+		[0.5, 0.0001, 0.001],
+		`'solve_lambert' of Curtis example 5.2 has the wrong orbit! ${orbit.semimajor_axis}, ${orbit.eccentricity}, ${orbit.inclination}`
+	)
+	assert(!orbit.clockwise, "'solve_lambert' of Curtis example 5.2 is clockwise!")
+}
+
+test(lambert_vallado_7_5_test)
+function lambert_vallado_7_5_test() {
+	// Example 7-5 of Vallado, Fundamentals of Astrodynamics and Applications.
+	const from = lambert_km([15945.34, 0.0, 0.0])
+	const to = lambert_km([12214.83899, 10249.46731, 0.0])
+	const result = solve_lambert(LAMBERT_EARTH, from, to, 76.0 * 60.0)
+
+	assert_close(
+		result.departure_velocity,
+		lambert_km([2.058913, 2.915965, 0.0]),
+		1.0,
+		`'solve_lambert' of Vallado example 7-5 has the wrong departure velocity! ${JSON.stringify(
+			result.departure_velocity
+		)}`
+	)
+	assert_close(
+		result.arrival_velocity,
+		lambert_km([-3.451565, 0.910315, 0.0]),
+		1.0,
+		`'solve_lambert' of Vallado example 7-5 has the wrong arrival velocity! ${JSON.stringify(
+			result.arrival_velocity
+		)}`
+	)
+}
+
+test(lambert_multiple_revolutions_test)
+function lambert_multiple_revolutions_test() {
+	// A Molniya orbit from the tests of Der and Izzo, directly and with one revolution.
+	const from = lambert_km([22592.145603, -1599.915239, -19783.950506])
+	const to = lambert_km([1922.067697, 4054.157051, -8925.727465])
+	const time_of_flight = 10.0 * 3600.0
+
+	const expected = [
+		[0, true, [2.000652697, 0.387688615, -2.66694776], [-3.79246619, -1.77707641, 6.856814395]],
+		[1, true, [0.5033577, 0.61869408, -1.57176904], [-4.18334626, -1.13262727, 6.13307091]],
+		[1, false, [-2.45759553, 1.16945801, 0.43161258], [-5.5384137, 0.0182222, 5.49641054]],
+	]
+	for (const [revolutions, low_path, departure, arrival] of expected) {
+		const result = solve_lambert(
+			LAMBERT_EARTH,
+			from,
+			to,
+			time_of_flight,
+			false,
+			revolutions,
+			low_path
+		)
+		const description = `with ${revolutions} revolutions and low path ${low_path}`
+
+		assert_close(
+			result.departure_velocity,
+			lambert_km(departure),
+			1.0,
+			`'solve_lambert' ${description} has the wrong departure velocity! ${JSON.stringify(
+				result.departure_velocity
+			)}`
+		)
+		assert_close(
+			result.arrival_velocity,
+			lambert_km(arrival),
+			1.0,
+			`'solve_lambert' ${description} has the wrong arrival velocity! ${JSON.stringify(
+				result.arrival_velocity
+			)}`
+		)
+	}
+
+	const low = solve_lambert(LAMBERT_EARTH, from, to, time_of_flight, false, 1, true)
+	const high = solve_lambert(LAMBERT_EARTH, from, to, time_of_flight, false, 1, false)
+	assert(
+		low.orbit.semimajor_axis < high.orbit.semimajor_axis,
+		`'solve_lambert' low path is not lower than the high path! ${low.orbit.semimajor_axis} > ${high.orbit.semimajor_axis}`
+	)
+
+	assert.equal(
+		solve_lambert(LAMBERT_EARTH, from, to, time_of_flight, false, 5),
+		null,
+		"'solve_lambert' found five revolutions in less than one orbital period!"
+	)
+}
+
+test(lambert_propagation_test)
+function lambert_propagation_test() {
+	const target_precision = 0.000001
+	const earth = new CelestialObject(5.972e24)
+
+	for (const clockwise of [false, true]) {
+		for (const revolutions of [0, 1, 2]) {
+			for (const low_path of [true, false]) {
+				for (let a = 15; a < 360; a += 45) {
+					const angle = (a * Math.PI) / 180.0
+					const from = { x: 7.0e6, y: 0.0, z: 0.0 }
+					const to = { x: 1.2e7 * Math.cos(angle), y: 1.2e7 * Math.sin(angle), z: 1.0e6 }
+					const time_of_flight = 2.0e4 * (revolutions + 1)
+
+					const result = solve_lambert(
+						earth,
+						from,
+						to,
+						time_of_flight,
+						clockwise,
+						revolutions,
+						low_path
+					)
+					if (revolutions > 0 && !result) continue
+
+					const description = `for angle ${a}, clockwise ${clockwise}, ${revolutions} revolutions and low path ${low_path}`
+					assert(result, `'solve_lambert' found no transfer ${description}!`)
+					assert.equal(
+						result.orbit.clockwise,
+						clockwise,
+						`'solve_lambert' transfer ${description} goes the wrong way!`
+					)
+
+					// Flying the transfer orbit for the time of flight has to arrive at the target.
+					const orbit = result.orbit
+					const mean_anomaly = result.departure_anomaly.mean_anomaly(orbit).angle
+					const { position, velocity } = orbit.state_vectors_at_time(
+						earth,
+						time_of_flight,
+						mean_anomaly
+					)
+					assert_close(
+						Math.hypot(position.x - to.x, position.y - to.y, position.z - to.z) / 1.2e7,
+						0.0,
+						target_precision,
+						`'solve_lambert' transfer ${description} does not arrive at the target! ${JSON.stringify(
+							position
+						)}`
+					)
+					assert_close(
+						velocity,
+						result.arrival_velocity,
+						target_precision * 1.0e4,
+						`'solve_lambert' transfer ${description} does not match the arrival velocity!`
+					)
+				}
+			}
+		}
+	}
+}
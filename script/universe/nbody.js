@@ -0,0 +1,368 @@
+/**The _[Dormand–Prince](https://en.wikipedia.org/wiki/Dormand%E2%80%93Prince_method)_ tableau used by `nbody_rk45_step`,
+ * with the `c` nodes, the `a` matrix, the fifth order weights `b` and the `error` weights of the embedded fourth order method.
+ */
+const NBODY_DORMAND_PRINCE = {
+	c: [0.0, 1.0 / 5.0, 3.0 / 10.0, 4.0 / 5.0, 8.0 / 9.0, 1.0, 1.0],
+	a: [
+		[],
+		[1.0 / 5.0],
+		[3.0 / 40.0, 9.0 / 40.0],
+		[44.0 / 45.0, -56.0 / 15.0, 32.0 / 9.0],
+		[19372.0 / 6561.0, -25360.0 / 2187.0, 64448.0 / 6561.0, -212.0 / 729.0],
+		[9017.0 / 3168.0, -355.0 / 33.0, 46732.0 / 5247.0, 49.0 / 176.0, -5103.0 / 18656.0],
+		[35.0 / 384.0, 0.0, 500.0 / 1113.0, 125.0 / 192.0, -2187.0 / 6784.0, 11.0 / 84.0],
+	],
+	b: [35.0 / 384.0, 0.0, 500.0 / 1113.0, 125.0 / 192.0, -2187.0 / 6784.0, 11.0 / 84.0, 0.0],
+	error: [
+		35.0 / 384.0 - 5179.0 / 57600.0,
+		0.0,
+		500.0 / 1113.0 - 7571.0 / 16695.0,
+		125.0 / 192.0 - 393.0 / 640.0,
+		-2187.0 / 6784.0 + 92097.0 / 339200.0,
+		11.0 / 84.0 - 187.0 / 2100.0,
+		-1.0 / 40.0,
+	],
+}
+
+/**The `nbody_verlet_step` function steps a `NBodySimulation` with _[velocity Verlet](https://en.wikipedia.org/wiki/Verlet_integration#Velocity_Verlet)_.
+ * It is symplectic, so the energy does not drift over long runs even though each step is only second order.
+ * ```
+ * x(t + Δt) = x(t) + v(t) * Δt + a(t) * Δt^2 / 2
+ * v(t + Δt) = v(t) + (a(t) + a(t + Δt)) * Δt / 2
+ * ```
+ *
+ * @param {NBodySimulation} simulation The simulation to step.
+ * @param {number} delta The time step in seconds, negative to step backwards.
+ */
+function nbody_verlet_step(simulation, delta) {
+	const { positions, velocities, accelerations } = simulation
+
+	for (let i = 0; i < positions.length; i++)
+		positions[i] += velocities[i] * delta + accelerations[i] * delta * delta * 0.5
+
+	const next = simulation.get_accelerations(simulation.time + delta, positions)
+	for (let i = 0; i < velocities.length; i++)
+		velocities[i] += (accelerations[i] + next[i]) * delta * 0.5
+
+	simulation.accelerations = next
+}
+
+/**The `nbody_rk45_step` function steps a `NBodySimulation` with the adaptive _Dormand–Prince_ method, see `NBODY_DORMAND_PRINCE`.
+ * The step is split into smaller ones wherever the difference between the fifth and fourth order results
+ * is above the `tolerance` of the simulation, like during close encounters.
+ *
+ * @param {NBodySimulation} simulation The simulation to step.
+ * @param {number} delta The time step in seconds, negative to step backwards.
+ */
+function nbody_rk45_step(simulation, delta) {
+	const { c, a, b, error } = NBODY_DORMAND_PRINCE
+	const count = simulation.positions.length
+	const derivative = (time, state) => [
+		...state.slice(count),
+		...simulation.get_accelerations(time, state.slice(0, count)),
+	]
+
+	let state = [...simulation.positions, ...simulation.velocities]
+	let time = simulation.time
+	const end = time + delta
+	let step = delta
+
+	while ((end - time) * Math.sign(delta) > 0.0) {
+		if (Math.abs(step) > Math.abs(end - time)) step = end - time
+
+		const k = []
+		for (let stage = 0; stage < c.length; stage++) {
+			const input = state.map(
+				(value, i) => value + step * a[stage].reduce((sum, w, j) => sum + w * k[j][i], 0.0)
+			)
+			k.push(derivative(time + c[stage] * step, input))
+		}
+
+		// The largest error relative to the tolerance, which is scaled by the size of each value.
+		let norm = 0.0
+		const next = state.map((value, i) => {
+			const estimate = step * error.reduce((sum, w, j) => sum + w * k[j][i], 0.0)
+			const result = value + step * b.reduce((sum, w, j) => sum + w * k[j][i], 0.0)
+			const scale = simulation.tolerance * (1.0 + Math.max(Math.abs(value), Math.abs(result)))
+			norm = Math.max(norm, Math.abs(estimate) / scale)
+			return result
+		})
+
+		// Steps that can not get any smaller are taken anyway, so the loop always ends.
+		if (norm <= 1.0 || Math.abs(step) <= Math.abs(delta) * 1e-9) {
+			state = next
+			time += step
+		}
+		step *= Math.min(Math.max(0.9 * Math.pow(norm, -0.2), 0.2), 5.0)
+	}
+
+	for (let i = 0; i < count; i++) {
+		simulation.positions[i] = state[i]
+		simulation.velocities[i] = state[count + i]
+	}
+	simulation.accelerations = simulation.get_accelerations(end, simulation.positions)
+}
+
+/**The integrators a `NBodySimulation` can step with, by name.
+ */
+const NBODY_INTEGRATORS = {
+	verlet: nbody_verlet_step,
+	rk45: nbody_rk45_step,
+}
+
+/**The `NBodySimulation` class integrates the motion of objects numerically under their mutual gravity,
+ * instead of moving them along their analytic `KeplerianOrbit`. That shows what the Keplerian rails leave out,
+ * like _[Lagrange points](https://en.wikipedia.org/wiki/Lagrange_point)_, _[orbital resonances](https://en.wikipedia.org/wiki/Orbital_resonance)_
+ * and _[perturbations](https://en.wikipedia.org/wiki/Perturbation_(astronomy))_.
+ *
+ * The objects are seeded from their current state vectors, and the simulation steps in a fixed `substep`
+ * so the result does not depend on the frame rate. Each `Orbit.update` writes the integrated state back as
+ * _[osculating elements](https://en.wikipedia.org/wiki/Osculating_orbit)_, so drawing and planning keep working
+ * and released objects carry on along the orbit they had when released.
+ * Everything else in the same star systems stays on its rails but still attracts the simulated objects.
+ * Stars can be simulated too, so they wobble around the _[barycenter](https://en.wikipedia.org/wiki/Barycenter_(astronomy))_,
+ * while any drift of the whole system does not show as every object is drawn relative to its parent.
+ * ```
+ * a_i = Σ μ_j * (r_j - r_i) / |r_j - r_i|^3
+ * ```
+ */
+class NBodySimulation {
+	/**Creates a `NBodySimulation` with no objects, see `seed`.
+	 *
+	 * @param {string} integrator The name of the integrator in `NBODY_INTEGRATORS`.
+	 * @param {number} substep The fixed time step in seconds.
+	 * @param {number} tolerance The error tolerance of adaptive integrators, relative to the size of each value.
+	 * @param {number} max_substeps The most substeps made in one `step_to`,
+	 * beyond which the simulation falls behind a warped clock and catches up in the next calls.
+	 */
+	constructor(integrator = "verlet", substep = 0.01, tolerance = 1e-9, max_substeps = 1000) {
+		this.integrator = integrator
+		this.substep = substep
+		this.tolerance = tolerance
+		this.max_substeps = max_substeps
+
+		this.time = 0.0
+		this.entities = []
+		this.attractors = []
+
+		// The state of the simulated objects relative to the root of their star system, three values for each.
+		this.positions = []
+		this.velocities = []
+		this.accelerations = []
+	}
+
+	/**The `seed` function starts simulating objects from their state vectors at a given time,
+	 * releasing any objects simulated before.
+	 *
+	 * @param {Object[]} entities The objects to simulate, a `Orbit` or a `Star`.
+	 * @param {number} time The time in seconds to start at.
+	 */
+	seed(entities, time) {
+		this.release()
+
+		const states = entities.map(entity => this.absolute_state(entity, time))
+		this.time = time
+		this.entities = [...entities]
+		this.positions = states.flatMap(({ position }) => [position.x, position.y, position.z])
+		this.velocities = states.flatMap(({ velocity }) => [velocity.x, velocity.y, velocity.z])
+
+		// Every other body in the star systems of the simulated objects attracts them from its rails.
+		this.attractors = []
+		const visit = entity => {
+			if (entity.body && !this.entities.includes(entity)) this.attractors.push(entity)
+			entity.children?.forEach(visit)
+		}
+		new Set(entities.map(entity => nbody_root(entity))).forEach(visit)
+
+		for (const entity of this.entities) entity.simulation = this
+		this.accelerations = this.get_accelerations(time, this.positions)
+	}
+
+	/**The `release` function puts the simulated objects back on the Keplerian rails of their osculating elements.
+	 */
+	release() {
+		for (const entity of this.entities) {
+			if (entity.simulation !== this || !entity.orbit) continue
+
+			const { position, velocity } = this.state_vectors(entity)
+			entity.simulation = null
+			entity.set_state_vectors(this.time, position, velocity)
+		}
+
+		this.entities = []
+		this.attractors = []
+		this.positions = []
+		this.velocities = []
+		this.accelerations = []
+	}
+
+	/**The `sync` function reads the state of a simulated object back from its orbit,
+	 * after it was changed outside the simulation, like by a `Orbit.burn`.
+	 *
+	 * @param {Orbit} entity The simulated object.
+	 */
+	sync(entity) {
+		const index = this.entities.indexOf(entity)
+		if (index < 0) return
+
+		const frame = this.absolute_state(entity.parent, this.time)
+		const { position, velocity } = entity.state_vectors(this.time)
+		const absolute = {
+			position: vector_add(frame.position, position),
+			velocity: vector_add(frame.velocity, velocity),
+		}
+		this.positions.splice(
+			index * 3,
+			3,
+			absolute.position.x,
+			absolute.position.y,
+			absolute.position.z
+		)
+		this.velocities.splice(
+			index * 3,
+			3,
+			absolute.velocity.x,
+			absolute.velocity.y,
+			absolute.velocity.z
+		)
+		this.accelerations = this.get_accelerations(this.time, this.positions)
+	}
+
+	/**Gets the state vectors of a object relative to the root of its star system.
+	 * Simulated objects are at their integrated state, and others are found along the rails of their parents,
+	 * where simulated parents are taken at the current `time` of the simulation.
+	 *
+	 * @param {Object} entity The object.
+	 * @param {number} time The time in seconds.
+	 * @returns {object} Object with the `position` and `velocity` **point** objects.
+	 */
+	absolute_state(entity, time) {
+		const index = this.entities.indexOf(entity)
+		if (index >= 0)
+			return {
+				position: nbody_point(this.positions, index),
+				velocity: nbody_point(this.velocities, index),
+			}
+
+		if (!entity.orbit || !entity.parent?.body)
+			return {
+				position: { x: entity.x ?? 0.0, y: entity.y ?? 0.0, z: 0.0 },
+				velocity: { x: 0.0, y: 0.0, z: 0.0 },
+			}
+
+		const frame = this.absolute_state(entity.parent, time)
+		const { position, velocity } = entity.state_vectors(time)
+		return {
+			position: vector_add(frame.position, position),
+			velocity: vector_add(frame.velocity, velocity),
+		}
+	}
+
+	/**Gets the state vectors of a simulated object relative to its parent at the current `time` of the simulation.
+	 *
+	 * @param {Orbit} entity The simulated object.
+	 * @returns {object} Object with the `position` and `velocity` **point** objects.
+	 */
+	state_vectors(entity) {
+		const { position, velocity } = this.absolute_state(entity, this.time)
+		const frame = this.absolute_state(entity.parent, this.time)
+
+		return {
+			position: vector_subtract(position, frame.position),
+			velocity: vector_subtract(velocity, frame.velocity),
+		}
+	}
+
+	/**Gets the accelerations of the simulated objects from the gravity of each other and of the attractors.
+	 *
+	 * @param {number} time The time in seconds, where the attractors are taken along their rails.
+	 * @param {number[]} positions The positions of the simulated objects, three values for each.
+	 * @returns {number[]} The accelerations, three values for each simulated object.
+	 */
+	get_accelerations(time, positions) {
+		const sources = [
+			...this.entities.map((entity, i) => ({
+				index: i,
+				gravitational_parameter: entity.body.gravitational_parameter,
+				position: nbody_point(positions, i),
+			})),
+			...this.attractors.map(entity => ({
+				index: -1,
+				gravitational_parameter: entity.body.gravitational_parameter,
+				position: this.absolute_state(entity, time).position,
+			})),
+		]
+
+		const accelerations = new Array(positions.length).fill(0.0)
+		for (let i = 0; i < this.entities.length; i++) {
+			const position = nbody_point(positions, i)
+
+			for (const source of sources) {
+				if (source.index === i) continue
+
+				const offset = vector_subtract(source.position, position)
+				const distance = vector_length(offset)
+				if (distance === 0.0) continue
+
+				const scale = source.gravitational_parameter / (distance * distance * distance)
+				accelerations[i * 3] += offset.x * scale
+				accelerations[i * 3 + 1] += offset.y * scale
+				accelerations[i * 3 + 2] += offset.z * scale
+			}
+		}
+
+		return accelerations
+	}
+
+	/**The `max_warp` function gets the largest time warp the simulation keeps up with,
+	 * making at most `max_substeps` in each `step_to`.
+	 *
+	 * @param {number} delta The wall time in seconds between the calls to `step_to`.
+	 * @returns {number} The largest time warp factor.
+	 */
+	max_warp(delta) {
+		return (this.max_substeps * this.substep) / delta
+	}
+
+	/**The `step_to` function steps the simulation in fixed substeps until it is less than a substep from a given time,
+	 * so the same time is reached with the same substeps however often it is called.
+	 * The remainder is left to the osculating elements written back by `Orbit.update`.
+	 * At most `max_substeps` are made, and the time left over is stepped in the next calls.
+	 *
+	 * @param {number} time The time in seconds to step to, earlier than the current time to step backwards.
+	 */
+	step_to(time) {
+		const remaining = time - this.time
+		const count = Math.min(
+			Math.floor(Math.abs(remaining) / this.substep + 1e-6),
+			this.max_substeps
+		)
+		const delta = Math.sign(remaining) * this.substep
+
+		const step = NBODY_INTEGRATORS[this.integrator]
+		for (let i = 0; i < count; i++) {
+			step(this, delta)
+			this.time += delta
+		}
+	}
+}
+
+/**Gets the root of the star system a object is in, the ancestor without a parent `body`.
+ *
+ * @param {Object} entity The object.
+ * @returns {Object} The root, usually a `Star`.
+ */
+function nbody_root(entity) {
+	while (entity.parent?.body) entity = entity.parent
+	return entity
+}
+
+/**Gets the **point** object of a simulated object from a array with three values for each.
+ *
+ * @param {number[]} values The values.
+ * @param {number} index The index of the simulated object.
+ * @returns {object} The **point** object.
+ */
+function nbody_point(values, index) {
+	return { x: values[index * 3], y: values[index * 3 + 1], z: values[index * 3 + 2] }
+}
@@ -0,0 +1,157 @@
+/**Creates a star with two planets on circular orbits, the second one a sixth of a orbit ahead of the first.
+ *
+ * @param {number} mass The mass of the first planet.
+ * @param {number} second_mass The mass of the second planet.
+ * @returns {object} Object with the `star` and the `first` and `second` planets.
+ */
+function nbody_system(mass, second_mass) {
+	const star = new Star(new Object({}), 0, 0, 1.0e10)
+	const first = new Planet({ parent: star, radius: 0.1, mass, semimajor_axis: 3 })
+	const second = new Planet({
+		parent: star,
+		radius: 0.1,
+		mass: second_mass,
+		semimajor_axis: 3,
+		mean_anomaly_at_epoch: Math.PI / 3.0,
+	})
+
+	return { star, first, second }
+}
+
+test(nbody_two_body_test)
+function nbody_two_body_test() {
+	for (const [integrator, tolerance] of [
+		["verlet", 1e-3],
+		["rk45", 1e-6],
+	]) {
+		const { star, first } = nbody_system(1.0, 1.0)
+		const period = first.orbit.orbital_period(star.body)
+		const analytic = nbody_system(1.0, 1.0).first
+		const simulation = new NBodySimulation(integrator, 0.01)
+		simulation.seed([first], 0.0)
+
+		// With a light neighbour the integrated orbit matches the analytic one.
+		const canvas = { clock: { time: 0.0 }, project: point => point }
+		while (canvas.clock.time < period) {
+			canvas.clock.time = Math.min(canvas.clock.time + 1.0, period)
+			first.update(canvas)
+		}
+		assert_close(
+			simulation.state_vectors(first),
+			analytic.state_vectors(simulation.time),
+			tolerance,
+			`The ${integrator} orbit does not match the analytic one after one period!`
+		)
+		assert_close(
+			[first.orbit.semimajor_axis, first.orbit.eccentricity, first.epoch],
+			[3.0, 0.0, simulation.time],
+			[tolerance, tolerance, 0.0],
+			`The ${integrator} osculating orbit does not match the analytic one!`
+		)
+		assert(period - simulation.time < 0.01, "The simulation did not step up to the clock!")
+	}
+}
+
+test(nbody_substep_test)
+function nbody_substep_test() {
+	const step = (frames, max_substeps = 1000) => {
+		const { first, second } = nbody_system(1.0e9, 1.0e8)
+		const simulation = new NBodySimulation("verlet", 0.01, 1e-9, max_substeps)
+		simulation.seed([first, second], 0.0)
+		for (const time of frames) simulation.step_to(time)
+		return [...simulation.positions, ...simulation.velocities]
+	}
+
+	// The same substeps are taken however the frames fall.
+	const frames = Array.from({ length: 37 }, (_, i) => ((i + 1) * (i + 1) * 5.0) / (37 * 37))
+	assert.deepEqual(step(frames), step([5.0]), "The simulation depends on the frame rate!")
+
+	// A simulation behind a warped clock catches up in the same substeps.
+	assert.deepEqual(
+		step(Array(5).fill(5.0), 100),
+		step([5.0]),
+		"The substeps were stretched to keep up!"
+	)
+	assert.notDeepEqual(
+		step(Array(4).fill(5.0), 100),
+		step([5.0]),
+		"The simulation made more than the most substeps!"
+	)
+}
+
+test(nbody_max_warp_test)
+function nbody_max_warp_test() {
+	const { first, second } = nbody_system(1.0e9, 1.0e8)
+	const simulation = new NBodySimulation("verlet", 0.01, 1e-9, 100)
+	simulation.seed([first, second], 0.0)
+
+	// A clock limited to the warp of the simulation is never more than a substep ahead of it.
+	const clock = new Clock().limit_warp(simulation.max_warp(1.0 / 60.0))
+	clock.set_warp(1e7)
+	assert.equal(clock.warp, 60.0, "The warp was not capped while simulating!")
+	for (let i = 0; i < 60; i++) {
+		clock.step(1.0 / 60.0)
+		simulation.step_to(clock.time)
+		assert(clock.time - simulation.time < 0.01, "The simulation fell behind the clock!")
+	}
+
+	assert.equal(clock.reverse().warp, -60.0, "The capped warp could not be reversed!")
+	assert.equal(clock.limit_warp(Infinity).increase_warp().warp, -100.0, "The warp stayed capped!")
+}
+
+test(nbody_perturbation_test)
+function nbody_perturbation_test() {
+	const { first, second } = nbody_system(1.0e9, 1.0e8)
+	const simulation = new NBodySimulation("rk45", 0.1)
+	simulation.seed([first, second], 0.0)
+	const canvas = { clock: { time: 10.0 }, project: point => point }
+	first.update(canvas)
+	second.update(canvas)
+
+	// The planets pull on each other, so they leave their Keplerian orbits.
+	const { position } = simulation.state_vectors(first)
+	const analytic = nbody_system(1.0, 1.0).first.state_vectors(10.0).position
+	assert(
+		Math.hypot(position.x - analytic.x, position.y - analytic.y) > 1e-3,
+		"The planets did not perturb each other!"
+	)
+
+	// A burn is carried into the simulation.
+	const before = simulation.state_vectors(second).velocity
+	second.burn(10.0, { x: 0.1, y: 0.0, z: 0.0 })
+	assert_close(
+		simulation.state_vectors(second).velocity,
+		{ x: before.x + 0.1, y: before.y, z: before.z },
+		1e-9,
+		"The burn was not carried into the simulation!"
+	)
+
+	// Released planets carry on along their osculating orbits.
+	const state = simulation.state_vectors(first)
+	simulation.release()
+	assert.equal(first.simulation, null, "The planet was not released!")
+	assert_close(
+		first.state_vectors(10.0),
+		state,
+		1e-9,
+		"The released planet is not on its osculating orbit!"
+	)
+}
+
+test(nbody_lagrange_point_test)
+function nbody_lagrange_point_test() {
+	const { star, first, second } = nbody_system(1.0e7, 1.0)
+	const period = first.orbit.orbital_period(star.body)
+	const simulation = new NBodySimulation("verlet", 0.02)
+	simulation.seed([star, first, second], 0.0)
+
+	// A trojan a sixth of a orbit ahead of a planet stays around the L4 point,
+	// as long as the star is simulated and moves around the barycenter.
+	for (let time = 0.0; time <= period * 10.0; time += period / 4.0) {
+		simulation.step_to(time)
+		const a = simulation.state_vectors(first).position
+		const b = simulation.state_vectors(second).position
+		const angle = wrap_angle(Math.atan2(b.y, b.x) - Math.atan2(a.y, a.x))
+		assert_close(angle, Math.PI / 3.0, 0.01, `The trojan left the L4 point at ${time}!`)
+	}
+}
@@ -74,6 +74,335 @@ class CelestialObject {
 			return Math.sqrt(2.0 * this.gravitational_parameter * (1.0 / from - 1.0 / to))
 		else return -Math.sqrt(2.0 * this.gravitational_parameter * (1.0 / to - 1.0 / from))
 	}
+
+	/**Gets the speed of a object on a orbit at a given radius from the _[vis-viva equation](https://en.wikipedia.org/wiki/Vis-viva_equation)_.
+	 * ```
+	 * v = sqrt(μ * (2 / r - 1 / a))
+	 * ```
+	 *
+	 * @param {number} radius The distance from the center of the parent object.
+	 * @param {number} semimajor_axis The semimajor axis of the orbit.
+	 * @returns {number} The orbital speed.
+	 */
+	get_orbital_velocity(radius, semimajor_axis = radius) {
+		return Math.sqrt(this.gravitational_parameter * (2.0 / radius - 1.0 / semimajor_axis))
+	}
+
+	/**Gets the radius of the _[sphere of influence](https://en.wikipedia.org/wiki/Sphere_of_influence_(astrodynamics))_
+	 * of the celestial object, as defined by Laplace, while it orbits a heavier parent.
+	 * Inside it the motion of a small object is best described as a orbit around this object instead of the parent.
+	 * ```
+	 * r_SOI = a * (m / M)^(2/5) = a * (μ / μ_M)^(2/5)
+	 * ```
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit of the celestial object around its parent.
+	 * @param {CelestialObject} parent_boddy The parameters of the parent object.
+	 * @returns {number} The radius of the sphere of influence.
+	 */
+	get_sphere_of_influence(orbit, parent_boddy) {
+		const ratio = this.gravitational_parameter / parent_boddy.gravitational_parameter
+		return orbit.semimajor_axis * Math.pow(ratio, 2.0 / 5.0)
+	}
+
+	/**Gets the _[Hohmann transfer](https://en.wikipedia.org/wiki/Hohmann_transfer_orbit)_ between two orbits around the celestial object.
+	 * The two burns are made at the periapsis and apoapsis of the half ellipse touching both orbits.
+	 * ```
+	 * a_t = (r1 + r2) / 2
+	 * Δv1 = sqrt(μ * (2 / r1 - 1 / a_t)) - sqrt(μ / r1)
+	 * Δv2 = sqrt(μ / r2) - sqrt(μ * (2 / r2 - 1 / a_t))
+	 * t = π * sqrt(a_t^3 / μ)
+	 * φ = π - t * sqrt(μ / r2^3)
+	 * ```
+	 * Both orbits are treated as circular at their semimajor axis and as lying in the plane of `from`.
+	 *
+	 * @param {KeplerianOrbit} from The orbit to depart from.
+	 * @param {KeplerianOrbit} to The orbit to arrive at.
+	 * @param {number} departure_anomaly The _true anomaly_ of `from` at the first burn, in **radians**.
+	 * @returns {object} The transfer, see `get_transfers`.
+	 */
+	get_hohmann_transfer(from, to, departure_anomaly = 0.0) {
+		const r1 = from.semimajor_axis
+		const r2 = to.semimajor_axis
+		const transfer_orbit = transfer_ellipse(from, r1, r2, departure_anomaly)
+		const a = transfer_orbit.semimajor_axis
+
+		const burns = [
+			this.get_orbital_velocity(r1, a) - this.get_orbital_velocity(r1),
+			this.get_orbital_velocity(r2) - this.get_orbital_velocity(r2, a),
+		]
+		const time_of_flight = transfer_orbit.orbital_period(this) / 2.0
+
+		return {
+			type: "hohmann",
+			burns,
+			delta_velocity: burns.reduce((sum, burn) => sum + Math.abs(burn), 0.0),
+			transfer_orbits: [transfer_orbit],
+			start_anomalies: [r1 <= r2 ? 0.0 : Math.PI],
+			time_of_flight,
+			phase_angle: wrap_angle(Math.PI - time_of_flight * to.mean_motion(this)),
+		}
+	}
+
+	/**Gets the _[bi-elliptic transfer](https://en.wikipedia.org/wiki/Bi-elliptic_transfer)_ between two orbits around the celestial object.
+	 * The first half ellipse raises the apoapsis to the `intermediate_radius`,
+	 * where the second burn sets the periapsis of the second half ellipse to the target orbit.
+	 * ```
+	 * a1 = (r1 + rb) / 2
+	 * a2 = (r2 + rb) / 2
+	 * Δv1 = sqrt(μ * (2 / r1 - 1 / a1)) - sqrt(μ / r1)
+	 * Δv2 = sqrt(μ * (2 / rb - 1 / a2)) - sqrt(μ * (2 / rb - 1 / a1))
+	 * Δv3 = sqrt(μ / r2) - sqrt(μ * (2 / r2 - 1 / a2))
+	 * t = π * sqrt(a1^3 / μ) + π * sqrt(a2^3 / μ)
+	 * φ = 2π - t * sqrt(μ / r2^3)
+	 * ```
+	 * Both orbits are treated as circular at their semimajor axis and as lying in the plane of `from`.
+	 *
+	 * @param {KeplerianOrbit} from The orbit to depart from.
+	 * @param {KeplerianOrbit} to The orbit to arrive at.
+	 * @param {number} intermediate_radius The apoapsis radius of both transfer orbits.
+	 * @param {number} departure_anomaly The _true anomaly_ of `from` at the first burn, in **radians**.
+	 * @returns {object} The transfer, see `get_transfers`.
+	 */
+	get_bi_elliptic_transfer(from, to, intermediate_radius, departure_anomaly = 0.0) {
+		const r1 = from.semimajor_axis
+		const r2 = to.semimajor_axis
+		const rb = intermediate_radius
+
+		// The second orbit starts at the apoapsis of the first, half a turn later.
+		const first_orbit = transfer_ellipse(from, r1, rb, departure_anomaly)
+		const second_orbit = transfer_ellipse(from, rb, r2, departure_anomaly + Math.PI)
+		const a1 = first_orbit.semimajor_axis
+		const a2 = second_orbit.semimajor_axis
+
+		const burns = [
+			this.get_orbital_velocity(r1, a1) - this.get_orbital_velocity(r1),
+			this.get_orbital_velocity(rb, a2) - this.get_orbital_velocity(rb, a1),
+			this.get_orbital_velocity(r2) - this.get_orbital_velocity(r2, a2),
+		]
+		const time_of_flight =
+			(first_orbit.orbital_period(this) + second_orbit.orbital_period(this)) / 2.0
+
+		return {
+			type: "bi-elliptic",
+			burns,
+			delta_velocity: burns.reduce((sum, burn) => sum + Math.abs(burn), 0.0),
+			transfer_orbits: [first_orbit, second_orbit],
+			start_anomalies: [0.0, Math.PI],
+			time_of_flight,
+			phase_angle: wrap_angle(Math.PI * 2.0 - time_of_flight * to.mean_motion(this)),
+		}
+	}
+
+	/**Gets the Hohmann and bi-elliptic transfers between two orbits around the celestial object, cheapest first.
+	 * Each transfer is a object with:
+	 *
+	 * | Name              | Description                                                                                  |
+	 * |------------------:|:---------------------------------------------------------------------------------------------|
+	 * | `type`            | Either `"hohmann"` or `"bi-elliptic"`.                                                       |
+	 * | `burns`           | The _Δv_ of each burn, positive along the direction of motion.                               |
+	 * | `delta_velocity`  | The total _Δv_ of all burns.                                                                 |
+	 * | `transfer_orbits` | The `KeplerianOrbit` of each half ellipse flown.                                             |
+	 * | `start_anomalies` | The _true anomaly_ each half ellipse is entered at, 0 at the periapsis or π at the apoapsis. |
+	 * | `time_of_flight`  | The time in seconds from the first to the last burn.                                         |
+	 * | `phase_angle`     | The angle in **radians** the target has to lead the departure point by at the first burn.    |
+	 *
+	 * @param {KeplerianOrbit} from The orbit to depart from.
+	 * @param {KeplerianOrbit} to The orbit to arrive at.
+	 * @param {number[]} intermediate_radii The intermediate radii of the bi-elliptic transfers to consider.
+	 * @param {number} departure_anomaly The _true anomaly_ of `from` at the first burn, in **radians**.
+	 * @returns {object[]} The transfers sorted by `delta_velocity`.
+	 */
+	get_transfers(from, to, intermediate_radii = null, departure_anomaly = 0.0) {
+		const outer = Math.max(from.semimajor_axis, to.semimajor_axis)
+		intermediate_radii ??= [2.0, 5.0, 10.0, 20.0].map(factor => outer * factor)
+
+		return [
+			this.get_hohmann_transfer(from, to, departure_anomaly),
+			...intermediate_radii
+				.filter(radius => radius > outer)
+				.map(radius => this.get_bi_elliptic_transfer(from, to, radius, departure_anomaly)),
+		].sort((a, b) => a.delta_velocity - b.delta_velocity)
+	}
+}
+
+/**Wraps a angle to the range between -π and π.
+ *
+ * @param {number} angle The angle in **radians**.
+ * @returns {number} The wrapped angle.
+ */
+function wrap_angle(angle) {
+	return angle - Math.PI * 2.0 * Math.round(angle / (Math.PI * 2.0))
+}
+
+/**The `solve_kepler` function solves _[Kepler's equation](https://en.wikipedia.org/wiki/Kepler%27s_equation)_
+ * for the _eccentric anomaly_ of a elliptic orbit.
+ * ```
+ * M = E - e * sin(E)
+ * ```
+ * The mean anomaly is reduced to the range between -π and π, where the solution is mirrored around zero,
+ * so only `0 <= M <= π` is solved and the whole turns are added back, keeping `E` continuous with `M`.
+ * It starts from the guess of _[Danby (1988)](https://ui.adsabs.harvard.edu/abs/1988fcm..book.....D)_
+ * and takes _[Halley's method](https://en.wikipedia.org/wiki/Halley%27s_method)_ steps, which converge cubically.
+ * The solution always lies between `M` and `M + e`, so steps that leave that bracket bisect it instead,
+ * which guarantees convergence even for eccentricities close to one.
+ * It stops once a step is within the `tolerance`, or the error is down to the rounding of the terms.
+ * ```
+ * E0 = M + 0.85 * e
+ * E = E - f / (f' - f * f'' / (2 * f'))
+ * f = E - e * sin(E) - M, f' = 1 - e * cos(E), f'' = e * sin(E)
+ * ```
+ *
+ * @param {number} mean_anomaly The mean anomaly in **radians**.
+ * @param {number} eccentricity The eccentricity of the orbit, **only valid for elliptic orbits!**
+ * @param {number} tolerance The largest change of the eccentric anomaly in **radians** of the last step.
+ * @param {number} max_iterations The most steps taken.
+ * @returns {object} Object with the `eccentric_anomaly` in **radians**, the number of `iterations`,
+ * the `error` left in Kepler's equation in **radians** and whether or not it `converged`.
+ */
+function solve_kepler(mean_anomaly, eccentricity, tolerance = 1e-15, max_iterations = 64) {
+	const reduced = wrap_angle(mean_anomaly)
+	const turns = mean_anomaly - reduced
+	const sign = reduced < 0.0 ? -1.0 : 1.0
+	const M = Math.abs(reduced)
+	const e = eccentricity
+
+	// Circular orbits, the periapsis and the apoapsis are solved exactly by E = M.
+	let E = M
+	let iterations = 0
+	let converged = e === 0.0 || M === 0.0 || M === Math.PI
+
+	let low = M
+	let high = Math.min(M + e, Math.PI)
+	if (!converged) E = Math.min(M + 0.85 * e, high)
+
+	while (!converged && iterations < max_iterations) {
+		iterations++
+
+		// Residuals within rounding of the terms can not be improved on.
+		const sin = e * Math.sin(E)
+		const f = E - sin - M
+		if (Math.abs(f) <= Number.EPSILON * 2.0 * E) {
+			converged = true
+			break
+		}
+		if (f < 0.0) low = E
+		else high = E
+
+		const derivative = 1.0 - e * Math.cos(E)
+		let next = E - f / (derivative - (f * sin) / (2.0 * derivative))
+		if (!(next >= low && next <= high)) next = (low + high) / 2.0
+
+		converged = Math.abs(next - E) <= tolerance * Math.max(1.0, E) || high - low <= tolerance
+		E = next
+	}
+
+	return {
+		eccentric_anomaly: sign * E + turns,
+		iterations,
+		error: Math.abs(E - e * Math.sin(E) - M),
+		converged,
+	}
+}
+
+/**Creates the half ellipse going from one radius to another, oriented in the plane of a orbit.
+ * The ellipse starts at its periapsis when raising the orbit and at its apoapsis when lowering it,
+ * at the direction of a _true anomaly_ along the orbit.
+ *
+ * @param {KeplerianOrbit} orbit The orbit to take the plane and direction of motion from.
+ * @param {number} from The starting radius.
+ * @param {number} to The ending radius.
+ * @param {number} anomaly The _true anomaly_ of `orbit` at the start, in **radians**.
+ * @returns {KeplerianOrbit} The transfer orbit.
+ */
+function transfer_ellipse(orbit, from, to, anomaly) {
+	const periapsis = Math.min(from, to)
+	const apoapsis = Math.max(from, to)
+
+	// The periapsis is rotated by `-ω` and mirrored for clockwise orbits.
+	const direction = orbit.clockwise ? -1.0 : 1.0
+	const start = from <= to ? 0.0 : Math.PI
+
+	return new KeplerianOrbit(
+		(periapsis + apoapsis) / 2.0,
+		(apoapsis - periapsis) / (apoapsis + periapsis),
+		wrap_angle(orbit.argument_of_periapsis - direction * anomaly + start),
+		orbit.clockwise,
+		orbit.inclination,
+		orbit.longitude_of_ascending_node
+	)
+}
+
+/**Gets the sum of two **point** objects, like a position relative to a parent and the position of the parent.
+ *
+ * @param {object} a The first **point** object.
+ * @param {object} b The second **point** object.
+ * @returns {object} The **point** object `a + b`.
+ */
+function vector_add(a, b) {
+	return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z }
+}
+
+/**Gets the difference of two **point** objects, like the position of one object relative to another.
+ *
+ * @param {object} a The first **point** object.
+ * @param {object} b The second **point** object.
+ * @returns {object} The **point** object `a - b`.
+ */
+function vector_subtract(a, b) {
+	return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }
+}
+
+/**Gets a **point** object multiplied by a number.
+ *
+ * @param {object} a The **point** object.
+ * @param {number} scale The number to multiply with.
+ * @returns {object} The **point** object `a * scale`.
+ */
+function vector_scale(a, scale) {
+	return { x: a.x * scale, y: a.y * scale, z: a.z * scale }
+}
+
+/**Gets the _[dot product](https://en.wikipedia.org/wiki/Dot_product)_ of two **point** objects.
+ *
+ * @param {object} a The first **point** object.
+ * @param {object} b The second **point** object.
+ * @returns {number} The dot product `a · b`.
+ */
+function vector_dot(a, b) {
+	return a.x * b.x + a.y * b.y + a.z * b.z
+}
+
+/**Gets the _[cross product](https://en.wikipedia.org/wiki/Cross_product)_ of two **point** objects,
+ * like the specific angular momentum `h = r × v`.
+ *
+ * @param {object} a The first **point** object.
+ * @param {object} b The second **point** object.
+ * @returns {object} The **point** object `a × b`.
+ */
+function vector_cross(a, b) {
+	return {
+		x: a.y * b.z - a.z * b.y,
+		y: a.z * b.x - a.x * b.z,
+		z: a.x * b.y - a.y * b.x,
+	}
+}
+
+/**Gets the length of a **point** object.
+ *
+ * @param {object} a The **point** object.
+ * @returns {number} The length `|a|`.
+ */
+function vector_length(a) {
+	return Math.sqrt(vector_dot(a, a))
+}
+
+/**Gets the unit direction of a **point** object.
+ *
+ * @param {object} a The **point** object, not of zero length.
+ * @returns {object} The **point** object `a / |a|`.
+ */
+function vector_normalize(a) {
+	return vector_scale(a, 1.0 / vector_length(a))
 }
 
 /**
@@ -99,28 +428,145 @@ class CelestialObject {
  */
 class KeplerianOrbit {
 	/**Creates `KeplerianOrbit` class that encapsulate the data of a _[Keplerian orbit](https://en.wikipedia.org/wiki/Kepler_orbit)_.
+	 *
+	 * Hyperbolic trajectories (`e > 1`) store the absolute value of their semimajor axis.
+	 * Parabolic trajectories (`e = 1`) have a infinite semimajor axis so the _periapsis_ radius is stored in its place.
 	 *
 	 * @param {number} semimajor_axis The half distance between the apoapsis and periapsis.
 	 * @param {number} eccentricity The shape of the ellipse.
 	 * @param {number} argument_of_periapsis The orientation of the ellipse in the orbital plane.
 	 * @param {boolean} clockwise Whether or not the orbit is clockwise or not.
+	 * @param {number} inclination The vertical tilt of the ellipse with respect to the reference plane.
+	 * @param {number} longitude_of_ascending_node The horizontal orientation of the ascending node of the ellipse.
 	 */
-	constructor(semimajor_axis, eccentricity = 0.0, argument_of_periapsis = 0, clockwise = false) {
+	constructor(
+		semimajor_axis,
+		eccentricity = 0.0,
+		argument_of_periapsis = 0,
+		clockwise = false,
+		inclination = 0,
+		longitude_of_ascending_node = 0
+	) {
 		this.semimajor_axis = Math.abs(semimajor_axis)
 		this.eccentricity = Math.abs(eccentricity)
 		this.argument_of_periapsis = argument_of_periapsis
 		this.clockwise = clockwise
+		this.inclination = inclination
+		this.longitude_of_ascending_node = longitude_of_ascending_node
+	}
+
+	/**Creates `KeplerianOrbit` from the _[state vectors](https://en.wikipedia.org/wiki/Orbital_state_vectors)_ of a object relative to its parent boddy.
+	 * The current position along the orbit can be found with `true_anomaly_at_point`.
+	 * ```
+	 * h = r × v
+	 * e = ((v^2 - μ / r) * r - (r · v) * v) / μ
+	 * a = -μ / (2 * ε) = -μ / (v^2 - 2 * μ / r)
+	 * i = acos(|h_z| / |h|)
+	 * ```
+	 * Orbits with a negative `h_z` are clockwise, so the inclination stays between 0 and π/2.
+	 *
+	 * @param {CelestialObject} parent_boddy The parameters of the parent object.
+	 * @param {object} position The **point** object relative to the parent.
+	 * @param {object} velocity The velocity **point** object relative to the parent.
+	 * @returns {KeplerianOrbit} The orbit going through the position with the velocity.
+	 */
+	static from_state_vectors(parent_boddy, position, velocity) {
+		const gravitational_parameter = parent_boddy.gravitational_parameter
+		const r = { x: position.x, y: position.y, z: position.z ?? 0.0 }
+		const v = { x: velocity.x, y: velocity.y, z: velocity.z ?? 0.0 }
+
+		const radius = vector_length(r)
+		const speed2 = vector_dot(v, v)
+		const radial = vector_dot(r, v)
+
+		// Specific angular momentum, mirrored for clockwise orbits.
+		const clockwise = r.x * v.y - r.y * v.x < 0.0
+		const h = vector_scale(vector_cross(r, v), clockwise ? -1.0 : 1.0)
+		const angular_momentum = vector_length(h)
+
+		// Eccentricity vector pointing from the focal center towards the periapsis.
+		const scale = speed2 - gravitational_parameter / radius
+		const e = vector_scale(
+			vector_subtract(vector_scale(r, scale), vector_scale(v, radial)),
+			1.0 / gravitational_parameter
+		)
+		let eccentricity = vector_length(e)
+
+		// Parabolic trajectories store the periapsis in place of the semimajor axis.
+		let semimajor_axis =
+			gravitational_parameter / (speed2 - (2.0 * gravitational_parameter) / radius)
+		if (Math.abs(eccentricity - 1.0) < 1e-10) {
+			eccentricity = 1.0
+			semimajor_axis = (angular_momentum * angular_momentum) / gravitational_parameter / 2.0
+		}
+
+		// The ascending node is undefined for orbits in the reference plane.
+		const node = Math.sqrt(h.x * h.x + h.y * h.y)
+		const inclination = Math.atan2(node, h.z)
+		const longitude_of_ascending_node =
+			node < 1e-12 * angular_momentum ? 0.0 : Math.atan2(-h.x, -h.y)
+
+		const orbit = new KeplerianOrbit(
+			semimajor_axis,
+			eccentricity,
+			0.0,
+			clockwise,
+			inclination,
+			longitude_of_ascending_node
+		)
+
+		// The periapsis is rotated by `-ω` in the orbital plane.
+		const periapsis = orbit.unorient_point(e)
+		orbit.argument_of_periapsis = -Math.atan2(periapsis.y, periapsis.x)
+
+		return orbit
+	}
+
+	/**Gets whether or not the orbit is a closed _[elliptic orbit](https://en.wikipedia.org/wiki/Elliptic_orbit)_.
+	 * ```
+	 * 0 <= e < 1
+	 * ```
+	 *
+	 * @returns {boolean} Boolean indicating elliptic orbit.
+	 */
+	is_elliptic() {
+		return this.eccentricity < 1.0
+	}
+
+	/**Gets whether or not the orbit is a open _[parabolic trajectory](https://en.wikipedia.org/wiki/Parabolic_trajectory)_.
+	 * ```
+	 * e = 1
+	 * ```
+	 *
+	 * @returns {boolean} Boolean indicating parabolic trajectory.
+	 */
+	is_parabolic() {
+		return this.eccentricity === 1.0
+	}
+
+	/**Gets whether or not the orbit is a open _[hyperbolic trajectory](https://en.wikipedia.org/wiki/Hyperbolic_trajectory)_.
+	 * ```
+	 * e > 1
+	 * ```
+	 *
+	 * @returns {boolean} Boolean indicating hyperbolic trajectory.
+	 */
+	is_hyperbolic() {
+		return this.eccentricity > 1.0
 	}
 
 	/**Gets the _[semiminor axis](https://en.wikipedia.org/wiki/Semi-major_and_semi-minor_axes)_ of the orbit.
 	 * ```
-	 * b = a * sqrt(1 - e^2)
+	 * if e < 1: b = a * sqrt(1 - e^2)
+	 * else:     b = a * sqrt(e^2 - 1)
 	 * ```
 	 *
 	 * @returns {number} The _[semiminor axis](https://en.wikipedia.org/wiki/Semi-major_and_semi-minor_axes)_ of the orbit.
 	 */
 	semiminor_axis() {
-		return this.semimajor_axis * Math.sqrt(1.0 - this.eccentricity * this.eccentricity)
+		return (
+			this.semimajor_axis * Math.sqrt(Math.abs(1.0 - this.eccentricity * this.eccentricity))
+		)
 	}
 
 	/**Gets the _[focal point](https://en.wikipedia.org/wiki/Ellipse#Definition_as_locus_of_points)_ of the orbit.
@@ -147,38 +593,42 @@ class KeplerianOrbit {
 
 	/**Gets the _[semi-latus rectum](https://en.wikipedia.org/wiki/Ellipse#Semi-latus_rectum)_ of the orbit.
 	 * ```
-	 * if e = 0: ℓ = 2 * a
-	 * else:     ℓ = b^2 / a = a * (1 - e^2)
+	 * if e = 1: ℓ = 2 * a
+	 * else:     ℓ = b^2 / a = a * |1 - e^2|
 	 * ```
 	 *
 	 * @returns {number} The _[semi-latus rectum](https://en.wikipedia.org/wiki/Ellipse#Semi-latus_rectum)_ of the orbit.
 	 */
 	Semilatus_rectum() {
 		if (this.eccentricity === 1.0) return 2 * this.semimajor_axis
-		return this.semimajor_axis * (1.0 - this.eccentricity * this.eccentricity)
+		return this.semimajor_axis * Math.abs(1.0 - this.eccentricity * this.eccentricity)
 	}
 
 	/**Gets the _[periapsis](https://en.wikipedia.org/wiki/Apsis)_ radius of the orbit.
 	 * That is is the nearest point in the orbit of a planetary body about its primary body.
 	 * ```
-	 * periapsis = a * (1 - e)
+	 * if e = 1: periapsis = a
+	 * else:     periapsis = a * |1 - e|
 	 * ```
 	 *
 	 * @returns {number} The nearest point in the orbit.
 	 */
 	periapsis() {
-		return (1.0 - this.eccentricity) * this.semimajor_axis
+		if (this.eccentricity === 1.0) return this.semimajor_axis
+		return Math.abs(1.0 - this.eccentricity) * this.semimajor_axis
 	}
 
 	/**Gets the _[apoapsis](https://en.wikipedia.org/wiki/Apsis)_ radius of the orbit.
 	 * That is is the farthest point in the orbit of a planetary body about its primary body.
 	 * ```
-	 * apoapsis = a * (1 + e)
+	 * if e < 1: apoapsis = a * (1 + e)
+	 * else:     apoapsis = ∞
 	 * ```
 	 *
 	 * @returns {number} The farthest point in the orbit.
 	 */
 	apoapsis() {
+		if (!this.is_elliptic()) return Infinity
 		return (1.0 + this.eccentricity) * this.semimajor_axis
 	}
 
@@ -187,7 +637,8 @@ class KeplerianOrbit {
 	 * ```
 	 * ε = εk + εp = V² / 2 - μ / r = -1/2 * μ^2 / h^2 * (1 - e^2) = -μ / (2 * a)
 	 *
-	 * if e = 0: ε = 0
+	 * if e = 1: ε = 0
+	 * if e > 1: ε = μ / (2 * a)
 	 * else:     ε = -μ / (2 * a)
 	 * ```
 	 *
@@ -198,21 +649,25 @@ class KeplerianOrbit {
 	energy(parent_boddy, gravitational_parameter) {
 		if (this.eccentricity == 1.0) return 0.0
 
-		return (
-			-(parent_boddy.gravitational_parameter * gravitational_parameter) /
+		const energy =
+			(parent_boddy.gravitational_parameter * gravitational_parameter) /
 			(2.0 * this.semimajor_axis)
-		)
+
+		return this.is_hyperbolic() ? energy : -energy
 	}
 
 	/**Gets the _[orbital period](https://en.wikipedia.org/wiki/Orbital_period)_ of the orbit when orbiting a given parent boddy.
 	 * ```
 	 * T = 2π * sqrt(a^3 / (G * M)) = 2π * sqrt(a^3 / μ)
 	 * ```
+	 * Open trajectories never return and have a infinite period.
 	 *
 	 * @param {CelestialObject} parent_boddy The parameters of the parent object.
 	 * @returns The time in seconds.
 	 */
 	orbital_period(parent_boddy) {
+		if (!this.is_elliptic()) return Infinity
+
 		return (
 			2.0 *
 			Math.PI *
@@ -223,24 +678,229 @@ class KeplerianOrbit {
 		)
 	}
 
+	/**Gets the _[mean motion](https://en.wikipedia.org/wiki/Mean_motion)_ of the orbit when orbiting a given parent boddy.
+	 * That is the rate at witch the _[mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_ changes.
+	 * ```
+	 * if e = 1: n = sqrt(μ / (2 * a^3))
+	 * else:     n = sqrt(μ / a^3)
+	 * ```
+	 *
+	 * @param {CelestialObject} parent_boddy The parameters of the parent object.
+	 * @returns {number} The mean motion in radians per second.
+	 */
+	mean_motion(parent_boddy) {
+		const cube = this.semimajor_axis * this.semimajor_axis * this.semimajor_axis
+
+		if (this.eccentricity === 1.0)
+			return Math.sqrt(parent_boddy.gravitational_parameter / (2.0 * cube))
+		return Math.sqrt(parent_boddy.gravitational_parameter / cube)
+	}
+
+	/**Gets the largest _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ the orbit reaches while staying within a given radius.
+	 * Used to cut open trajectories off at the _sphere of influence_ of the parent.
+	 * ```
+	 * θ = acos((ℓ / r - 1) / e)
+	 *
+	 * if r = ∞: θ = acos(-1 / e)
+	 * ```
+	 *
+	 * @param {number} radius The largest radius form focal center to orbiting object.
+	 * @returns {number} The angle in **radians** between 0 and π.
+	 */
+	max_true_anomaly(radius = Infinity) {
+		if (this.eccentricity === 0.0) return radius < this.semimajor_axis ? 0.0 : Math.PI
+
+		const cos = (this.Semilatus_rectum() / radius - 1.0) / this.eccentricity
+		return Math.acos(Math.min(Math.max(cos, -1.0), 1.0))
+	}
+
 	/**Rotates a point from mathematical coordinates into local coordinates.
+	 * Inclined orbits are projected top-down onto the reference plane.
 	 *
 	 * @param {*} point
 	 * @returns The rotated point.
 	 */
-	rotate_point({ x, y }) {
-		y = this.clockwise ? -y : y
+	rotate_point(point) {
+		const { x, y } = this.rotate_point3d(point)
+		return { x, y }
+	}
+
+	/**Rotates a point from mathematical coordinates into 3D local coordinates.
+	 * ```
+	 * p = Rz(-Ω) * Rx(i) * Rz(-ω) * p
+	 * ```
+	 *
+	 * @param {*} point
+	 * @returns The rotated point with a `z` coordinate.
+	 */
+	rotate_point3d({ x, y }) {
+		return this.orient_point({ x, y: this.clockwise ? -y : y })
+	}
+
+	/**Orients a point from the orbital plane into 3D local coordinates.
+	 * Unlike `rotate_point3d` clockwise orbits are not mirrored,
+	 * witch is what the symmetric paths drawn by `Orbit` expects.
+	 *
+	 * @param {*} point
+	 * @returns The oriented point with a `z` coordinate.
+	 */
+	orient_point({ x, y }) {
+		// Argument of periapsis within the orbital plane.
+		let cos = Math.cos(this.argument_of_periapsis)
+		let sin = Math.sin(this.argument_of_periapsis)
+		const px = x * cos + y * sin
+		const py = y * cos - x * sin
+
+		// Inclination around the line of nodes.
+		cos = Math.cos(this.inclination)
+		sin = Math.sin(this.inclination)
+		const ny = py * cos
+		const z = py * sin
+
+		// Longitude of the ascending node around the reference normal.
+		cos = Math.cos(this.longitude_of_ascending_node)
+		sin = Math.sin(this.longitude_of_ascending_node)
+		return {
+			x: px * cos + ny * sin,
+			y: ny * cos - px * sin,
+			z,
+		}
+	}
+
+	/**Orients a point from 3D local coordinates back into the orbital plane.
+	 * The inverse of `orient_point`, any distance from the orbital plane is dropped.
+	 *
+	 * @param {*} point
+	 * @returns The unoriented point.
+	 */
+	unorient_point({ x, y, z = 0.0 }) {
+		let cos = Math.cos(this.longitude_of_ascending_node)
+		let sin = Math.sin(this.longitude_of_ascending_node)
+		const nx = x * cos - y * sin
+		const ny = y * cos + x * sin
+
+		cos = Math.cos(this.inclination)
+		sin = Math.sin(this.inclination)
+		const py = ny * cos + z * sin
+
+		cos = Math.cos(this.argument_of_periapsis)
+		sin = Math.sin(this.argument_of_periapsis)
+		return {
+			x: nx * cos - py * sin,
+			y: py * cos + nx * sin,
+		}
+	}
+
+	/**Rotates a point from local coordinates back into mathematical coordinates.
+	 * The inverse of `rotate_point3d`.
+	 *
+	 * @param {*} point
+	 * @returns The unrotated point.
+	 */
+	unrotate_point(point) {
+		const { x, y } = this.unorient_point(point)
+		return { x, y: this.clockwise ? -y : y }
+	}
+
+	/**Gets the _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ of a point in local space.
+	 * The point is expected to lie on the orbit, otherwise the anomaly of its direction is returned.
+	 *
+	 * @param {object} point The **point** object in local space.
+	 * @returns {TrueAnomaly} The _[True anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ of the point.
+	 */
+	true_anomaly_at_point(point) {
+		const { x, y } = this.unrotate_point(point)
+		return new TrueAnomaly(Math.atan2(y, x))
+	}
+
+	/**Gets the _[mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_ at a given time.
+	 * ```
+	 * M = M0 + n * (t - t0)
+	 * ```
+	 *
+	 * @param {CelestialObject} parent_boddy The parameters of the parent object.
+	 * @param {number} time The time in seconds.
+	 * @param {number} mean_anomaly_at_epoch The _mean anomaly_ at the epoch, zero being at periapsis.
+	 * @param {number} epoch The time in seconds of the epoch.
+	 * @returns {MeanAnomaly} The _[Mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_ of the orbit.
+	 */
+	mean_anomaly_at_time(parent_boddy, time, mean_anomaly_at_epoch = 0.0, epoch = 0.0) {
+		return new MeanAnomaly(
+			mean_anomaly_at_epoch + this.mean_motion(parent_boddy) * (time - epoch)
+		)
+	}
+
+	/**Gets the first time at or after a given time that a object passes a _true anomaly_ along the orbit.
+	 * Closed orbits pass every anomaly once each period, while open trajectories only pass them once.
+	 * ```
+	 * t = t0 + (M - M0) / n
+	 * ```
+	 *
+	 * @param {CelestialObject} parent_boddy The parameters of the parent object.
+	 * @param {TrueAnomaly} true_anomaly The position along the orbit.
+	 * @param {number} time The time in seconds to search from.
+	 * @param {number} mean_anomaly_at_epoch The _mean anomaly_ at the epoch, zero being at periapsis.
+	 * @param {number} epoch The time in seconds of the epoch.
+	 * @returns {number | null} The time in seconds, or **null** if the anomaly has already been passed.
+	 */
+	time_at_true_anomaly(
+		parent_boddy,
+		true_anomaly,
+		time,
+		mean_anomaly_at_epoch = 0.0,
+		epoch = 0.0
+	) {
+		const mean_motion = this.mean_motion(parent_boddy)
+		const mean_anomaly = this.mean_anomaly_at_time(
+			parent_boddy,
+			time,
+			mean_anomaly_at_epoch,
+			epoch
+		)
+		const delta = true_anomaly.mean_anomaly(this).angle - mean_anomaly.angle
+
+		if (this.is_elliptic()) {
+			const revolution = Math.PI * 2.0
+			return time + (((delta % revolution) + revolution) % revolution) / mean_motion
+		}
+		if (!(delta >= 0.0)) return null
+
+		return time + delta / mean_motion
+	}
+
+	/**Gets the _[state vectors](https://en.wikipedia.org/wiki/Orbital_state_vectors)_ at a given anomaly in local space.
+	 * The inverse of `KeplerianOrbit.from_state_vectors`.
+	 *
+	 * @param {CelestialObject} parent_boddy The parameters of the parent object.
+	 * @param {TrueAnomaly | EccentricAnomaly | HyperbolicAnomaly | MeanAnomaly} anomaly The position along the orbit.
+	 * @returns {object} Object with the `position` and `velocity` **point** objects.
+	 */
+	state_vectors(parent_boddy, anomaly) {
+		const true_anomaly = anomaly instanceof TrueAnomaly ? anomaly : anomaly.true_anomaly(this)
 
-		const cos = Math.cos(this.argument_of_periapsis)
-		const sin = Math.sin(this.argument_of_periapsis)
 		return {
-			x: x * cos + y * sin,
-			y: y * cos - x * sin,
+			position: true_anomaly.point3d(this),
+			velocity: true_anomaly.velocity3d(this, parent_boddy),
 		}
 	}
 
-	/****Unique to 2D orbits!**
-	 * Gets whether or not the orbit is clockwise or not.
+	/**Gets the _[state vectors](https://en.wikipedia.org/wiki/Orbital_state_vectors)_ at a given time in local space.
+	 *
+	 * @param {CelestialObject} parent_boddy The parameters of the parent object.
+	 * @param {number} time The time in seconds.
+	 * @param {number} mean_anomaly_at_epoch The _mean anomaly_ at the epoch, zero being at periapsis.
+	 * @param {number} epoch The time in seconds of the epoch.
+	 * @returns {object} Object with the `position` and `velocity` **point** objects.
+	 */
+	state_vectors_at_time(parent_boddy, time, mean_anomaly_at_epoch = 0.0, epoch = 0.0) {
+		return this.state_vectors(
+			parent_boddy,
+			this.mean_anomaly_at_time(parent_boddy, time, mean_anomaly_at_epoch, epoch)
+		)
+	}
+
+	/**Gets whether or not the orbit is clockwise or not.
+	 * In 3D a clockwise orbit is the same as a orbit inclined upside down.
 	 *
 	 * @returns {bool} Boolean indicating clockwise orbit.
 	 */
@@ -292,19 +952,15 @@ class TrueAnomaly {
 
 	/**Gets the radius form _focal center_ to _orbiting object_ given a _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_.
 	 * ```
-	 * r = a * (1 - e^2) / (1 + e * cos(θ)) ) = ℓ / (1 + e * cos(θ))
-	 *
-	 * if e > 1: r = -ℓ / (1 + e * cos(θ))
-	 * else:     r =  ℓ / (1 + e * cos(θ))
+	 * r = a * |1 - e^2| / (1 + e * cos(θ)) ) = ℓ / (1 + e * cos(θ))
 	 * ```
+	 * The radius is negative past the asymptotes of a open trajectory.
 	 *
 	 * @param {KeplerianOrbit} orbit The orbit in question.
 	 * @returns {number} The radius form _focal center_ to orbiting object.
 	 */
 	radius(orbit) {
-		const radius = orbit.Semilatus_rectum() / (1.0 + orbit.eccentricity * Math.cos(this.angle))
-
-		return this.eccentricity > 1.0 ? -radius : radius
+		return orbit.Semilatus_rectum() / (1.0 + orbit.eccentricity * Math.cos(this.angle))
 	}
 
 	/**Gets a **point** object from a given _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ of the orbit in mathematical space.
@@ -317,11 +973,10 @@ class TrueAnomaly {
 	 */
 	point(orbit) {
 		const radius = this.radius(orbit)
-		const angle = this.angle + orbit.argument_of_periapsis
 
 		return {
-			x: Math.cos(angle) * radius,
-			y: Math.sin(angle) * radius,
+			x: Math.cos(this.angle) * radius,
+			y: Math.sin(this.angle) * radius,
 		}
 	}
 
@@ -337,7 +992,55 @@ class TrueAnomaly {
 		return orbit.rotate_point(this.point(orbit))
 	}
 
+	/**Gets a **point** object from a given _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ of the orbit in 3D local space.
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @returns {object} The **point** object with a `z` coordinate.
+	 */
+	point3d(orbit) {
+		return orbit.rotate_point3d(this.point(orbit))
+	}
+
+	/**Gets a velocity **point** object from a given _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ of the orbit in mathematical space.
+	 * ```
+	 * v = sqrt(μ / ℓ) * (-sin(θ), e + cos(θ))
+	 * ```
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @param {CelestialObject} parent_boddy The parameters of the parent object.
+	 * @returns {object} The velocity **point** object.
+	 */
+	velocity(orbit, parent_boddy) {
+		const speed = Math.sqrt(parent_boddy.gravitational_parameter / orbit.Semilatus_rectum())
+
+		return {
+			x: -Math.sin(this.angle) * speed,
+			y: (orbit.eccentricity + Math.cos(this.angle)) * speed,
+		}
+	}
+
+	/**Gets a velocity **point** object from a given _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ of the orbit in local space.
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @param {CelestialObject} parent_boddy The parameters of the parent object.
+	 * @returns {object} The velocity **point** object.
+	 */
+	velocity2d(orbit, parent_boddy) {
+		return orbit.rotate_point(this.velocity(orbit, parent_boddy))
+	}
+
+	/**Gets a velocity **point** object from a given _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ of the orbit in 3D local space.
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @param {CelestialObject} parent_boddy The parameters of the parent object.
+	 * @returns {object} The velocity **point** object with a `z` coordinate.
+	 */
+	velocity3d(orbit, parent_boddy) {
+		return orbit.rotate_point3d(this.velocity(orbit, parent_boddy))
+	}
+
 	/**Converts a given _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ in to a _[eccentric anomaly](https://en.wikipedia.org/wiki/Eccentric_anomaly)_.
+	 * **Only valid for elliptic orbits!**
 	 * ```
 	 * atan2( (point(θ) + (f, 0)) / (a, b) )
 	 * ```
@@ -356,12 +1059,40 @@ class TrueAnomaly {
 		return new EccentricAnomaly(angle)
 	}
 
+	/**Converts a given _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ in to a _[hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_.
+	 * **Only valid for hyperbolic trajectories!**
+	 * ```
+	 * H = 2 * atanh( sqrt((e - 1) / (e + 1)) * tan(θ / 2) )
+	 * ```
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @returns {HyperbolicAnomaly} The _[Hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_ of the orbit.
+	 */
+	hyperbolic_anomaly(orbit) {
+		const e = orbit.eccentricity
+		const angle =
+			2.0 * Math.atanh(Math.sqrt((e - 1.0) / (e + 1.0)) * Math.tan(this.angle / 2.0))
+
+		return new HyperbolicAnomaly(angle)
+	}
+
 	/**Converts a given _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ in to a _[mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_.
+	 * Parabolic trajectories use _[Barker's equation](https://en.wikipedia.org/wiki/Parabolic_trajectory#Barker's_equation)_.
+	 * ```
+	 * if e = 1: M = D + D^3 / 3, D = tan(θ / 2)
+	 * ```
 	 *
 	 * @param {KeplerianOrbit} orbit The orbit in question.
 	 * @returns {MeanAnomaly} The _[Mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_ of the orbit.
 	 */
 	mean_anomaly(orbit) {
+		if (orbit.is_hyperbolic()) return this.hyperbolic_anomaly(orbit).mean_anomaly(orbit)
+
+		if (orbit.is_parabolic()) {
+			const d = Math.tan(this.angle / 2.0)
+			return new MeanAnomaly(d + (d * d * d) / 3.0)
+		}
+
 		return this.eccentric_anomaly(orbit).mean_anomaly(orbit)
 	}
 }
@@ -417,7 +1148,7 @@ class EccentricAnomaly {
 	 */
 	radius(orbit) {
 		//this.true_anomaly(orbit).radius(orbit)
-		const { x, y } = this.position(orbit)
+		const { x, y } = this.point(orbit)
 		return Math.sqrt(x * x + y * y)
 	}
 
@@ -448,6 +1179,15 @@ class EccentricAnomaly {
 		return orbit.rotate_point(this.point(orbit))
 	}
 
+	/**Gets a **point** object from a given _[eccentric anomaly](https://en.wikipedia.org/wiki/Eccentric_anomaly)_ of the orbit in 3D local space.
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @returns {object} The **point** object with a `z` coordinate.
+	 */
+	point3d(orbit) {
+		return orbit.rotate_point3d(this.point(orbit))
+	}
+
 	/**Converts a given _[eccentric anomaly](https://en.wikipedia.org/wiki/Eccentric_anomaly)_ in to a _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_.
 	 * ```
 	 * θ = atan2( p )
@@ -472,6 +1212,100 @@ class EccentricAnomaly {
 	}
 }
 
+/**
+ * The `HyperbolicAnomaly` class encapsulate the data of a _[Hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_.
+ * It is the hyperbolic counterpart of the _[Eccentric anomaly](https://en.wikipedia.org/wiki/Eccentric_anomaly)_ and only valid for hyperbolic trajectories.
+ *
+ * | Name                                                                                       | Notation | Description                                                                                              |
+ * |-------------------------------------------------------------------------------------------:|:--------:|:---------------------------------------------------------------------------------------------------------|
+ * | [Semimajor axis](https://en.wikipedia.org/wiki/Semi-major_and_semi-minor_axes)             | _a_      | The half distance between the two vertices of the hyperbola.                                             |
+ * | [Semiminor axis](https://en.wikipedia.org/wiki/Semi-major_and_semi-minor_axes)             | _b_      | The line segment that is at right angles with the semi-major axis.                                       |
+ * | [Eccentricity](https://en.wikipedia.org/wiki/Orbital_eccentricity)                         | _e_      | The shape of the hyperbola.                                                                              |
+ * | [True anomaly](https://en.wikipedia.org/wiki/True_anomaly)                                 | _ν θ f_  | The position of the orbiting body along the hyperbola at a specific time.                                |
+ * | [Hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly) | _H_    | The hyperbolic parameter that defines the position of a body that is moving along an hyperbolic orbit.   |
+ * | [Mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)                                 | _M_      | The mathematically convenient fictitious "angle" which varies linearly with time.                        |
+ * | Radius                                                                                     | _r_      | The radius form focal center to orbiting object.                                                         |
+ */
+class HyperbolicAnomaly {
+	/**Creates `HyperbolicAnomaly` class that encapsulate the data of a _[Hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_.
+	 *
+	 * @param {number} angle The hyperbolic angle.
+	 */
+	constructor(angle = 0) {
+		this.angle = angle
+	}
+
+	/**Gets the radius form _focal center_ to _orbiting object_ given a _[hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_.
+	 * ```
+	 * r = a * (e * cosh(H) - 1)
+	 * ```
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @returns {number} The radius form _focal center_ to orbiting object.
+	 */
+	radius(orbit) {
+		return orbit.semimajor_axis * (orbit.eccentricity * Math.cosh(this.angle) - 1.0)
+	}
+
+	/**Gets a **point** object from a given _[hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_ of the orbit in mathematical space.
+	 * ```
+	 * p = (a * (e - cosh(H)), b * sinh(H))
+	 * ```
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @returns {object} The **point** object.
+	 */
+	point(orbit) {
+		return {
+			x: orbit.semimajor_axis * (orbit.eccentricity - Math.cosh(this.angle)),
+			y: Math.sinh(this.angle) * orbit.semiminor_axis(),
+		}
+	}
+
+	/**Gets a **point** object from a given _[hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_ of the orbit in local space.
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @returns {object} The **point** object.
+	 */
+	point2d(orbit) {
+		return orbit.rotate_point(this.point(orbit))
+	}
+
+	/**Gets a **point** object from a given _[hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_ of the orbit in 3D local space.
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @returns {object} The **point** object with a `z` coordinate.
+	 */
+	point3d(orbit) {
+		return orbit.rotate_point3d(this.point(orbit))
+	}
+
+	/**Converts a given _[hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_ in to a _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_.
+	 * ```
+	 * θ = atan2( p )
+	 * ```
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @returns {TrueAnomaly} The _[True anomaly](https://en.wikipedia.org/wiki/True_anomaly)_ of the orbit.
+	 */
+	true_anomaly(orbit) {
+		const { x, y } = this.point(orbit)
+		return new TrueAnomaly(Math.atan2(y, x))
+	}
+
+	/**Converts a given _[hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_ in to a _[mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_.
+	 * ```
+	 * M = e * sinh(H) - H
+	 * ```
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @returns {MeanAnomaly} The _[Mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_ of the orbit.
+	 */
+	mean_anomaly(orbit) {
+		return new MeanAnomaly(orbit.eccentricity * Math.sinh(this.angle) - this.angle)
+	}
+}
+
 /**
  * The `MeanAnomaly` class encapsulate the data of a _[Mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_.
  *
@@ -519,7 +1353,7 @@ class MeanAnomaly {
 	 * @returns {number} The radius form _focal center_ to orbiting object.
 	 */
 	radius(orbit) {
-		this.true_anomaly(orbit).radius(orbit)
+		return this.true_anomaly(orbit).radius(orbit)
 	}
 
 	/**Gets a **DVec2** point from a given _[mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_ of the orbit in mathematical space.
@@ -528,6 +1362,9 @@ class MeanAnomaly {
 	 * @returns {object} The **point** object.
 	 */
 	point(orbit) {
+		if (orbit.is_hyperbolic()) return this.hyperbolic_anomaly(orbit).point(orbit)
+		if (orbit.is_parabolic()) return this.true_anomaly(orbit).point(orbit)
+
 		return this.eccentric_anomaly(orbit).point(orbit)
 	}
 
@@ -537,42 +1374,103 @@ class MeanAnomaly {
 	 * @returns {object} The **point** object.
 	 */
 	point2d(orbit) {
-		return this.eccentric_anomaly(orbit).point2d(orbit)
+		return orbit.rotate_point(this.point(orbit))
+	}
+
+	/**Gets a **point** object from a given _[mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_ of the orbit in 3D local space.
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @returns {object} The **point** object with a `z` coordinate.
+	 */
+	point3d(orbit) {
+		return orbit.rotate_point3d(this.point(orbit))
 	}
 
 	/**Converts a given _[mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_ in to a _[true anomaly](https://en.wikipedia.org/wiki/True_anomaly)_.
+	 * Parabolic trajectories solve _[Barker's equation](https://en.wikipedia.org/wiki/Parabolic_trajectory#Barker's_equation)_ directly.
+	 * ```
+	 * if e = 1: θ = 2 * atan(B - 1 / B), B = cbrt(3/2 * M + sqrt(9/4 * M^2 + 1))
+	 * ```
 	 *
 	 * @param {KeplerianOrbit} orbit The orbit in question.
 	 * @returns {TrueAnomaly} The _[Eccentric anomaly](https://en.wikipedia.org/wiki/Eccentric_anomaly)_ of the orbit.
 	 */
 	true_anomaly(orbit) {
+		if (orbit.is_hyperbolic()) return this.hyperbolic_anomaly(orbit).true_anomaly(orbit)
+
+		if (orbit.is_parabolic()) {
+			const a = 1.5 * this.angle
+			const b = Math.cbrt(a + Math.sqrt(a * a + 1.0))
+			return new TrueAnomaly(2.0 * Math.atan(b - 1.0 / b))
+		}
+
 		return this.eccentric_anomaly(orbit).true_anomaly(orbit)
 	}
 
-	/**Converts a given _[mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_ in to a _[eccentric anomaly](https://en.wikipedia.org/wiki/Eccentric_anomaly)_ using [Newton's method](https://en.wikipedia.org/wiki/Newton%27s_method).
+	/**Converts a given _[mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_ in to a _[hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_ using [Newton's method](https://en.wikipedia.org/wiki/Newton%27s_method).
+	 * **Only valid for hyperbolic trajectories!**
+	 * ```
+	 * M = e * sinh(H) - H
+	 * ```
 	 *
 	 * @param {KeplerianOrbit} orbit The orbit in question.
-	 * @returns {EccentricAnomaly} The _[Eccentric anomaly](https://en.wikipedia.org/wiki/Eccentric_anomaly)_ of the orbit.
+	 * @returns {HyperbolicAnomaly} The _[Hyperbolic anomaly](https://en.wikipedia.org/wiki/Hyperbolic_trajectory#Hyperbolic_anomaly)_ of the orbit.
 	 */
-	eccentric_anomaly(orbit) {
-		const tolerance = 0.00001 * (Math.PI / 180)
-		let eccentric_anomaly = this.angle
+	hyperbolic_anomaly(orbit) {
+		const tolerance = 1e-12
+		const e = orbit.eccentricity
 
-		for (let i = 0; i < 10; i++) {
-			const f =
-				eccentric_anomaly - orbit.eccentricity * Math.sin(eccentric_anomaly) - this.angle
+		// Starting guess that stays on the right branch for large mean anomalies.
+		let hyperbolic_anomaly =
+			Math.sign(this.angle) * Math.log((2.0 * Math.abs(this.angle)) / e + 1.8)
 
-			const clamp = (x, min, max) => Math.min(Math.max(x, min), max)
+		for (let i = 0; i < 50; i++) {
+			const f = e * Math.sinh(hyperbolic_anomaly) - hyperbolic_anomaly - this.angle
+			const step = f / (e * Math.cosh(hyperbolic_anomaly) - 1.0)
 
-			eccentric_anomaly -= clamp(
-				f / (1.0 - orbit.eccentricity * Math.cos(eccentric_anomaly)),
-				-orbit.eccentricity / 2.0,
-				orbit.eccentricity / 2.0
-			)
+			hyperbolic_anomaly -= step
 
-			if (Math.abs(f) < tolerance) return new EccentricAnomaly(eccentric_anomaly)
+			if (Math.abs(step) < tolerance * Math.max(1.0, Math.abs(hyperbolic_anomaly))) break
 		}
 
-		return new EccentricAnomaly(eccentric_anomaly)
+		return new HyperbolicAnomaly(hyperbolic_anomaly)
+	}
+
+	/**Converts a given _[mean anomaly](https://en.wikipedia.org/wiki/Mean_anomaly)_ in to a _[eccentric anomaly](https://en.wikipedia.org/wiki/Eccentric_anomaly)_
+	 * by solving _[Kepler's equation](https://en.wikipedia.org/wiki/Kepler%27s_equation)_, see `solve_kepler`.
+	 * **Only valid for elliptic orbits!**
+	 * ```
+	 * M = E - e * sin(E)
+	 * ```
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit in question.
+	 * @param {number} tolerance The tolerance in **radians** of the eccentric anomaly.
+	 * @returns {EccentricAnomaly} The _[Eccentric anomaly](https://en.wikipedia.org/wiki/Eccentric_anomaly)_ of the orbit.
+	 */
+	eccentric_anomaly(orbit, tolerance = 1e-15) {
+		return new EccentricAnomaly(
+			solve_kepler(this.angle, orbit.eccentricity, tolerance).eccentric_anomaly
+		)
 	}
 }
+
+// The orbit math has no dependencies so it can also be required as a _Node.js_ module.
+if (typeof module !== "undefined")
+	module.exports = {
+		G,
+		solve_kepler,
+		wrap_angle,
+		vector_add,
+		vector_subtract,
+		vector_scale,
+		vector_dot,
+		vector_cross,
+		vector_length,
+		vector_normalize,
+		CelestialObject,
+		KeplerianOrbit,
+		TrueAnomaly,
+		EccentricAnomaly,
+		HyperbolicAnomaly,
+		MeanAnomaly,
+	}
@@ -1,137 +1,76 @@
-/**The `assert` function is based on the rust langage and prints `error_message` if the test failed.
- *
- * @param {boolean} test The test.
- * @param {string} error_message The message printed on test fail.
- * @returns If the test was successful.
- */
-function assert(test, error_message) {
-	if (!test) console.error(error_message)
-	return test
-}
-
-/**The `test` function checks if the provided `value` is equal or within the `tolerance` of the `expected` value.
- * It prints `error_message` if the test failed.
- *
- * @param {string} error_message The message printed on test fail.
- * @param {any} value The resuled value.
- * @param {any} expected The expected value.
- * @param {any} tolerance The error tolerance.
- * @returns If the test was successful.
- */
-function test(error_message, value, expected, tolerance = null) {
-	//For arrays
-	if (Array.isArray(value)) {
-		const expected_is_array = Array.isArray(expected)
-
-		if (tolerance) {
-			const tolerance_is_array = Array.isArray(tolerance)
-
-			return assert(
-				value.every((_, i) =>
-					Math.abs(value[i] - expected_is_array ? expected[i] : expected) <=
-					tolerance_is_array
-						? tolerance[i]
-						: tolerance
-				),
-				error_message
-			)
-		} else {
-			return assert(
-				value.every((_, i) => (value[i] == expected_is_array ? expected[i] : expected)),
-				error_message
-			)
-		}
-	}
-
-	//For objects
-	if (typeof value === "object") {
-		const expected_is_object = typeof expected === "object"
-
-		const keys = []
-		for (var key in value) keys.push(key)
-
-		if (tolerance) {
-			const tolerance_is_object = typeof tolerance === "object"
-
-			return assert(
-				keys.every(key =>
-					Math.abs(value[key] - expected_is_object ? expected[key] : expected) <=
-					tolerance_is_object
-						? tolerance[key]
-						: tolerance
-				),
-				error_message
-			)
-		} else {
-			return assert(
-				keys.every(key => (value[key] == expected_is_object ? expected[key] : expected)),
-				error_message
-			)
-		}
-	}
-
-	//For number
-	if (tolerance) return assert(Math.abs(value - expected) <= tolerance, error_message)
-	else return assert(value == expected, error_message)
-}
-
-delta_velocity_test()
+test(delta_velocity_test)
 function delta_velocity_test() {
 	const earth = new CelestialObject(5.972e24)
 
 	const earth_calculated = earth.get_altidude_delta_velocity(6.383e6, 7.383e6)
 	const earth_expected = 4112.876314
-	test(
-		`The 'get_altidude_delta_velocity' of earth does not match expected value! ${earth_calculated} != ${earth_expected}`,
+	assert_close(
 		earth_calculated,
 		earth_expected,
-		0.0001
+		0.0001,
+		`The 'get_altidude_delta_velocity' of earth does not match expected value! ${earth_calculated} != ${earth_expected}`
 	)
 
 	const earth2_calculated = earth.get_altidude_delta_velocity(6.383e6 + 0.5e6, 7.383e6)
 	const earth2_expected = 2800.620019
-	test(
-		`The 'get_altidude_delta_velocity' of earth2 does not match expected value! ${earth2_calculated} != ${earth2_expected}`,
+	assert_close(
 		earth2_calculated,
 		earth2_expected,
-		0.0001
+		0.0001,
+		`The 'get_altidude_delta_velocity' of earth2 does not match expected value! ${earth2_calculated} != ${earth2_expected}`
 	)
 }
 
-escape_velocity_test()
+test(escape_velocity_test)
 function escape_velocity_test() {
 	const earth = new CelestialObject(5.972e24)
 
 	const earth_calculated = earth.get_escape_velocity(6.383e6)
 	const earth_expected = 11175.37444
-	test(
-		`The 'get_escape_velocity' of earth does not match expected value! ${earth_calculated} != ${earth_expected}`,
+	assert_close(
 		earth_calculated,
 		earth_expected,
-		0.0001
+		0.0001,
+		`The 'get_escape_velocity' of earth does not match expected value! ${earth_calculated} != ${earth_expected}`
 	)
 
 	const earth2_calculated = earth.get_escape_velocity(6.383e6 * 2.0)
 	const earth2_expected = 7902.183049
-	test(
-		`The 'get_escape_velocity' of earth2 does not match expected value! ${earth2_calculated} != ${earth2_expected}`,
+	assert_close(
 		earth2_calculated,
 		earth2_expected,
-		0.0001
+		0.0001,
+		`The 'get_escape_velocity' of earth2 does not match expected value! ${earth2_calculated} != ${earth2_expected}`
 	)
 
 	const sun = new CelestialObject(1.98847e30)
 	const sun_calculated = sun.get_escape_velocity(6.957e8)
 	const sun_expected = 617679.4121
-	test(
-		`The 'get_escape_velocity' of sun does not match expected value! ${sun_calculated} != ${sun_expected}`,
+	assert_close(
 		sun_calculated,
 		sun_expected,
-		0.0001
+		0.0001,
+		`The 'get_escape_velocity' of sun does not match expected value! ${sun_calculated} != ${sun_expected}`
+	)
+}
+
+test(sphere_of_influence_test)
+function sphere_of_influence_test() {
+	const sun = new CelestialObject(1.98847e30)
+	const earth = new CelestialObject(5.972e24)
+	const earth_orbit = new KeplerianOrbit(1.496e11, 0.0167)
+
+	const earth_calculated = earth.get_sphere_of_influence(earth_orbit, sun)
+	const earth_expected = 9.24e8
+	assert_close(
+		earth_calculated / earth_expected,
+		1.0,
+		0.001,
+		`The 'get_sphere_of_influence' of earth does not match expected value! ${earth_calculated} != ${earth_expected}`
 	)
 }
 
-apoapsis_periapsis_conversion_test()
+test(apoapsis_periapsis_conversion_test)
 function apoapsis_periapsis_conversion_test() {
 	const target_precision = 0.000001
 
@@ -143,22 +82,22 @@ function apoapsis_periapsis_conversion_test() {
 		var { x, y } = new TrueAnomaly(0.0).point2d(orbit)
 		const periapsis_expected = Math.sqrt(x * x + y * y)
 
-		test(
-			`'periapsis' for eccentricity ${eccentricity} did not convert correctly! ${periapsis_result} != ${periapsis_expected}`,
+		assert_close(
 			periapsis_expected,
 			periapsis_result,
-			target_precision
+			target_precision,
+			`'periapsis' for eccentricity ${eccentricity} did not convert correctly! ${periapsis_result} != ${periapsis_expected}`
 		)
 
 		const apoapsis_result = orbit.apoapsis()
 		var { x, y } = new TrueAnomaly(Math.PI).point2d(orbit)
 		const apoapsis_expected = Math.sqrt(x * x + y * y)
 
-		test(
-			`'apoapsis' for eccentricity ${eccentricity} did not convert correctly! ${apoapsis_result} != ${apoapsis_expected}`,
+		assert_close(
 			apoapsis_expected,
 			apoapsis_result,
-			target_precision
+			target_precision,
+			`'apoapsis' for eccentricity ${eccentricity} did not convert correctly! ${apoapsis_result} != ${apoapsis_expected}`
 		)
 
 		assert(
@@ -168,7 +107,7 @@ function apoapsis_periapsis_conversion_test() {
 	}
 }
 
-true_and_eccentric_anomaly_conversion_test()
+test(true_and_eccentric_anomaly_conversion_test)
 function true_and_eccentric_anomaly_conversion_test() {
 	const target_precision = 0.000001
 
@@ -181,17 +120,17 @@ function true_and_eccentric_anomaly_conversion_test() {
 			const value2 = value1.true_anomaly(orbit)
 			const value3 = value2.eccentric_anomaly(orbit)
 
-			test(
-				`'true_and_eccentric_anomaly_conversion' for eccentricity ${eccentricity} did not convert correctly! ${value1.angle} -> ${value2.angle} -> ${value3.angle}`,
+			assert_close(
 				value1.angle,
 				value3.angle,
-				target_precision
+				target_precision,
+				`'true_and_eccentric_anomaly_conversion' for eccentricity ${eccentricity} did not convert correctly! ${value1.angle} -> ${value2.angle} -> ${value3.angle}`
 			)
 		}
 	}
 }
 
-eccentric_and_mean_anomaly_conversion_test()
+test(eccentric_and_mean_anomaly_conversion_test)
 function eccentric_and_mean_anomaly_conversion_test() {
 	const target_precision = 0.0000001
 
@@ -204,37 +143,101 @@ function eccentric_and_mean_anomaly_conversion_test() {
 			const value2 = value1.eccentric_anomaly(orbit)
 			const value3 = value2.mean_anomaly(orbit)
 
-			test(
-				`'eccentric_and_mean_anomaly_conversion' for eccentricity ${eccentricity} did not convert correctly! ${value1.angle} -> ${value2.angle} -> ${value3.angle}`,
+			assert_close(
 				value1.angle,
 				value3.angle,
-				target_precision
+				target_precision,
+				`'eccentric_and_mean_anomaly_conversion' for eccentricity ${eccentricity} did not convert correctly! ${value1.angle} -> ${value2.angle} -> ${value3.angle}`
+			)
+		}
+	}
+}
+
+test(kepler_solver_test)
+function kepler_solver_test() {
+	const eccentricities = [0.0, 1e-6, 0.1, 0.5, 0.75, 0.9, 0.99, 0.995, 0.999]
+
+	for (const eccentricity of eccentricities) {
+		for (let a = -540; a <= 540; a += 1.5) {
+			const mean_anomaly = a * (Math.PI / 180.0)
+			const result = solve_kepler(mean_anomaly, eccentricity)
+			const E = result.eccentric_anomaly
+
+			assert(
+				result.converged && result.iterations <= 8,
+				`'solve_kepler' for eccentricity ${eccentricity} and ${a}° took ${result.iterations} iterations!`
+			)
+			assert_close(
+				E - eccentricity * Math.sin(E),
+				mean_anomaly,
+				1e-13,
+				`'solve_kepler' for eccentricity ${eccentricity} and ${a}° does not solve Kepler's equation!`
+			)
+
+			// Whole turns are added back so the eccentric anomaly is continuous with the mean anomaly.
+			assert_close(
+				solve_kepler(mean_anomaly + Math.PI * 2.0, eccentricity).eccentric_anomaly,
+				E + Math.PI * 2.0,
+				1e-12,
+				`'solve_kepler' for eccentricity ${eccentricity} and ${a}° is not continuous!`
+			)
+		}
+	}
+
+	// A loose tolerance takes fewer steps.
+	const loose = solve_kepler(1.0, 0.999, 1e-3)
+	const tight = solve_kepler(1.0, 0.999)
+	assert(loose.iterations < tight.iterations, "'solve_kepler' ignored the tolerance!")
+	assert_close(
+		loose.eccentric_anomaly,
+		tight.eccentric_anomaly,
+		1e-3,
+		"The loose solve is wrong!"
+	)
+}
+
+test(nearly_parabolic_anomaly_conversion_test)
+function nearly_parabolic_anomaly_conversion_test() {
+	for (const eccentricity of [0.99, 0.995, 0.999]) {
+		const orbit = new KeplerianOrbit(1.0, eccentricity)
+
+		// Positions near the periapsis, where the orbit sweeps through most of its true anomaly.
+		for (let a = -170; a <= 170; a += 5) {
+			const value1 = new TrueAnomaly().set_degrees(a)
+			const value2 = value1.mean_anomaly(orbit)
+			const value3 = value2.true_anomaly(orbit)
+
+			assert_close(
+				value3.angle,
+				value1.angle,
+				1e-9,
+				`'nearly_parabolic_anomaly_conversion' for eccentricity ${eccentricity} did not convert correctly! ${value1.angle} -> ${value2.angle} -> ${value3.angle}`
 			)
 		}
 	}
 }
 
-point_from_anomaly_test()
+test(point_from_anomaly_test)
 function point_from_anomaly_test() {
 	const target_precision = 0.0000001
 
 	const test2 = (orbit, input, x, y) => {
 		// Test that the eccentric anomaly matches.
 		const result1 = new EccentricAnomaly().set_degrees(input).point2d(orbit)
-		test(
-			`'point_from_eccentric_anomaly' did not convert correctly! \nInput:	${input} \nExpected: ${x}, ${y} \nGot:	  ${result1.x}, ${result1.y} \nTarget:   ${target_precision}`,
+		assert_close(
 			result1,
 			{ x, y },
-			{ x: target_precision, y: target_precision }
+			{ x: target_precision, y: target_precision },
+			`'point_from_eccentric_anomaly' did not convert correctly! \nInput:	${input} \nExpected: ${x}, ${y} \nGot:	  ${result1.x}, ${result1.y} \nTarget:   ${target_precision}`
 		)
 
 		// Test that the true anomaly matches.
 		const result2 = new EccentricAnomaly().set_degrees(input).true_anomaly(orbit).point2d(orbit)
-		test(
-			`'point_from_true_anomaly' did not convert correctly! \nInput:	${input} \nExpected: ${x},${y} \nGot:	  ${result2.x},${result2.y} \nTarget:   ${target_precision}`,
+		assert_close(
 			result2,
 			{ x, y },
-			{ x: target_precision, y: target_precision }
+			{ x: target_precision, y: target_precision },
+			`'point_from_true_anomaly' did not convert correctly! \nInput:	${input} \nExpected: ${x},${y} \nGot:	  ${result2.x},${result2.y} \nTarget:   ${target_precision}`
 		)
 	}
 
@@ -277,3 +280,482 @@ function point_from_anomaly_test() {
 	test2(orbit3, 270.0, -3.0, -2.64575131106459)
 	test2(orbit3, 315.0, -0.1715728752538, -1.870828693387)
 }
+
+test(true_and_hyperbolic_anomaly_conversion_test)
+function true_and_hyperbolic_anomaly_conversion_test() {
+	const target_precision = 0.000001
+
+	for (let e = 1; e < 20; e++) {
+		const eccentricity = 1.0 + e / 10.0
+		const orbit = new KeplerianOrbit(1.0, eccentricity)
+
+		for (let h = -40; h <= 40; h++) {
+			const value1 = new HyperbolicAnomaly(h / 10.0)
+			const value2 = value1.true_anomaly(orbit)
+			const value3 = value2.hyperbolic_anomaly(orbit)
+
+			assert_close(
+				value1.angle,
+				value3.angle,
+				target_precision,
+				`'true_and_hyperbolic_anomaly_conversion' for eccentricity ${eccentricity} did not convert correctly! ${value1.angle} -> ${value2.angle} -> ${value3.angle}`
+			)
+		}
+	}
+}
+
+test(hyperbolic_and_mean_anomaly_conversion_test)
+function hyperbolic_and_mean_anomaly_conversion_test() {
+	const target_precision = 0.0000001
+
+	for (let e = 1; e < 20; e++) {
+		const eccentricity = 1.0 + e / 10.0
+		const orbit = new KeplerianOrbit(1.0, eccentricity)
+
+		for (let m = -100; m <= 100; m += 5) {
+			const value1 = new MeanAnomaly(m)
+			const value2 = value1.hyperbolic_anomaly(orbit)
+			const value3 = value2.mean_anomaly(orbit)
+
+			assert_close(
+				value1.angle,
+				value3.angle,
+				target_precision * Math.max(1.0, Math.abs(m)),
+				`'hyperbolic_and_mean_anomaly_conversion' for eccentricity ${eccentricity} did not convert correctly! ${value1.angle} -> ${value2.angle} -> ${value3.angle}`
+			)
+		}
+	}
+}
+
+test(parabolic_true_and_mean_anomaly_conversion_test)
+function parabolic_true_and_mean_anomaly_conversion_test() {
+	const target_precision = 0.000001
+	const orbit = new KeplerianOrbit(1.0, 1.0)
+
+	for (let a = 3 - 180; a < 180; a += 3) {
+		const value1 = new TrueAnomaly().set_degrees(a)
+		const value2 = value1.mean_anomaly(orbit)
+		const value3 = value2.true_anomaly(orbit)
+
+		assert_close(
+			value1.angle,
+			value3.angle,
+			target_precision,
+			`'parabolic_true_and_mean_anomaly_conversion' did not convert correctly! ${value1.angle} -> ${value2.angle} -> ${value3.angle}`
+		)
+	}
+}
+
+test(open_trajectory_periapsis_test)
+function open_trajectory_periapsis_test() {
+	const target_precision = 0.000001
+
+	for (let e = 0; e < 20; e++) {
+		const eccentricity = 1.0 + e / 10.0
+		const orbit = new KeplerianOrbit(2.0, eccentricity)
+
+		const periapsis_result = orbit.periapsis()
+		var { x, y } = new MeanAnomaly(0.0).point2d(orbit)
+		const periapsis_expected = Math.sqrt(x * x + y * y)
+
+		assert_close(
+			periapsis_expected,
+			periapsis_result,
+			target_precision,
+			`'periapsis' for eccentricity ${eccentricity} did not convert correctly! ${periapsis_result} != ${periapsis_expected}`
+		)
+
+		assert(
+			orbit.apoapsis() === Infinity,
+			`'apoapsis' for eccentricity ${eccentricity} is not infinite! ${orbit.apoapsis()}`
+		)
+
+		const radius = orbit.periapsis() * 10.0
+		const max_result = new TrueAnomaly(orbit.max_true_anomaly(radius)).radius(orbit)
+		assert_close(
+			max_result,
+			radius,
+			target_precision,
+			`'max_true_anomaly' for eccentricity ${eccentricity} did not reach the radius! ${max_result} != ${radius}`
+		)
+	}
+}
+
+test(state_vectors_conversion_test)
+function state_vectors_conversion_test() {
+	const target_precision = 0.000001
+	const earth = new CelestialObject(5.972e24)
+
+	for (const eccentricity of [0.0, 0.1, 0.5, 0.9, 1.0, 1.5, 3.0]) {
+		for (const argument_of_periapsis of [0.0, 1.0, -2.5]) {
+			for (const clockwise of [false, true]) {
+				const orbit = new KeplerianOrbit(
+					7.0e6,
+					eccentricity,
+					argument_of_periapsis,
+					clockwise
+				)
+
+				for (let a = -150; a <= 150; a += 30) {
+					const anomaly = new TrueAnomaly().set_degrees(a)
+					// Open trajectories do not reach past their asymptotes.
+					if (Math.abs(anomaly.angle) >= orbit.max_true_anomaly()) continue
+
+					const { position, velocity } = orbit.state_vectors(earth, anomaly)
+					const result = KeplerianOrbit.from_state_vectors(earth, position, velocity)
+					const result_anomaly = result.true_anomaly_at_point(position)
+
+					const description = `for eccentricity ${eccentricity}, argument of periapsis ${argument_of_periapsis}, clockwise ${clockwise} and anomaly ${a}`
+
+					assert_close(
+						result.semimajor_axis / orbit.semimajor_axis,
+						1.0,
+						target_precision,
+						`'from_state_vectors' semimajor axis ${description} did not convert correctly! ${result.semimajor_axis} != ${orbit.semimajor_axis}`
+					)
+					assert_close(
+						result.eccentricity,
+						orbit.eccentricity,
+						target_precision,
+						`'from_state_vectors' eccentricity ${description} did not convert correctly! ${result.eccentricity} != ${orbit.eccentricity}`
+					)
+					assert(
+						result.clockwise === orbit.clockwise,
+						`'from_state_vectors' clockwise ${description} did not convert correctly! ${result.clockwise} != ${orbit.clockwise}`
+					)
+
+					// The argument of periapsis and true anomaly are undefined for circular orbits.
+					const result_point = result_anomaly.point2d(result)
+					assert_close(
+						Math.hypot(result_point.x - position.x, result_point.y - position.y) /
+							orbit.semimajor_axis,
+						0.0,
+						target_precision,
+						`'from_state_vectors' position ${description} did not convert correctly! ${result_point.x}, ${result_point.y} != ${position.x}, ${position.y}`
+					)
+
+					const result_velocity = result_anomaly.velocity2d(result, earth)
+					assert_close(
+						Math.hypot(result_velocity.x - velocity.x, result_velocity.y - velocity.y) /
+							Math.hypot(velocity.x, velocity.y),
+						0.0,
+						target_precision,
+						`'from_state_vectors' velocity ${description} did not convert correctly! ${result_velocity.x}, ${result_velocity.y} != ${velocity.x}, ${velocity.y}`
+					)
+				}
+			}
+		}
+	}
+}
+
+test(circular_state_vectors_test)
+function circular_state_vectors_test() {
+	const target_precision = 0.000001
+	const earth = new CelestialObject(5.972e24)
+
+	const radius = 6.783e6
+	const speed = Math.sqrt(earth.gravitational_parameter / radius)
+	const orbit = KeplerianOrbit.from_state_vectors(earth, { x: radius, y: 0 }, { x: 0, y: speed })
+
+	assert_close(
+		orbit.eccentricity,
+		0.0,
+		target_precision,
+		`'from_state_vectors' of a circular orbit has the wrong eccentricity! ${orbit.eccentricity} != 0`
+	)
+	assert_close(
+		orbit.semimajor_axis / radius,
+		1.0,
+		target_precision,
+		`'from_state_vectors' of a circular orbit has the wrong semimajor axis! ${orbit.semimajor_axis} != ${radius}`
+	)
+	assert(!orbit.clockwise, `'from_state_vectors' of a counterclockwise orbit is clockwise!`)
+
+	const { position, velocity } = orbit.state_vectors_at_time(
+		earth,
+		orbit.orbital_period(earth) / 4.0,
+		orbit.true_anomaly_at_point({ x: radius, y: 0 }).mean_anomaly(orbit).angle
+	)
+	assert_close(
+		Math.hypot(position.x, position.y - radius) / radius,
+		0.0,
+		target_precision,
+		`'state_vectors_at_time' after a quarter period did not reach the expected position! ${position.x}, ${position.y} != 0, ${radius}`
+	)
+	assert_close(
+		Math.hypot(velocity.x + speed, velocity.y) / speed,
+		0.0,
+		target_precision,
+		`'state_vectors_at_time' after a quarter period did not reach the expected velocity! ${
+			velocity.x
+		}, ${velocity.y} != ${-speed}, 0`
+	)
+}
+
+test(inclined_state_vectors_conversion_test)
+function inclined_state_vectors_conversion_test() {
+	const target_precision = 0.000001
+	const earth = new CelestialObject(5.972e24)
+
+	for (const eccentricity of [0.1, 0.5, 1.5]) {
+		for (const inclination of [0.3, 1.0, 1.5]) {
+			for (const longitude_of_ascending_node of [0.0, 2.0, -1.0]) {
+				for (const clockwise of [false, true]) {
+					const orbit = new KeplerianOrbit(
+						7.0e6,
+						eccentricity,
+						0.5,
+						clockwise,
+						inclination,
+						longitude_of_ascending_node
+					)
+
+					const { position, velocity } = orbit.state_vectors(earth, new TrueAnomaly(0.7))
+					const result = KeplerianOrbit.from_state_vectors(earth, position, velocity)
+
+					const description = `for eccentricity ${eccentricity}, inclination ${inclination}, longitude of ascending node ${longitude_of_ascending_node} and clockwise ${clockwise}`
+					const result_elements = [
+						result.eccentricity,
+						result.inclination,
+						result.longitude_of_ascending_node,
+						result.argument_of_periapsis,
+					]
+					const expected_elements = [
+						eccentricity,
+						inclination,
+						longitude_of_ascending_node,
+						0.5,
+					]
+
+					result_elements.forEach((value, i) =>
+						assert_close(
+							value,
+							expected_elements[i],
+							target_precision,
+							`'from_state_vectors' elements ${description} did not convert correctly! ${result_elements} != ${expected_elements}`
+						)
+					)
+
+					const result_anomaly = result.true_anomaly_at_point(position)
+					assert_close(
+						result_anomaly.angle,
+						0.7,
+						target_precision,
+						`'true_anomaly_at_point' ${description} did not convert correctly! ${result_anomaly.angle} != 0.7`
+					)
+				}
+			}
+		}
+	}
+}
+
+test(point3d_from_anomaly_test)
+function point3d_from_anomaly_test() {
+	const target_precision = 0.0000001
+
+	// A polar orbit with the ascending node along the x axis.
+	const orbit = new KeplerianOrbit(1.0, 0.0, 0.0, false, Math.PI / 2.0)
+
+	const expected = [
+		[0.0, 1.0, 0.0, 0.0],
+		[90.0, 0.0, 0.0, 1.0],
+		[180.0, -1.0, 0.0, 0.0],
+		[270.0, 0.0, 0.0, -1.0],
+	]
+
+	for (const [input, x, y, z] of expected) {
+		const result = new TrueAnomaly().set_degrees(input).point3d(orbit)
+		assert_close(
+			Math.hypot(result.x - x, result.y - y, result.z - z),
+			0.0,
+			target_precision,
+			`'point3d' did not convert correctly! \nInput:	${input} \nExpected: ${x}, ${y}, ${z} \nGot:	  ${result.x}, ${result.y}, ${result.z}`
+		)
+
+		// The top-down projection drops the height.
+		const projected = new TrueAnomaly().set_degrees(input).point2d(orbit)
+		assert_close(
+			Math.hypot(projected.x - x, projected.y - y),
+			0.0,
+			target_precision,
+			`'point2d' did not project correctly! \nInput:	${input} \nExpected: ${x}, ${y} \nGot:	  ${projected.x}, ${projected.y}`
+		)
+	}
+}
+
+test(orbital_period_test)
+function orbital_period_test() {
+	const earth = new CelestialObject(5.972e24)
+	const sun = new CelestialObject(1.98847e30)
+
+	// The International Space Station orbits at a altitude of about 420 km.
+	const iss = new KeplerianOrbit(6.791e6, 0.0005)
+	const iss_calculated = iss.orbital_period(earth) / 60.0
+	const iss_expected = 92.82
+	assert_close(
+		iss_calculated,
+		iss_expected,
+		0.01,
+		`The 'orbital_period' of the ISS does not match expected value! ${iss_calculated} != ${iss_expected}`
+	)
+
+	const earth_orbit = new KeplerianOrbit(1.495978707e11, 0.0167)
+	const earth_calculated = earth_orbit.orbital_period(sun) / 86400.0
+	const earth_expected = 365.25
+	assert_close(
+		earth_calculated,
+		earth_expected,
+		0.01,
+		`The 'orbital_period' of earth does not match expected value! ${earth_calculated} != ${earth_expected}`
+	)
+
+	const mean_motion_calculated = earth_orbit.mean_motion(sun) * earth_orbit.orbital_period(sun)
+	const mean_motion_expected = Math.PI * 2
+	assert_close(
+		mean_motion_calculated,
+		mean_motion_expected,
+		0.0000001,
+		`The 'mean_motion' of earth does not match its 'orbital_period'! ${mean_motion_calculated} != ${mean_motion_expected}`
+	)
+}
+
+test(hohmann_transfer_test)
+function hohmann_transfer_test() {
+	const earth = new CelestialObject(5.972e24)
+	const sun = new CelestialObject(1.98847e30)
+
+	// From a low earth orbit at 300 km to a geostationary orbit.
+	const leo = new KeplerianOrbit(6.678e6)
+	const geo = new KeplerianOrbit(4.2164e7)
+	const transfer = earth.get_hohmann_transfer(leo, geo)
+
+	assert_close(
+		transfer.burns,
+		[2425.7, 1465.9],
+		1.0,
+		`The 'get_hohmann_transfer' burns to GEO do not match expected value! ${transfer.burns}`
+	)
+	assert_close(
+		transfer.time_of_flight / 3600.0,
+		5.27,
+		0.01,
+		`The 'get_hohmann_transfer' time of flight to GEO does not match expected value! ${transfer.time_of_flight}`
+	)
+
+	const transfer_orbit = transfer.transfer_orbits[0]
+	assert_close(
+		[transfer_orbit.periapsis(), transfer_orbit.apoapsis()],
+		[leo.semimajor_axis, geo.semimajor_axis],
+		1e-3,
+		`The 'get_hohmann_transfer' transfer orbit does not touch both orbits!`
+	)
+
+	// Lowering the orbit again takes the same burns in reverse.
+	const back = earth.get_hohmann_transfer(geo, leo)
+	assert_close(
+		back.burns,
+		[-transfer.burns[1], -transfer.burns[0]],
+		1e-6,
+		`The 'get_hohmann_transfer' burns back from GEO do not mirror the burns to GEO! ${back.burns}`
+	)
+
+	// Mars has to lead earth by about 44° at departure.
+	const earth_orbit = new KeplerianOrbit(1.496e11)
+	const mars_orbit = new KeplerianOrbit(2.279e11)
+	const mars_transfer = sun.get_hohmann_transfer(earth_orbit, mars_orbit)
+	assert_close(
+		(mars_transfer.phase_angle * 180.0) / Math.PI,
+		44.3,
+		0.1,
+		`The 'get_hohmann_transfer' phase angle to mars does not match expected value! ${mars_transfer.phase_angle}`
+	)
+}
+
+test(transfer_orientation_test)
+function transfer_orientation_test() {
+	const earth = new CelestialObject(5.972e24)
+
+	for (const clockwise of [false, true]) {
+		const from = new KeplerianOrbit(7.0e6, 0.0, 0.4, clockwise)
+
+		for (const [to_radius, arrival] of [
+			[2.0e7, Math.PI],
+			[4.0e6, 0.0],
+		]) {
+			const to = new KeplerianOrbit(to_radius)
+			const transfer = earth.get_hohmann_transfer(from, to, 1.2)
+			const transfer_orbit = transfer.transfer_orbits[0]
+
+			// The transfer starts where the departure orbit is and moves the same way.
+			const departure = new TrueAnomaly(1.2).point2d(from)
+			const start = new TrueAnomaly(arrival - Math.PI).point2d(transfer_orbit)
+			assert_close(
+				Math.hypot(start.x - departure.x, start.y - departure.y) / from.semimajor_axis,
+				0.0,
+				1e-9,
+				`The transfer from ${from.semimajor_axis} to ${to_radius} with clockwise ${clockwise} does not start at the departure point!`
+			)
+
+			const { velocity } = transfer_orbit.state_vectors(
+				earth,
+				new TrueAnomaly(arrival - Math.PI)
+			)
+			const departure_velocity = new TrueAnomaly(1.2).velocity2d(from, earth)
+			assert(
+				velocity.x * departure_velocity.x + velocity.y * departure_velocity.y > 0.0,
+				`The transfer from ${from.semimajor_axis} to ${to_radius} with clockwise ${clockwise} moves against the departure orbit!`
+			)
+		}
+	}
+}
+
+test(bi_elliptic_transfer_test)
+function bi_elliptic_transfer_test() {
+	const earth = new CelestialObject(5.972e24)
+	const from = new KeplerianOrbit(7.0e6)
+
+	// Bi-elliptic transfers beat Hohmann transfers for radius ratios above about 15.58.
+	const far = new KeplerianOrbit(7.0e6 * 20.0)
+	const far_transfers = earth.get_transfers(from, far, [7.0e6 * 200.0])
+	assert(
+		far_transfers[0].type === "bi-elliptic",
+		`The bi-elliptic transfer for a radius ratio of 20 is not the cheapest! ${far_transfers.map(
+			transfer => transfer.delta_velocity
+		)}`
+	)
+
+	const near = new KeplerianOrbit(7.0e6 * 5.0)
+	const near_transfers = earth.get_transfers(from, near)
+	assert(
+		near_transfers[0].type === "hohmann",
+		`The hohmann transfer for a radius ratio of 5 is not the cheapest! ${near_transfers.map(
+			transfer => transfer.delta_velocity
+		)}`
+	)
+
+	// The total matches the sum of the burns and the orbits meet at the intermediate radius.
+	const transfer = earth.get_bi_elliptic_transfer(from, far, 7.0e6 * 200.0, 0.5)
+	assert.equal(transfer.burns.length, 3, "The bi-elliptic transfer does not have three burns!")
+	assert_close(
+		transfer.delta_velocity,
+		transfer.burns.reduce((sum, burn) => sum + Math.abs(burn), 0.0),
+		1e-9,
+		"The bi-elliptic transfer total does not match its burns!"
+	)
+
+	const [first, second] = transfer.transfer_orbits
+	const first_end = new TrueAnomaly(Math.PI).point2d(first)
+	const second_start = new TrueAnomaly(Math.PI).point2d(second)
+	assert_close(
+		Math.hypot(first_end.x - second_start.x, first_end.y - second_start.y) / first.apoapsis(),
+		0.0,
+		1e-9,
+		"The bi-elliptic transfer orbits do not meet at the intermediate radius!"
+	)
+	assert_close(
+		transfer.time_of_flight,
+		(first.orbital_period(earth) + second.orbital_period(earth)) / 2.0,
+		1e-6,
+		"The bi-elliptic time of flight is not half of both transfer orbits!"
+	)
+}
@@ -1,57 +1,558 @@
+/**Gets the distance in pixels from a point in canvas pixels to the edge of a round body.
+ *
+ * @param {Object} entity The body with a `radius` drawn around its origin.
+ * @param {Canvas} canvas The canvas the body is drawn on.
+ * @param {object} point The point with `x` and `y` pixel coordinates.
+ * @returns {number} The distance in pixels, negative inside the body.
+ */
+function hit_test_radius(entity, canvas, point) {
+	const local = canvas.local_point(entity, point)
+	if (!local) return Infinity
+
+	return (Math.hypot(local.x, local.y) - entity.radius) * canvas.get_zoom()
+}
+
+/**The `draw_label` function draws the name of a body beside it in the labels layer, see `RENDER_LAYERS`.
+ * The label is drawn in pixels so it is the same size at every zoom, in the fill color of the body.
+ *
+ * @param {Object} entity The named body with a `radius`, drawn in its own transform.
+ * @param {Canvas} canvas The canvas the body is drawn on.
+ */
+function draw_label(entity, canvas) {
+	if (!entity.name) return
+
+	const context = canvas.context
+	const { e: x, f: y } = context.getTransform()
+	const offset = entity.radius * canvas.get_zoom() + 4.0
+
+	context.setTransform(1, 0, 0, 1, 0, 0)
+	context.font = "10px 'Kode Mono', monospace"
+	context.fillStyle = entity.style.fill
+	context.fillText(entity.name, x + offset, y - offset)
+}
+
+/**The `sphere_of_influence_at` function finds the sphere of influence a object is in, when it is not the one of its parent.
+ * Objects leave the sphere of their parent for the grandparent, and enter the spheres of the other children of the parent.
+ *
+ * @param {Object} parent The current parent of the object.
+ * @param {object} position The **point** object relative to the parent.
+ * @param {object} velocity The velocity **point** object relative to the parent.
+ * @param {number} time The time in seconds.
+ * @param {Object} exclude The object itself, which is never entered.
+ * @returns {object | null} Object with the new `parent` and the `position` and `velocity` **point** objects
+ * relative to it, or **null** if the object stays around its parent.
+ */
+function sphere_of_influence_at(parent, position, velocity, time, exclude = null) {
+	if (
+		parent.orbit &&
+		parent.parent?.body &&
+		vector_length(position) > parent.get_sphere_of_influence()
+	) {
+		const frame = parent.state_vectors(time)
+		return {
+			parent: parent.parent,
+			position: vector_add(position, frame.position),
+			velocity: vector_add(velocity, frame.velocity),
+		}
+	}
+
+	for (const sibling of parent.children) {
+		if (sibling === exclude || !sibling.orbit || !sibling.get_sphere_of_influence) continue
+
+		const frame = sibling.state_vectors(time)
+		const relative = vector_subtract(position, frame.position)
+		if (vector_length(relative) < sibling.get_sphere_of_influence())
+			return {
+				parent: sibling,
+				position: relative,
+				velocity: vector_subtract(velocity, frame.velocity),
+			}
+	}
+
+	return null
+}
+
+/**The `find_crossing_time` function finds when a condition first holds between two times with bisection.
+ * The condition should not hold at `from` and hold at `to`, so only one crossing is found.
+ *
+ * @param {number} from The time in seconds the condition does not hold.
+ * @param {number} to The time in seconds the condition holds.
+ * @param {Function} crossed The condition, called with a time in seconds.
+ * @param {number} iterations The number of bisection steps.
+ * @returns {number} The time in seconds just after the crossing, where the condition holds.
+ */
+function find_crossing_time(from, to, crossed, iterations = 48) {
+	let before = from
+	let after = to
+	for (let i = 0; i < iterations; i++) {
+		const middle = (before + after) / 2.0
+		if (crossed(middle)) after = middle
+		else before = middle
+	}
+
+	return after
+}
+
+/**The default rendering style of a `Star`.
+ */
+const STAR_STYLE = { fill: "#ffff88", stroke: "#ffff00" }
+
+/**The default rendering style of a `Planet`, the `orbit` names the `draw_orbit_*` function used.
+ */
+const PLANET_STYLE = { fill: "#aaaaaa", stroke: "#888888", orbit: "dashes2" }
+
 class Star extends Object {
-	constructor(canvas, x = 0, y = 0) {
+	constructor(canvas, x = 0, y = 0, mass = 1.0, radius = 1.0) {
 		super({ x, y, parent: canvas })
+		this.body = new CelestialObject(mass)
+		this.radius = radius
+
+		this.name = null
+		this.style = { ...STAR_STYLE }
+	}
+
+	/**Gets the distance in pixels from a point in canvas pixels to the edge of the star.
+	 *
+	 * @param {Canvas} canvas The canvas the star is drawn on.
+	 * @param {object} point The point with `x` and `y` pixel coordinates.
+	 * @returns {number} The distance in pixels, negative inside the star.
+	 */
+	hit_test(canvas, point) {
+		return hit_test_radius(this, canvas, point)
+	}
+
+	/**Gets the radius of the sphere of influence of the star, which has no parent to leave for.
+	 *
+	 * @returns {number} The radius of the sphere of influence.
+	 */
+	get_sphere_of_influence() {
+		return Infinity
 	}
 
 	draw(canvas) {
-		canvas.context.fillStyle = "#ffff88"
-		canvas.context.strokeStyle = "#ffff00"
+		canvas.context.fillStyle = this.style.fill
+		canvas.context.strokeStyle = this.style.stroke
 		canvas.context.lineWidth = 0.1
 
 		canvas.context.beginPath()
-		canvas.context.arc(0.0, 0.0, 1, 0, Math.PI * 2)
+		canvas.context.arc(0.0, 0.0, this.radius, 0, Math.PI * 2)
 		canvas.context.fill()
 		canvas.context.stroke()
 	}
+
+	/**The `draw_labels` function draws the name of the star in the labels layer, above every body.
+	 *
+	 * @param {Canvas} canvas The canvas to draw on.
+	 */
+	draw_labels(canvas) {
+		draw_label(this, canvas)
+	}
 }
 
+/**The `Orbit` class is a object moving along a `KeplerianOrbit` around the `body` of its parent.
+ * Objects that are `free_flying`, like a spacecraft or a comet, follow _[patched conics](https://en.wikipedia.org/wiki/Patched_conic_approximation)_,
+ * switching parent each time they cross the sphere of influence of a planet.
+ */
 class Orbit extends Object {
-	constructor({ parent, semimajor_axis, eccentricity, argument_of_periapsis, clockwise }) {
+	constructor({
+		parent,
+		semimajor_axis,
+		eccentricity,
+		argument_of_periapsis,
+		clockwise,
+		inclination,
+		longitude_of_ascending_node,
+		epoch,
+		mean_anomaly_at_epoch,
+		free_flying,
+	}) {
 		super({ parent })
 		this.orbit = new KeplerianOrbit(
 			semimajor_axis,
 			eccentricity || 0.0,
 			argument_of_periapsis || 0.0,
-			clockwise || false
+			clockwise || false,
+			inclination || 0.0,
+			longitude_of_ascending_node || 0.0
 		)
+
+		this.epoch = epoch || 0.0
+		this.mean_anomaly_at_epoch = mean_anomaly_at_epoch || 0.0
+		this.free_flying = free_flying || false
+
+		// The time of the last `update`, where the spheres of influence were last checked.
+		this.update_time = null
+
+		// The planned `ManoeuvreNode`, made when the clock passes it.
+		this.manoeuvre = null
+
+		// The `NBodySimulation` moving the object instead of its orbit, if any.
+		this.simulation = null
+	}
+
+	/**Gets the _mean motion_ of the orbit around the `body` of the parent.
+	 *
+	 * @returns {number} The mean motion in radians per second.
+	 */
+	mean_motion() {
+		return this.orbit.mean_motion(this.parent.body)
+	}
+
+	/**Gets the _mean anomaly_ along the orbit at a given time.
+	 *
+	 * @param {number} time The time in seconds.
+	 * @returns {MeanAnomaly} The mean anomaly at the time.
+	 */
+	mean_anomaly(time) {
+		return this.orbit.mean_anomaly_at_time(
+			this.parent.body,
+			time,
+			this.mean_anomaly_at_epoch,
+			this.epoch
+		)
+	}
+
+	/**Gets the _state vectors_ relative to the parent at a given time.
+	 *
+	 * @param {number} time The time in seconds.
+	 * @returns {object} Object with the `position` and `velocity` **point** objects.
+	 */
+	state_vectors(time) {
+		return this.orbit.state_vectors(this.parent.body, this.mean_anomaly(time))
+	}
+
+	/**Gets the first time at or after a given time that the object passes a _true anomaly_ along its orbit.
+	 * See `KeplerianOrbit.time_at_true_anomaly`.
+	 *
+	 * @param {TrueAnomaly} true_anomaly The position along the orbit.
+	 * @param {number} time The time in seconds to search from.
+	 * @returns {number | null} The time in seconds, or **null** if the anomaly has already been passed.
+	 */
+	time_at_true_anomaly(true_anomaly, time) {
+		return this.orbit.time_at_true_anomaly(
+			this.parent.body,
+			true_anomaly,
+			time,
+			this.mean_anomaly_at_epoch,
+			this.epoch
+		)
+	}
+
+	/**The `set_state_vectors` function puts the object on the orbit through a position with a velocity,
+	 * taking the given time as the new epoch.
+	 *
+	 * @param {number} time The time in seconds of the state vectors.
+	 * @param {object} position The **point** object relative to the parent.
+	 * @param {object} velocity The velocity **point** object relative to the parent.
+	 */
+	set_state_vectors(time, position, velocity) {
+		this.orbit = KeplerianOrbit.from_state_vectors(this.parent.body, position, velocity)
+		this.epoch = time
+		this.mean_anomaly_at_epoch = this.orbit
+			.true_anomaly_at_point(position)
+			.mean_anomaly(this.orbit).angle
+	}
+
+	/**The `burn` function instantly changes the velocity of the object and recomputes its orbit.
+	 * Objects without engines, like a `Planet`, can make any _Δv_.
+	 * Simulated objects carry the new velocity into their `NBodySimulation`.
+	 *
+	 * @param {number} time The time in seconds of the burn.
+	 * @param {object} delta_velocity The _Δv_ **point** object relative to the parent.
+	 * @returns {number} The _Δv_ made in meters per second.
+	 */
+	burn(time, { x, y, z = 0.0 }) {
+		const delta_velocity = { x, y, z }
+		const { position, velocity } = this.state_vectors(time)
+		this.set_state_vectors(time, position, vector_add(velocity, delta_velocity))
+		this.simulation?.sync(this)
+
+		return vector_length(delta_velocity)
+	}
+
+	/**Gets the sphere of influence the object is in at a given time, when it is not the one of its parent.
+	 * See `sphere_of_influence_at`.
+	 *
+	 * @param {number} time The time in seconds.
+	 * @returns {object | null} Object with the new `parent` and the `position` and `velocity` **point** objects
+	 * relative to it, or **null** if the object stays around its parent.
+	 */
+	find_sphere_of_influence(time) {
+		const { position, velocity } = this.state_vectors(time)
+		return sphere_of_influence_at(this.parent, position, velocity, time, this)
+	}
+
+	/**The `update_sphere_of_influence` function moves the object into each sphere of influence it crossed
+	 * between two times, with `Object.set_parent` so the scene graph follows the patched conics.
+	 * The crossings are found by bisection, so the new orbit starts at the boundary however large the time step.
+	 * A planned manoeuvre no longer makes sense in the new frame and is dropped.
+	 *
+	 * @param {number} from The time in seconds the object was last known to be around its parent.
+	 * @param {number} to The time in seconds to update to.
+	 * @param {number} iterations The number of bisection steps.
+	 * @param {number} max_crossings The most crossings made in one update.
+	 */
+	update_sphere_of_influence(from, to, iterations = 48, max_crossings = 8) {
+		for (let i = 0; i < max_crossings && this.find_sphere_of_influence(to); i++) {
+			const after = find_crossing_time(
+				from,
+				to,
+				time => this.find_sphere_of_influence(time) !== null,
+				iterations
+			)
+
+			const { parent, position, velocity } = this.find_sphere_of_influence(after)
+			this.set_parent(parent)
+			this.set_state_vectors(after, position, velocity)
+			this.manoeuvre = null
+			from = after
+		}
 	}
 
 	update(canvas) {
-		const { x, y } = new MeanAnomaly(
-			canvas.time / (this.orbit.semimajor_axis * this.orbit.semimajor_axis)
-		).point2d(this.orbit)
+		const time = canvas.clock.time
+		const from = this.update_time ?? time
+		this.update_time = time
+
+		// Simulated objects follow the osculating elements of their integrated state.
+		if (this.simulation) {
+			this.simulation.step_to(time)
+			const { position, velocity } = this.simulation.state_vectors(this)
+			this.set_state_vectors(this.simulation.time, position, velocity)
+		}
+
+		// The manoeuvre is made at the time it was planned for, even if the clock stepped past it.
+		const manoeuvre = this.manoeuvre && time >= this.manoeuvre.time ? this.manoeuvre : null
+		if (this.free_flying) this.update_sphere_of_influence(from, manoeuvre?.time ?? time)
+		if (manoeuvre && this.manoeuvre === manoeuvre) {
+			this.manoeuvre = null
+			manoeuvre.execute()
+			if (this.free_flying) this.update_sphere_of_influence(manoeuvre.time, time)
+		}
+
+		const point = this.mean_anomaly(canvas.clock.time).point3d(this.orbit)
+
+		const { x, y } = canvas.project(point)
 		this.x = x
 		this.y = y
+		this.z = point.z
+	}
+
+	/**Transforms the canvas from the parent into the orbital plane, with the periapsis along the `x` axis.
+	 * Tilted orbits are projected with `Canvas.project` so the ellipse is drawn as seen by the camera.
+	 *
+	 * @param {Canvas} canvas The canvas to transform.
+	 * @param {KeplerianOrbit} orbit The orbit to transform into, the orbit of this object by default.
+	 */
+	transform_orbital_plane(canvas, orbit = this.orbit) {
+		const x = canvas.project(orbit.orient_point({ x: 1.0, y: 0.0 }))
+		const y = canvas.project(orbit.orient_point({ x: 0.0, y: 1.0 }))
+
+		canvas.context.transform(x.x, x.y, y.x, y.y, 0.0, 0.0)
+	}
+
+	/**Gets the radius at which open trajectories and escaping orbits stop being drawn.
+	 * That is the _sphere of influence_ of the parent, or a multiple of the periapsis when unbounded.
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit around the parent, the orbit of this object by default.
+	 * @returns {number} The largest drawn radius.
+	 */
+	max_radius(orbit = this.orbit) {
+		const sphere_of_influence = this.parent?.get_sphere_of_influence?.() ?? Infinity
+		if (Number.isFinite(sphere_of_influence)) return sphere_of_influence
+
+		return orbit.periapsis() * 20.0
+	}
+
+	/**Gets whether or not the whole orbit is drawn as a closed ellipse.
+	 *
+	 * @param {KeplerianOrbit} orbit The orbit around the parent, the orbit of this object by default.
+	 * @returns {boolean} Boolean indicating closed orbit.
+	 */
+	is_closed(orbit = this.orbit) {
+		return orbit.is_elliptic() && orbit.apoapsis() <= this.max_radius(orbit)
+	}
+
+	/**Adds the orbit path between two _true anomalies_ to the current path of the context.
+	 * The path is in the rotated periapsis space used by the `draw_orbit_*` functions.
+	 *
+	 * @param {CanvasRenderingContext2D} context The context to add the path to.
+	 * @param {number} from The starting true anomaly in **radians**.
+	 * @param {number} to The ending true anomaly in **radians**.
+	 * @param {number} segments The number of line segments.
+	 * @param {KeplerianOrbit} orbit The orbit to trace, the orbit of this object by default.
+	 */
+	trace_orbit_arc(context, from, to, segments = 64, orbit = this.orbit) {
+		for (let i = 0; i <= segments; i++) {
+			const { x, y } = new TrueAnomaly(from + ((to - from) * i) / segments).point(orbit)
+
+			if (i === 0) context.moveTo(x, y)
+			else context.lineTo(x, y)
+		}
+	}
+
+	/**Adds the whole orbit path to the current path of the context.
+	 * Closed orbits are added as a ellipse and open trajectories as a arc cut off at `max_radius`.
+	 *
+	 * @param {CanvasRenderingContext2D} context The context to add the path to.
+	 * @param {KeplerianOrbit} orbit The orbit to trace, the orbit of this object by default.
+	 */
+	trace_orbit(context, orbit = this.orbit) {
+		if (this.is_closed(orbit)) {
+			context.ellipse(
+				-orbit.focal_point(),
+				0,
+				orbit.semimajor_axis,
+				orbit.semiminor_axis(),
+				0,
+				0,
+				Math.PI * 2
+			)
+		} else {
+			const max = orbit.max_true_anomaly(this.max_radius(orbit))
+			this.trace_orbit_arc(context, -max, max, 128, orbit)
+		}
+	}
+
+	/**Gets the range of mean anomalies that is drawn, centered on the periapsis.
+	 *
+	 * @returns {number} The largest drawn mean anomaly.
+	 */
+	max_mean_anomaly() {
+		if (this.is_closed()) return Math.PI
+
+		const max = this.orbit.max_true_anomaly(this.max_radius())
+		return new TrueAnomaly(max).mean_anomaly(this.orbit).angle
+	}
+
+	/**Gets the distance in pixels from a point in canvas pixels to the drawn orbit path.
+	 *
+	 * @param {Canvas} canvas The canvas the orbit is drawn on.
+	 * @param {object} point The point with `x` and `y` pixel coordinates.
+	 * @param {number} segments The number of line segments the path is tested as.
+	 * @returns {object} Object with the `distance` in pixels and the closest `true_anomaly` on the path.
+	 */
+	hit_test_orbit(canvas, point, segments = 256) {
+		const transform = this.parent?.transform
+		if (!transform) return { distance: Infinity, true_anomaly: null }
+
+		const max = this.is_closed() ? Math.PI : this.orbit.max_true_anomaly(this.max_radius())
+		const screen_point = angle => {
+			const { x, y } = canvas.project(new TrueAnomaly(angle).point3d(this.orbit))
+			return {
+				x: transform.a * x + transform.c * y + transform.e,
+				y: transform.b * x + transform.d * y + transform.f,
+			}
+		}
+
+		let best = { distance: Infinity, true_anomaly: null }
+		let from = screen_point(-max)
+
+		for (let i = 1; i <= segments; i++) {
+			const from_angle = -max + ((i - 1) / segments) * max * 2
+			const to_angle = -max + (i / segments) * max * 2
+			const to = screen_point(to_angle)
+
+			// Closest point on the segment.
+			const dx = to.x - from.x
+			const dy = to.y - from.y
+			const length2 = dx * dx + dy * dy
+			const along = ((point.x - from.x) * dx + (point.y - from.y) * dy) / length2
+			const t = length2 > 0.0 ? Math.min(Math.max(along, 0.0), 1.0) : 0.0
+			const distance = Math.hypot(from.x + dx * t - point.x, from.y + dy * t - point.y)
+
+			if (distance < best.distance)
+				best = {
+					distance,
+					true_anomaly: new TrueAnomaly(from_angle + (to_angle - from_angle) * t),
+				}
+
+			from = to
+		}
+
+		return best
+	}
+
+	/**Gets the transfers from this orbit to the orbit of a sibling, departing from the current position.
+	 * See `CelestialObject.get_transfers`.
+	 *
+	 * @param {Orbit} target The orbit to transfer to, around the same parent.
+	 * @param {number} time The time of departure in seconds.
+	 * @returns {object[]} The transfers sorted by total _Δv_.
+	 */
+	get_transfers(target, time) {
+		const departure = this.mean_anomaly(time).true_anomaly(this.orbit).angle
+		return this.parent.body.get_transfers(this.orbit, target.orbit, null, departure)
+	}
+
+	/**Draws the half ellipses of a transfer from `CelestialObject.get_transfers` as a dashed path,
+	 * with a dot at each burn. The transfer has to be planned around the `body` of the parent.
+	 * Transfers with `end_anomalies` are drawn up to those instead of half way around.
+	 *
+	 * @param {Canvas} canvas The canvas to draw on.
+	 * @param {object} transfer The transfer to draw.
+	 * @param {number} width The line width.
+	 * @param {string} color The line color.
+	 */
+	draw_transfer(canvas, transfer, width = 0.02, color = "#ffcc66") {
+		canvas.context.save()
+		canvas.context.strokeStyle = color
+		canvas.context.fillStyle = color
+		canvas.context.lineWidth = width
+		canvas.context.setLineDash([width * 4.0, width * 3.0])
+
+		transfer.transfer_orbits.forEach((orbit, i) => {
+			const start = transfer.start_anomalies[i]
+			const end = transfer.end_anomalies?.[i] ?? start + Math.PI
+
+			canvas.context.setTransform(this.parent.transform)
+			this.transform_orbital_plane(canvas, orbit)
+
+			canvas.context.beginPath()
+			this.trace_orbit_arc(canvas.context, start, end, 64, orbit)
+			canvas.context.stroke()
+
+			// The burns at the start, and at the end of the last half ellipse.
+			const burns = i === transfer.transfer_orbits.length - 1 ? [start, end] : [start]
+			for (const angle of burns) {
+				const { x, y } = new TrueAnomaly(angle).point(orbit)
+				canvas.context.beginPath()
+				canvas.context.arc(x, y, width * 2.0, 0, Math.PI * 2)
+				canvas.context.fill()
+			}
+		})
+
+		canvas.context.restore()
+	}
+
+	/**The `draw_orbits` function draws the orbit in the orbits layer, beneath every body, see `RENDER_LAYERS`.
+	 *
+	 * @param {Canvas} canvas The canvas to draw on.
+	 */
+	draw_orbits(canvas) {
+		// The orbit style names one of the `draw_orbit_*` functions, "lines", "dashes", "dashes2" or "points".
+		const draw_orbit = this[`draw_orbit_${this.style?.orbit}`]
+		if (draw_orbit) draw_orbit.call(this, canvas)
+	}
+
+	/**The `draw_labels` function draws the name of the object in the labels layer, above every body.
+	 *
+	 * @param {Canvas} canvas The canvas to draw on.
+	 */
+	draw_labels(canvas) {
+		draw_label(this, canvas)
 	}
 
 	draw_orbit_lines(canvas, width = 0.01, color = "#ffffff88") {
 		canvas.context.save()
 		canvas.context.setTransform(this.parent.transform)
-		canvas.context.rotate(-this.orbit.argument_of_periapsis)
+		this.transform_orbital_plane(canvas)
 
 		canvas.context.strokeStyle = color
 		canvas.context.lineWidth = width
 
 		canvas.context.beginPath()
-		canvas.context.ellipse(
-			-this.orbit.focal_point(),
-			0,
-			this.orbit.semimajor_axis,
-			this.orbit.semiminor_axis(),
-			0,
-			0,
-			Math.PI * 2
-		)
+		this.trace_orbit(canvas.context)
 		canvas.context.stroke()
 		canvas.context.restore()
 	}
@@ -62,11 +563,14 @@ class Orbit extends Object {
 
 		canvas.context.fillStyle = color
 
+		const max = this.max_mean_anomaly()
+		const time_shift = (canvas.time * 3 * this.mean_motion()) / (max * 2)
+
 		for (let i = 0; i < count; i++) {
-			const { x, y } = new MeanAnomaly(
-				(canvas.time * 3) / (this.orbit.semimajor_axis * this.orbit.semimajor_axis) +
-					(i / count) * Math.PI * 2
-			).point2d(this.orbit)
+			const shift = (((time_shift + i / count) % 1.0) + 1.0) % 1.0
+			const { x, y } = canvas.project(
+				new MeanAnomaly(shift * max * 2 - max).point3d(this.orbit)
+			)
 
 			canvas.context.beginPath()
 			canvas.context.arc(x, y, width, 0, Math.PI * 2)
@@ -79,14 +583,37 @@ class Orbit extends Object {
 	draw_orbit_dashes(canvas, width = 0.01, color = "#ffffff", count = 12) {
 		canvas.context.save()
 		canvas.context.setTransform(this.parent.transform)
-		canvas.context.rotate(-this.orbit.argument_of_periapsis)
+		this.transform_orbital_plane(canvas)
 
 		canvas.context.strokeStyle = color
 		canvas.context.lineWidth = width
 
-		let time_shift = (canvas.time * 3) / (this.orbit.semimajor_axis * this.orbit.semimajor_axis)
+		let time_shift = canvas.time * 3 * this.mean_motion()
 		if (this.orbit.is_clockwise()) time_shift = -time_shift
 
+		if (!this.is_closed()) {
+			const max = this.max_mean_anomaly()
+			const wrap = angle => ((((angle + max) % (max * 2)) + max * 2) % (max * 2)) - max
+
+			for (let i = 0; i < count; i++) {
+				const m1 = wrap(time_shift + ((i - 0.5) / count) * max * 2)
+				const m2 = m1 + (0.5 / count) * max * 2
+				if (m2 > max) continue
+
+				canvas.context.beginPath()
+				this.trace_orbit_arc(
+					canvas.context,
+					new MeanAnomaly(m1).true_anomaly(this.orbit).angle,
+					new MeanAnomaly(m2).true_anomaly(this.orbit).angle,
+					8
+				)
+				canvas.context.stroke()
+			}
+
+			canvas.context.restore()
+			return
+		}
+
 		for (let i = 0; i < count; i++) {
 			const a1 = new MeanAnomaly(
 				time_shift + (i / count - 0.5 / count) * Math.PI * 2
@@ -122,9 +649,9 @@ class Orbit extends Object {
 	) {
 		canvas.context.save()
 		canvas.context.setTransform(this.parent.transform)
-		canvas.context.rotate(-this.orbit.argument_of_periapsis)
+		this.transform_orbital_plane(canvas)
 
-		let time_shift = (canvas.time * 3) / (this.orbit.semimajor_axis * this.orbit.semimajor_axis)
+		let time_shift = canvas.time * 3 * this.mean_motion()
 		if (this.orbit.is_clockwise()) time_shift = -time_shift
 
 		const start_angle = new MeanAnomaly(time_shift).true_anomaly(this.orbit).angle
@@ -158,15 +685,7 @@ class Orbit extends Object {
 		canvas.context.lineWidth = width
 
 		canvas.context.beginPath()
-		canvas.context.ellipse(
-			-this.orbit.focal_point(),
-			0,
-			this.orbit.semimajor_axis,
-			this.orbit.semiminor_axis(),
-			0,
-			0,
-			Math.PI * 2
-		)
+		this.trace_orbit(canvas.context)
 		canvas.context.stroke()
 
 		canvas.context.restore()
@@ -174,20 +693,38 @@ class Orbit extends Object {
 }
 
 class Planet extends Orbit {
-	constructor({ radius, ...params }) {
+	constructor({ radius, mass, name, style, ...params }) {
 		super(params)
 		this.radius = radius
+		this.body = new CelestialObject(mass)
+
+		this.name = name ?? null
+		this.style = { ...PLANET_STYLE, ...style }
 	}
 
-	draw(canvas) {
-		/* this.draw_orbit_lines(canvas)
-		this.draw_orbit_dashes(canvas)
-		this.draw_orbit_points(canvas) */
-		this.draw_orbit_dashes2(canvas)
+	/**Gets the radius of the sphere of influence of the planet around its parent,
+	 * see `CelestialObject.get_sphere_of_influence`.
+	 *
+	 * @returns {number} The radius of the sphere of influence.
+	 */
+	get_sphere_of_influence() {
+		return this.body.get_sphere_of_influence(this.orbit, this.parent.body)
+	}
 
+	/**Gets the distance in pixels from a point in canvas pixels to the edge of the planet.
+	 *
+	 * @param {Canvas} canvas The canvas the planet is drawn on.
+	 * @param {object} point The point with `x` and `y` pixel coordinates.
+	 * @returns {number} The distance in pixels, negative inside the planet.
+	 */
+	hit_test(canvas, point) {
+		return hit_test_radius(this, canvas, point)
+	}
+
+	draw(canvas) {
 		// Drawing Planet
-		canvas.context.fillStyle = "#aaaaaa"
-		canvas.context.strokeStyle = "#888888"
+		canvas.context.fillStyle = this.style.fill
+		canvas.context.strokeStyle = this.style.stroke
 		canvas.context.lineWidth = 0.1
 
 		canvas.context.beginPath()
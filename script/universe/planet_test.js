@@ -0,0 +1,51 @@
+/**Creates a headless canvas with a star and a tilted eccentric planet, drawn once so every transform is set.
+ *
+ * @param {number} eccentricity The eccentricity of the orbit of the planet, open orbits fly freely.
+ * @returns {object} Object with the `canvas` and the `planet`.
+ */
+function draw_orbit_scene(eccentricity = 0.3) {
+	const canvas = new Canvas(new HeadlessContext(200, 200), "#000000")
+	canvas.camera.width = 10
+	canvas.camera.height = 10
+
+	const star = new Star(canvas, 0, 0, 1.0e10)
+	const planet = new Planet({
+		parent: star,
+		radius: 0.25,
+		mass: 1.0e8,
+		semimajor_axis: 3,
+		eccentricity,
+		argument_of_periapsis: 0.5,
+		inclination: 0.3,
+		free_flying: eccentricity >= 1.0,
+	})
+
+	canvas.time = 1.25
+	canvas.clock.jump_to(1.25)
+	canvas.update()
+	canvas.redraw()
+	canvas.context.reset()
+	return { canvas, planet }
+}
+
+test(draw_orbit_golden_test)
+function draw_orbit_golden_test() {
+	for (const style of ["lines", "points", "dashes", "dashes2"]) {
+		const { canvas, planet } = draw_orbit_scene()
+		planet[`draw_orbit_${style}`](canvas)
+		assert_golden(
+			`draw_orbit_${style}.svg`,
+			canvas.context.to_svg(),
+			`The '${style}' orbit is not drawn the same!`
+		)
+	}
+
+	// Open trajectories are only drawn along the branch that is flown.
+	const { canvas, planet } = draw_orbit_scene(1.5)
+	planet.draw_orbit_dashes(canvas)
+	assert_golden(
+		"draw_orbit_dashes_open.svg",
+		canvas.context.to_svg(),
+		"The dashed open trajectory is not drawn the same!"
+	)
+}
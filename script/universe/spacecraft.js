@@ -0,0 +1,154 @@
+/**The _[standard gravity](https://en.wikipedia.org/wiki/Standard_gravity)_ in `m/s^2`,
+ * used to turn the _specific impulse_ of a engine into its exhaust velocity.
+ */
+const STANDARD_GRAVITY = 9.80665
+
+/**The default rendering style of a `Spacecraft`, the `orbit` names the `draw_orbit_*` function used.
+ */
+const SPACECRAFT_STYLE = { fill: "#ffffff", stroke: "#88ccff", orbit: "lines" }
+
+/**The `Spacecraft` class is a orbiting object that can change its own orbit by burning fuel.
+ * Between burns it coasts along its `KeplerianOrbit` the same way a `Planet` does,
+ * while a burn is applied instantly and recomputes the orbit from the new _state vectors_.
+ */
+class Spacecraft extends Orbit {
+	/**Creates a `Spacecraft` on a orbit around its `parent`, taking the same orbit parameters as `Planet`.
+	 *
+	 * @param {object} params Object with the orbit parameters and
+	 * the `dry_mass` and `fuel_mass` in kilograms, the `specific_impulse` in seconds and the `thrust` in newtons.
+	 */
+	constructor({
+		dry_mass,
+		fuel_mass,
+		specific_impulse,
+		thrust,
+		radius = 0.05,
+		name,
+		style,
+		...params
+	}) {
+		super({ free_flying: true, ...params })
+		this.dry_mass = dry_mass
+		this.fuel_mass = fuel_mass || 0.0
+		this.specific_impulse = specific_impulse
+		this.thrust = thrust
+		this.radius = radius
+		this.body = new CelestialObject(this.get_mass())
+
+		this.name = name ?? null
+		this.style = { ...SPACECRAFT_STYLE, ...style }
+
+		// Drawn above the bodies it flies past.
+		this.z_index = 1
+	}
+
+	/**Gets the total mass of the spacecraft, the dry mass and the fuel left.
+	 *
+	 * @returns {number} The mass in kilograms.
+	 */
+	get_mass() {
+		return this.dry_mass + this.fuel_mass
+	}
+
+	/**Gets the _[effective exhaust velocity](https://en.wikipedia.org/wiki/Specific_impulse)_ of the engine.
+	 * ```
+	 * ve = Isp * g0
+	 * ```
+	 *
+	 * @returns {number} The exhaust velocity in meters per second.
+	 */
+	exhaust_velocity() {
+		return this.specific_impulse * STANDARD_GRAVITY
+	}
+
+	/**Gets the _Δv_ that can be made by burning a amount of fuel,
+	 * with the _[Tsiolkovsky rocket equation](https://en.wikipedia.org/wiki/Tsiolkovsky_rocket_equation)_.
+	 * ```
+	 * Δv = ve * ln(m0 / m1)
+	 * ```
+	 *
+	 * @param {number} fuel The fuel burnt in kilograms, all the fuel left by default.
+	 * @returns {number} The _Δv_ in meters per second.
+	 */
+	get_delta_velocity(fuel = this.fuel_mass) {
+		const mass = this.get_mass()
+		return this.exhaust_velocity() * Math.log(mass / (mass - fuel))
+	}
+
+	/**Gets the fuel burnt to make a _Δv_, the inverse of `get_delta_velocity`.
+	 * ```
+	 * m0 - m1 = m0 * (1 - e^(-Δv / ve))
+	 * ```
+	 *
+	 * @param {number} delta_velocity The _Δv_ in meters per second.
+	 * @returns {number} The fuel in kilograms, more than `fuel_mass` if the _Δv_ can not be made.
+	 */
+	get_fuel_needed(delta_velocity) {
+		return this.get_mass() * -Math.expm1(-delta_velocity / this.exhaust_velocity())
+	}
+
+	/**Gets how long the engine has to fire at full `thrust` to make a _Δv_.
+	 * ```
+	 * t = (m0 - m1) * ve / F
+	 * ```
+	 *
+	 * @param {number} delta_velocity The _Δv_ in meters per second.
+	 * @returns {number} The burn time in seconds.
+	 */
+	get_burn_duration(delta_velocity) {
+		return (this.get_fuel_needed(delta_velocity) * this.exhaust_velocity()) / this.thrust
+	}
+
+	/**The `burn` function instantly changes the velocity of the spacecraft and burns the fuel it takes.
+	 * Burns larger than the fuel left allows are cut short when the tanks run dry.
+	 *
+	 * @param {number} time The time in seconds of the burn.
+	 * @param {object} delta_velocity The _Δv_ **point** object relative to the parent.
+	 * @returns {number} The _Δv_ made in meters per second.
+	 */
+	burn(time, { x, y, z = 0.0 }) {
+		const requested = vector_length({ x, y, z })
+		if (requested === 0.0 || this.fuel_mass <= 0.0) return 0.0
+
+		const delta_velocity = Math.min(requested, this.get_delta_velocity())
+		const scale = delta_velocity / requested
+
+		this.fuel_mass = Math.max(this.fuel_mass - this.get_fuel_needed(delta_velocity), 0.0)
+		this.body.set_mass(this.get_mass())
+
+		return super.burn(time, vector_scale({ x, y, z }, scale))
+	}
+
+	/**Gets the distance in pixels from a point in canvas pixels to the edge of the spacecraft.
+	 *
+	 * @param {Canvas} canvas The canvas the spacecraft is drawn on.
+	 * @param {object} point The point with `x` and `y` pixel coordinates.
+	 * @returns {number} The distance in pixels, negative inside the spacecraft.
+	 */
+	hit_test(canvas, point) {
+		return hit_test_radius(this, canvas, point)
+	}
+
+	draw(canvas) {
+		// Drawing the spacecraft as a arrow pointing along its velocity.
+		const { velocity } = this.state_vectors(canvas.clock.time)
+		const { x, y } = canvas.project(velocity)
+		const angle = Math.atan2(y, x)
+
+		canvas.context.save()
+		canvas.context.rotate(angle)
+		canvas.context.fillStyle = this.style.fill
+		canvas.context.strokeStyle = this.style.stroke
+		canvas.context.lineWidth = this.radius * 0.2
+
+		canvas.context.beginPath()
+		canvas.context.moveTo(this.radius, 0.0)
+		canvas.context.lineTo(-this.radius, this.radius * 0.6)
+		canvas.context.lineTo(-this.radius * 0.5, 0.0)
+		canvas.context.lineTo(-this.radius, -this.radius * 0.6)
+		canvas.context.closePath()
+		canvas.context.fill()
+		canvas.context.stroke()
+		canvas.context.restore()
+	}
+}
@@ -0,0 +1,169 @@
+/**Creates a spacecraft on a low circular orbit around the earth, with as much fuel as dry mass.
+ *
+ * @returns {Spacecraft} The new spacecraft.
+ */
+function spacecraft_in_orbit() {
+	const earth = new Star(new Object({}), 0, 0, 5.972e24, 6.371e6)
+	return new Spacecraft({
+		parent: earth,
+		semimajor_axis: 7.0e6,
+		mean_anomaly_at_epoch: 0.5,
+		dry_mass: 1000.0,
+		fuel_mass: 1000.0,
+		specific_impulse: 300.0,
+		thrust: 10000.0,
+	})
+}
+
+test(spacecraft_rocket_equation_test)
+function spacecraft_rocket_equation_test() {
+	const spacecraft = spacecraft_in_orbit()
+	const exhaust_velocity = 300.0 * 9.80665
+
+	assert_close(
+		spacecraft.get_delta_velocity(),
+		exhaust_velocity * Math.log(2.0),
+		1e-9,
+		"The spacecraft Δv does not match the rocket equation!"
+	)
+	assert_close(
+		spacecraft.get_fuel_needed(spacecraft.get_delta_velocity(500.0)),
+		500.0,
+		1e-9,
+		"'get_fuel_needed' is not the inverse of 'get_delta_velocity'!"
+	)
+	assert_close(
+		spacecraft.get_burn_duration(spacecraft.get_delta_velocity()),
+		(1000.0 * exhaust_velocity) / 10000.0,
+		1e-9,
+		"The burn time of all the fuel does not match the mass flow!"
+	)
+}
+
+test(spacecraft_burn_test)
+function spacecraft_burn_test() {
+	const spacecraft = spacecraft_in_orbit()
+	const time = 600.0
+	const before = spacecraft.state_vectors(time)
+
+	// A prograde burn raises the opposite side of the orbit.
+	const speed = Math.hypot(before.velocity.x, before.velocity.y, before.velocity.z)
+	const prograde = {
+		x: (before.velocity.x / speed) * 100.0,
+		y: (before.velocity.y / speed) * 100.0,
+		z: (before.velocity.z / speed) * 100.0,
+	}
+	const delta_velocity = spacecraft.burn(time, prograde)
+	const after = spacecraft.state_vectors(time)
+
+	assert_close(delta_velocity, 100.0, 1e-9, "The burn did not make the requested Δv!")
+	assert_close(
+		after.position,
+		before.position,
+		1e-3,
+		`The burn moved the spacecraft! ${JSON.stringify(after.position)}`
+	)
+	assert_close(
+		Math.hypot(after.velocity.x, after.velocity.y, after.velocity.z),
+		speed + 100.0,
+		1e-6,
+		"The burn did not change the velocity!"
+	)
+	assert_close(
+		[spacecraft.orbit.periapsis(), spacecraft.body.get_mass()],
+		[7.0e6, 2000.0 * Math.exp(-100.0 / (300.0 * 9.80665))],
+		[1e-3, 1e-9],
+		"The burn did not raise the apoapsis and burn the fuel of the rocket equation!"
+	)
+
+	// Coasting after the burn follows the new orbit.
+	const period = spacecraft.orbit.orbital_period(spacecraft.parent.body)
+	assert_close(
+		spacecraft.state_vectors(time + period).position,
+		before.position,
+		1e-3,
+		"The spacecraft does not coast along its new orbit!"
+	)
+}
+
+test(spacecraft_empty_tanks_test)
+function spacecraft_empty_tanks_test() {
+	const spacecraft = spacecraft_in_orbit()
+	const available = spacecraft.get_delta_velocity()
+
+	// A burn larger than the fuel allows is cut short.
+	const delta_velocity = spacecraft.burn(0.0, { x: 0.0, y: 1.0e4, z: 0.0 })
+
+	assert_close(delta_velocity, available, 1e-9, "The burn was not cut short when out of fuel!")
+	assert_close(spacecraft.fuel_mass, 0.0, 1e-9, "The burn did not empty the tanks!")
+	assert(spacecraft.orbit.apoapsis() > 7.0e6, "The cut short burn did not change the orbit!")
+	assert.equal(
+		spacecraft.burn(10.0, { x: 0.0, y: 1.0, z: 0.0 }),
+		0.0,
+		"The empty spacecraft burnt!"
+	)
+}
+
+test(spacecraft_patched_conics_test)
+function spacecraft_patched_conics_test() {
+	const star = new Star(new Object({}), 0, 0, 1.0e10)
+	const planet = new Planet({ parent: star, radius: 0.1, mass: 1.0e8, semimajor_axis: 3 })
+	const spacecraft = new Spacecraft({
+		parent: star,
+		semimajor_axis: 5,
+		dry_mass: 1000.0,
+		specific_impulse: 300.0,
+		thrust: 20.0,
+	})
+
+	// Aim just outside the planet, well within its sphere of influence.
+	const arrival = planet.state_vectors(20.0).position
+	const aim = { x: arrival.x * 1.05, y: arrival.y * 1.05, z: 0.0 }
+	const from = { x: -5.0, y: 0.0, z: 0.0 }
+	const { departure_velocity } = solve_lambert(star.body, from, aim, 20.0)
+	spacecraft.set_state_vectors(0.0, from, departure_velocity)
+	const { orbit, epoch, mean_anomaly_at_epoch } = spacecraft
+
+	const canvas = { clock: { time: 0.0 }, project: point => point }
+	const step = time => {
+		canvas.clock.time = time
+		spacecraft.update(canvas)
+	}
+	step(0.0)
+	step(20.0)
+
+	assert.equal(spacecraft.parent, planet, "The spacecraft did not enter the sphere of influence!")
+	assert(
+		planet.children.includes(spacecraft) && !star.children.includes(spacecraft),
+		"The spacecraft did not move in the scene graph!"
+	)
+
+	// The new orbit starts at the boundary, where it matches the orbit around the star.
+	const entry = spacecraft.epoch
+	const inside = spacecraft.state_vectors(entry)
+	const frame = planet.state_vectors(entry)
+	const outside = orbit.state_vectors_at_time(star.body, entry, mean_anomaly_at_epoch, epoch)
+	assert(entry > 0.0 && entry < 20.0, `The spacecraft entered at the wrong time! ${entry}`)
+	assert_close(
+		Math.hypot(inside.position.x, inside.position.y) / planet.get_sphere_of_influence(),
+		1.0,
+		1e-6,
+		"The spacecraft did not enter at the edge of the sphere of influence!"
+	)
+	for (const key of ["position", "velocity"])
+		assert_close(
+			{
+				x: inside[key].x + frame[key].x,
+				y: inside[key].y + frame[key].y,
+				z: inside[key].z + frame[key].z,
+			},
+			outside[key],
+			1e-9,
+			`The spacecraft ${key} changed when entering the sphere of influence!`
+		)
+
+	// A single large step flies by the planet and back out again.
+	step(200.0)
+	assert.equal(spacecraft.parent, star, "The spacecraft did not leave the sphere of influence!")
+	assert(!planet.children.includes(spacecraft), "The spacecraft is still a child of the planet!")
+}
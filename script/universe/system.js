@@ -0,0 +1,358 @@
+/**The version of the star system format written by `save_system`.
+ */
+const SYSTEM_FORMAT_VERSION = 1
+
+/**The names of the orbit styles that map to the `draw_orbit_*` functions of `Orbit`.
+ */
+const ORBIT_STYLES = ["lines", "dashes", "dashes2", "points", "none"]
+
+/**The `SystemFormatError` class is thrown when a star system description is not valid.
+ * The `errors` array holds every problem found, each prefixed with the path to the offending value.
+ */
+class SystemFormatError extends Error {
+	/**Creates a `SystemFormatError` class listing every problem found in a star system description.
+	 *
+	 * @param {string[]} errors The problems found.
+	 */
+	constructor(errors) {
+		super(`Invalid star system:\n${errors.map(error => `- ${error}`).join("\n")}`)
+		this.name = "SystemFormatError"
+		this.errors = errors
+	}
+}
+
+/**The `validate_system` function checks a star system description and lists every problem found.
+ *
+ * A star system description is a JSON object of the form:
+ * ```
+ * {
+ *     "version": 1,
+ *     "bodies": [
+ *         { "name": "Sun", "type": "star", "mass": 1e10, "radius": 1, "position": { "x": 0, "y": 0 } },
+ *         {
+ *             "name": "Earth", "type": "planet", "parent": "Sun", "mass": 1e8, "radius": 0.25,
+ *             "orbit": { "semimajor_axis": 3, "eccentricity": 0.1 },
+ *             "style": { "fill": "#aaaaaa", "stroke": "#888888", "orbit": "dashes2" }
+ *         }
+ *     ]
+ * }
+ * ```
+ * The `orbit` can also have a `argument_of_periapsis`, `clockwise`, `inclination`,
+ * `longitude_of_ascending_node`, `epoch` and `mean_anomaly_at_epoch`.
+ * Planets marked `"free_flying": true`, like comets, switch parent when crossing a sphere of influence
+ * and can be on open trajectories.
+ *
+ * A `"spacecraft"` has a `parent` and `orbit` like a planet and is always free flying,
+ * but instead of a `mass` it has a `dry_mass`, `fuel_mass`, `specific_impulse` and `thrust`, see `Spacecraft`.
+ *
+ * @param {object} data The star system description.
+ * @returns {string[]} The problems found, empty if the description is valid.
+ */
+function validate_system(data) {
+	const errors = []
+	const is_number = value => typeof value === "number" && Number.isFinite(value)
+
+	if (typeof data !== "object" || data === null) return ["The star system must be a object."]
+
+	if (data.version !== SYSTEM_FORMAT_VERSION)
+		errors.push(
+			`version: Unsupported version ${JSON.stringify(
+				data.version
+			)}, expected ${SYSTEM_FORMAT_VERSION}.`
+		)
+
+	if (!Array.isArray(data.bodies) || data.bodies.length === 0) {
+		errors.push("bodies: Must be a non-empty array.")
+		return errors
+	}
+
+	const bodies = new Map()
+	data.bodies.forEach((body, i) => {
+		const path = `bodies[${i}]${typeof body?.name === "string" ? ` ("${body.name}")` : ""}`
+
+		if (typeof body !== "object" || body === null) {
+			errors.push(`${path}: Must be a object.`)
+			return
+		}
+
+		if (typeof body.name !== "string" || body.name === "")
+			errors.push(`${path}.name: Must be a non-empty string.`)
+		else if (bodies.has(body.name)) errors.push(`${path}.name: Duplicate name "${body.name}".`)
+		else bodies.set(body.name, body)
+
+		if (body.type !== "star" && body.type !== "planet" && body.type !== "spacecraft")
+			errors.push(
+				`${path}.type: Unknown type ${JSON.stringify(
+					body.type
+				)}, expected "star", "planet" or "spacecraft".`
+			)
+
+		if (body.type !== "spacecraft" && (!is_number(body.mass) || body.mass <= 0))
+			errors.push(
+				`${path}.mass: Must be a positive number, got ${JSON.stringify(body.mass)}.`
+			)
+
+		if (!is_number(body.radius) || body.radius <= 0)
+			errors.push(
+				`${path}.radius: Must be a positive number, got ${JSON.stringify(body.radius)}.`
+			)
+
+		if (body.style !== undefined) {
+			if (typeof body.style !== "object" || body.style === null)
+				errors.push(`${path}.style: Must be a object.`)
+			else {
+				for (const key of ["fill", "stroke"])
+					if (body.style[key] !== undefined && typeof body.style[key] !== "string")
+						errors.push(`${path}.style.${key}: Must be a color string.`)
+
+				if (body.style.orbit !== undefined && !ORBIT_STYLES.includes(body.style.orbit))
+					errors.push(
+						`${path}.style.orbit: Unknown orbit style ${JSON.stringify(
+							body.style.orbit
+						)}, expected one of ${ORBIT_STYLES.join(", ")}.`
+					)
+			}
+		}
+
+		if (body.type === "star") {
+			if (body.parent !== undefined)
+				errors.push(`${path}.parent: A star can not have a parent.`)
+
+			if (
+				body.position !== undefined &&
+				!(is_number(body.position?.x) && is_number(body.position?.y))
+			)
+				errors.push(`${path}.position: Must be a object with numeric x and y.`)
+		}
+
+		if (body.type === "spacecraft") {
+			for (const key of ["dry_mass", "specific_impulse", "thrust"])
+				if (!is_number(body[key]) || body[key] <= 0)
+					errors.push(
+						`${path}.${key}: Must be a positive number, got ${JSON.stringify(
+							body[key]
+						)}.`
+					)
+
+			if (!is_number(body.fuel_mass) || body.fuel_mass < 0)
+				errors.push(
+					`${path}.fuel_mass: Must be a number of at least 0, got ${JSON.stringify(
+						body.fuel_mass
+					)}.`
+				)
+		}
+
+		if (body.type === "planet" || body.type === "spacecraft") {
+			if (typeof body.parent !== "string")
+				errors.push(`${path}.parent: A ${body.type} must have a parent name.`)
+
+			const orbit = body.orbit
+			if (typeof orbit !== "object" || orbit === null) {
+				errors.push(`${path}.orbit: A ${body.type} must have a orbit object.`)
+				return
+			}
+
+			if (!is_number(orbit.semimajor_axis) || orbit.semimajor_axis <= 0)
+				errors.push(
+					`${path}.orbit.semimajor_axis: Must be a positive number, got ${JSON.stringify(
+						orbit.semimajor_axis
+					)}.`
+				)
+
+			if (body.free_flying !== undefined && typeof body.free_flying !== "boolean")
+				errors.push(`${path}.free_flying: Must be a boolean.`)
+
+			const eccentricity = orbit.eccentricity ?? 0
+			if (!is_number(eccentricity) || eccentricity < 0)
+				errors.push(
+					`${path}.orbit.eccentricity: Must be a number of at least 0, got ${JSON.stringify(
+						orbit.eccentricity
+					)}.`
+				)
+			else if (eccentricity >= 1 && body.type === "planet" && body.free_flying !== true)
+				errors.push(
+					`${path}.orbit.eccentricity: A planet must be on a closed orbit with 0 <= e < 1, got ${JSON.stringify(
+						orbit.eccentricity
+					)}.`
+				)
+
+			for (const key of [
+				"argument_of_periapsis",
+				"inclination",
+				"longitude_of_ascending_node",
+				"epoch",
+				"mean_anomaly_at_epoch",
+			])
+				if (orbit[key] !== undefined && !is_number(orbit[key]))
+					errors.push(
+						`${path}.orbit.${key}: Must be a number, got ${JSON.stringify(orbit[key])}.`
+					)
+
+			if (orbit.clockwise !== undefined && typeof orbit.clockwise !== "boolean")
+				errors.push(`${path}.orbit.clockwise: Must be a boolean.`)
+		}
+	})
+
+	// Parents must exist and must not loop back on themselves.
+	data.bodies.forEach((body, i) => {
+		if (body?.type === "star" || typeof body?.parent !== "string") return
+
+		const path = `bodies[${i}] ("${body.name}")`
+		if (!bodies.has(body.parent)) {
+			errors.push(`${path}.parent: Unknown parent "${body.parent}".`)
+			return
+		}
+
+		const visited = new Set([body.name])
+		for (let parent = bodies.get(body.parent); parent; parent = bodies.get(parent.parent)) {
+			if (visited.has(parent.name)) {
+				errors.push(
+					`${path}.parent: The parent "${body.parent}" loops back to "${parent.name}".`
+				)
+				break
+			}
+			visited.add(parent.name)
+		}
+	})
+
+	return errors
+}
+
+/**The `load_system` function instantiates the `Star`, `Planet` and `Spacecraft` tree of a star system description.
+ * Parents are created before their children regardless of the order in the description.
+ *
+ * @param {Canvas} canvas The canvas to add the stars to.
+ * @param {object} data The star system description.
+ * @returns {Object[]} The created bodies in the order of the description.
+ * @throws {SystemFormatError} If the description is not valid.
+ */
+function load_system(canvas, data) {
+	const errors = validate_system(data)
+	if (errors.length > 0) throw new SystemFormatError(errors)
+
+	const descriptions = new Map(data.bodies.map(body => [body.name, body]))
+	const created = new Map()
+
+	const create = body => {
+		if (created.has(body.name)) return created.get(body.name)
+
+		let entity
+		if (body.type === "star") {
+			const { x = 0, y = 0 } = body.position ?? {}
+			entity = new Star(canvas, x, y, body.mass, body.radius)
+			entity.name = body.name
+			entity.style = { ...STAR_STYLE, ...body.style }
+		} else if (body.type === "spacecraft")
+			entity = new Spacecraft({
+				...body.orbit,
+				parent: create(descriptions.get(body.parent)),
+				name: body.name,
+				radius: body.radius,
+				style: body.style,
+				dry_mass: body.dry_mass,
+				fuel_mass: body.fuel_mass,
+				specific_impulse: body.specific_impulse,
+				thrust: body.thrust,
+			})
+		else
+			entity = new Planet({
+				...body.orbit,
+				parent: create(descriptions.get(body.parent)),
+				name: body.name,
+				mass: body.mass,
+				radius: body.radius,
+				style: body.style,
+				free_flying: body.free_flying,
+			})
+
+		created.set(body.name, entity)
+		return entity
+	}
+
+	return data.bodies.map(body => create(body))
+}
+
+/**The `save_system` function writes the `Star`, `Planet` and `Spacecraft` tree of a canvas back out as a star system description.
+ * Unnamed bodies are given a name so that they can be referenced as parents.
+ *
+ * @param {Canvas} canvas The canvas to save the stars of.
+ * @returns {object} The star system description.
+ */
+function save_system(canvas) {
+	const bodies = []
+	const names = new Set()
+
+	// Masses are stored as a gravitational parameter so they are rounded to hide the conversion error.
+	const round = value => Number(value.toPrecision(15))
+
+	const recursive = (entity, parent_name) => {
+		if (!(entity instanceof Star || entity instanceof Planet || entity instanceof Spacecraft))
+			return
+
+		let name = entity.name
+		for (let i = bodies.length + 1; !name || names.has(name); i++) name = `Body ${i}`
+		names.add(name)
+
+		if (entity instanceof Star)
+			bodies.push({
+				name,
+				type: "star",
+				mass: round(entity.body.get_mass()),
+				radius: entity.radius,
+				position: { x: entity.x || 0, y: entity.y || 0 },
+				style: { ...entity.style },
+			})
+		else {
+			const orbit = entity.orbit
+			const description = {
+				name,
+				type: "planet",
+				parent: parent_name,
+				mass: round(entity.body.get_mass()),
+				radius: entity.radius,
+				orbit: {
+					semimajor_axis: orbit.semimajor_axis,
+					eccentricity: orbit.eccentricity,
+					argument_of_periapsis: orbit.argument_of_periapsis,
+					clockwise: orbit.clockwise,
+					inclination: orbit.inclination,
+					longitude_of_ascending_node: orbit.longitude_of_ascending_node,
+					epoch: entity.epoch,
+					mean_anomaly_at_epoch: entity.mean_anomaly_at_epoch,
+				},
+				style: { ...entity.style },
+			}
+			// The mass of a spacecraft follows from its fuel, which is kept exact so burns replay the same.
+			if (entity instanceof Spacecraft) {
+				description.type = "spacecraft"
+				delete description.mass
+				description.dry_mass = entity.dry_mass
+				description.fuel_mass = entity.fuel_mass
+				description.specific_impulse = entity.specific_impulse
+				description.thrust = entity.thrust
+			} else if (entity.free_flying) description.free_flying = true
+			bodies.push(description)
+		}
+
+		entity.children.forEach(child => recursive(child, name))
+	}
+	canvas.children.forEach(child => recursive(child, null))
+
+	return { version: SYSTEM_FORMAT_VERSION, bodies }
+}
+
+/**The `list_bodies` function lists every object with a `body` in the scene graph of a canvas, depth first,
+ * which is the order `save_system` writes them in.
+ *
+ * @param {Canvas} canvas The canvas to list the objects of.
+ * @returns {Object[]} The stars, planets and spacecraft.
+ */
+function list_bodies(canvas) {
+	const found = []
+	const recursive = entity => {
+		if (entity.body) found.push(entity)
+		entity.children?.forEach(recursive)
+	}
+	canvas.children.forEach(recursive)
+	return found
+}
@@ -0,0 +1,223 @@
+/**A small star system description used by the tests below.
+ */
+const TEST_SYSTEM = {
+	version: 1,
+	bodies: [
+		{
+			name: "Moon",
+			type: "planet",
+			parent: "Earth",
+			mass: 1.0e7,
+			radius: 0.1,
+			orbit: { semimajor_axis: 1.25, eccentricity: 0.25 },
+		},
+		{
+			name: "Sun",
+			type: "star",
+			mass: 1.0e10,
+			radius: 1.0,
+			position: { x: 1.0, y: -2.0 },
+			style: { fill: "#ffffff" },
+		},
+		{
+			name: "Earth",
+			type: "planet",
+			parent: "Sun",
+			mass: 1.0e9,
+			radius: 0.5,
+			orbit: {
+				semimajor_axis: 7,
+				eccentricity: 0.1,
+				argument_of_periapsis: 0.5,
+				clockwise: true,
+				inclination: 0.2,
+				longitude_of_ascending_node: 1.5,
+				epoch: 10,
+				mean_anomaly_at_epoch: Math.PI,
+			},
+			style: { orbit: "lines" },
+		},
+	],
+}
+
+test(load_system_test)
+function load_system_test() {
+	const root = new Object({})
+	const [moon, sun, earth] = load_system(root, TEST_SYSTEM)
+
+	assert(sun instanceof Star && sun.parent === root, "The star was not added to the root!")
+	assert(earth.parent === sun, "The parent of 'Earth' is not 'Sun'!")
+	assert(moon.parent === earth, "The parent of 'Moon' listed before its parent is not 'Earth'!")
+	assert.deepEqual(
+		{ x: sun.x, y: sun.y },
+		{ x: 1.0, y: -2.0 },
+		"The star position does not match!"
+	)
+	assert_close(sun.body.get_mass(), 1.0e10, 1e-3, "The star mass does not match!")
+	const sun_style = { ...STAR_STYLE, fill: "#ffffff" }
+	assert.deepEqual(sun.style, sun_style, "The star style was not merged with the defaults!")
+	const earth_style = { ...PLANET_STYLE, orbit: "lines" }
+	assert.deepEqual(earth.style, earth_style, "The planet style was not merged with the defaults!")
+	assert.equal(earth.orbit.eccentricity, 0.1, "The planet eccentricity does not match!")
+	assert.equal(earth.epoch, 10, "The planet epoch does not match!")
+}
+
+test(save_system_round_trip_test)
+function save_system_round_trip_test() {
+	const root = new Object({})
+	load_system(root, TEST_SYSTEM)
+	const saved = save_system(root)
+
+	assert(validate_system(saved).length === 0, "The saved star system is not valid!")
+	assert.deepEqual(
+		saved.bodies.map(body => body.name),
+		["Sun", "Earth", "Moon"],
+		"The saved bodies are not in parent first order!"
+	)
+
+	const earth = saved.bodies[1]
+	assert.equal(earth.mass, 1.0e9, "The saved mass is not rounded!")
+	assert(!("free_flying" in earth), "The planet that is not free flying was saved as one!")
+	assert.deepEqual(earth.orbit, TEST_SYSTEM.bodies[2].orbit, "The saved orbit does not match!")
+
+	// Loading the saved system again has to give the same system.
+	const again = new Object({})
+	load_system(again, saved)
+	assert(
+		JSON.stringify(save_system(again)) === JSON.stringify(saved),
+		"The saved star system does not survive a round trip!"
+	)
+}
+
+test(save_system_free_flying_test)
+function save_system_free_flying_test() {
+	const root = new Object({})
+	const [moon] = load_system(root, {
+		...TEST_SYSTEM,
+		bodies: TEST_SYSTEM.bodies.map((body, i) =>
+			i === 0 ? { ...body, free_flying: true } : body
+		),
+	})
+	assert(moon.free_flying, "The free flying planet was not loaded as one!")
+
+	const saved = save_system(root)
+	assert.equal(saved.bodies[2].free_flying, true, "The free flying planet was not saved as one!")
+}
+
+test(save_system_spacecraft_test)
+function save_system_spacecraft_test() {
+	const root = new Object({})
+	const bodies = load_system(root, {
+		...TEST_SYSTEM,
+		bodies: [
+			...TEST_SYSTEM.bodies,
+			{
+				name: "Probe",
+				type: "spacecraft",
+				parent: "Earth",
+				radius: 0.05,
+				dry_mass: 1000,
+				fuel_mass: 0.1,
+				specific_impulse: 300,
+				thrust: 20,
+				orbit: { semimajor_axis: 0.5 },
+			},
+		],
+	})
+	const probe = bodies[3]
+	assert(
+		probe instanceof Spacecraft && probe.parent === bodies[2],
+		"The spacecraft was not loaded!"
+	)
+	assert(probe.free_flying, "The spacecraft is not free flying!")
+
+	// The fuel is saved exactly so a burn is not lost to rounding.
+	probe.burn(0.0, { x: 0.01, y: 0.0 })
+	const saved = save_system(root).bodies.find(body => body.name === "Probe")
+	assert.equal(saved.fuel_mass, probe.fuel_mass, "The fuel left was not saved!")
+	assert(!("mass" in saved), "The spacecraft mass was saved next to its fuel!")
+	assert.equal(saved.type, "spacecraft", "The spacecraft was saved as a planet!")
+}
+
+test(save_system_unnamed_test)
+function save_system_unnamed_test() {
+	const root = new Object({})
+	const star = new Star(root, 0, 0, 1.0e10)
+	new Planet({ parent: star, radius: 0.25, mass: 1.0e8, semimajor_axis: 3 })
+	const saved = save_system(root)
+
+	assert(validate_system(saved).length === 0, "The saved unnamed star system is not valid!")
+	assert.deepEqual(
+		saved.bodies.map(body => body.name),
+		["Body 1", "Body 2"],
+		"The unnamed bodies were not given unique names!"
+	)
+	assert.equal(saved.bodies[1].parent, "Body 1", "The unnamed planet parent does not match!")
+}
+
+test(validate_system_test)
+function validate_system_test() {
+	const with_body = (i, changes) => ({
+		...TEST_SYSTEM,
+		bodies: TEST_SYSTEM.bodies.map((body, j) => (i === j ? { ...body, ...changes } : body)),
+	})
+	const expect_error = (data, expected) => {
+		const errors = validate_system(data)
+		assert(
+			errors.some(error => error.includes(expected)),
+			`The error '${expected}' was not reported! Got: ${errors.join(" ")}`
+		)
+	}
+
+	assert(validate_system(TEST_SYSTEM).length === 0, "The test star system is not valid!")
+
+	expect_error({ ...TEST_SYSTEM, version: 2 }, "version: Unsupported version 2")
+	expect_error({ version: 1, bodies: [] }, "bodies: Must be a non-empty array.")
+	expect_error(
+		with_body(0, { parent: "Eart" }),
+		'bodies[0] ("Moon").parent: Unknown parent "Eart".'
+	)
+	expect_error(with_body(0, { name: "Sun" }), 'bodies[1] ("Sun").name: Duplicate name "Sun".')
+	expect_error(with_body(0, { type: "moon" }), 'bodies[0] ("Moon").type: Unknown type "moon"')
+	expect_error(with_body(1, { mass: 0 }), 'bodies[1] ("Sun").mass: Must be a positive number')
+	expect_error(
+		with_body(1, { radius: -1 }),
+		'bodies[1] ("Sun").radius: Must be a positive number'
+	)
+	expect_error(with_body(1, { parent: "Earth" }), "A star can not have a parent.")
+	expect_error(
+		with_body(0, { orbit: { semimajor_axis: 1.25, eccentricity: 1.5 } }),
+		'bodies[0] ("Moon").orbit.eccentricity: A planet must be on a closed orbit'
+	)
+	expect_error(
+		with_body(0, { free_flying: "yes" }),
+		'bodies[0] ("Moon").free_flying: Must be a boolean'
+	)
+	assert(
+		validate_system(
+			with_body(0, { free_flying: true, orbit: { semimajor_axis: 1.25, eccentricity: 1.5 } })
+		).length === 0,
+		"A free flying planet on a open trajectory is not valid!"
+	)
+	expect_error(
+		with_body(0, { orbit: { semimajor_axis: 1.25, inclination: "0.2" } }),
+		'bodies[0] ("Moon").orbit.inclination: Must be a number'
+	)
+	expect_error(with_body(0, { parent: "Moon" }), 'The parent "Moon" loops back to "Moon".')
+	expect_error(with_body(0, { style: { orbit: "zigzag" } }), 'Unknown orbit style "zigzag"')
+	expect_error(
+		with_body(0, { type: "spacecraft", dry_mass: 1000, fuel_mass: -1, thrust: 20 }),
+		'bodies[0] ("Moon").fuel_mass: Must be a number of at least 0'
+	)
+	expect_error(
+		with_body(0, { type: "spacecraft", dry_mass: 1000, fuel_mass: 0, thrust: 20 }),
+		'bodies[0] ("Moon").specific_impulse: Must be a positive number'
+	)
+
+	// The loader reports every problem at once.
+	assert.throws(
+		() => load_system(new Object({}), with_body(0, { mass: -1, radius: 0 })),
+		error => error instanceof SystemFormatError && error.errors.length === 2,
+		"The 'load_system' did not throw a 'SystemFormatError' listing every problem!"
+	)
+}
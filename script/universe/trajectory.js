@@ -0,0 +1,264 @@
+/**The colors the segments of a predicted trajectory cycle through, one for each parent they are drawn around.
+ */
+const TRAJECTORY_COLORS = ["#ffcc66", "#66ffcc", "#cc88ff", "#ff8888"]
+
+/**The labels drawn next to the markers of a predicted trajectory.
+ */
+const TRAJECTORY_MARKERS = {
+	periapsis: "Pe",
+	apoapsis: "Ap",
+	closest_approach: "Closest",
+	soi_entry: "Enter",
+	soi_exit: "Exit",
+}
+
+/**The `predict_trajectory` function predicts the path of a object for the next few orbits, or until it leaves them
+ * for another sphere of influence. Objects that are `free_flying` are followed along the _patched conics_ after it,
+ * while others are expected to stay around their parent.
+ *
+ * The path is split into `segments` by parent, each a conic with the `parent`, `orbit`, `epoch`, `mean_anomaly_at_epoch`,
+ * and the `from` and `to` time it is flown. The `markers` have a `type` from `TRAJECTORY_MARKERS`, the `time`,
+ * and the `parent` and `position` the marker is drawn at.
+ *
+ * @param {Orbit} entity The object to predict.
+ * @param {number} time The time in seconds to start at.
+ * @param {number} orbits The number of orbits predicted when the path stays around the same parent.
+ * @param {Orbit} target The object to mark the closest approach to, if any.
+ * @param {number} max_segments The most segments predicted.
+ * @param {number} samples The number of times each segment is checked for encounters.
+ * @returns {object} Object with the `segments` and `markers` of the predicted path.
+ */
+function predict_trajectory(
+	entity,
+	time,
+	orbits = 2,
+	target = null,
+	max_segments = 4,
+	samples = 256
+) {
+	const segments = []
+	const markers = []
+	let closest = null
+
+	let segment = {
+		parent: entity.parent,
+		orbit: entity.orbit,
+		epoch: entity.epoch,
+		mean_anomaly_at_epoch: entity.mean_anomaly_at_epoch,
+		from: time,
+		to: time,
+	}
+
+	while (segments.length < max_segments) {
+		const { parent, orbit } = segment
+		const state_vectors = time =>
+			orbit.state_vectors_at_time(
+				parent.body,
+				time,
+				segment.mean_anomaly_at_epoch,
+				segment.epoch
+			)
+		const time_at = angle =>
+			orbit.time_at_true_anomaly(
+				parent.body,
+				new TrueAnomaly(angle),
+				segment.from,
+				segment.mean_anomaly_at_epoch,
+				segment.epoch
+			)
+
+		// Orbits that stay within the sphere of influence are flown a few times,
+		// open ones until they leave it, or reach the drawn radius around a star.
+		const sphere_of_influence = parent.get_sphere_of_influence?.() ?? Infinity
+		const max_radius = Number.isFinite(sphere_of_influence)
+			? sphere_of_influence
+			: orbit.periapsis() * 20.0
+		if (orbit.is_elliptic() && orbit.apoapsis() < max_radius)
+			segment.to = segment.from + orbits * orbit.orbital_period(parent.body)
+		else segment.to = time_at(orbit.max_true_anomaly(max_radius)) ?? segment.from
+
+		// Look for the first crossing into another sphere of influence, slightly past the end of open orbits.
+		const change_at = time => {
+			if (!entity.free_flying) return null
+			const { position, velocity } = state_vectors(time)
+			return sphere_of_influence_at(parent, position, velocity, time, entity)
+		}
+		const duration = segment.to - segment.from
+		const step = (duration * (1.0 + 1e-6)) / samples
+		let change = null
+		for (let i = 1; i <= samples && !change; i++) {
+			const sample = segment.from + step * i
+			if (!change_at(sample)) continue
+
+			const crossing = find_crossing_time(
+				sample - step,
+				sample,
+				time => change_at(time) !== null
+			)
+			change = change_at(crossing)
+			segment.to = crossing
+		}
+
+		segments.push(segment)
+
+		// The apsides passed along the segment.
+		for (const [type, angle] of [
+			["periapsis", 0.0],
+			["apoapsis", Math.PI],
+		]) {
+			if (type === "apoapsis" && !orbit.is_elliptic()) continue
+
+			const time = time_at(angle)
+			if (time !== null && time <= segment.to)
+				markers.push({ type, time, parent, position: state_vectors(time).position })
+		}
+
+		// The closest approach to the target while around the same parent.
+		if (target?.parent === parent) {
+			const distance = time => {
+				const { position } = state_vectors(time)
+				const other = target.state_vectors(time).position
+				return vector_length(vector_subtract(position, other))
+			}
+
+			let best = segment.from
+			for (let i = 1; i <= samples; i++) {
+				const sample = segment.from + (duration * i) / samples
+				if (sample <= segment.to && distance(sample) < distance(best)) best = sample
+			}
+
+			// Golden section search around the best sample.
+			let low = Math.max(best - duration / samples, segment.from)
+			let high = Math.min(best + duration / samples, segment.to)
+			const ratio = (Math.sqrt(5.0) - 1.0) / 2.0
+			for (let i = 0; i < 48; i++) {
+				const a = high - (high - low) * ratio
+				const b = low + (high - low) * ratio
+				if (distance(a) < distance(b)) high = b
+				else low = a
+			}
+			const time = (low + high) / 2.0
+
+			if (!closest || distance(time) < closest.distance)
+				closest = {
+					type: "closest_approach",
+					time,
+					parent,
+					position: state_vectors(time).position,
+					distance: distance(time),
+				}
+		}
+
+		if (!change) break
+
+		markers.push({
+			type: change.parent === parent.parent ? "soi_exit" : "soi_entry",
+			time: segment.to,
+			parent,
+			position: state_vectors(segment.to).position,
+			body: change.parent === parent.parent ? parent : change.parent,
+		})
+
+		const next_orbit = KeplerianOrbit.from_state_vectors(
+			change.parent.body,
+			change.position,
+			change.velocity
+		)
+		segment = {
+			parent: change.parent,
+			orbit: next_orbit,
+			epoch: segment.to,
+			mean_anomaly_at_epoch: next_orbit
+				.true_anomaly_at_point(change.position)
+				.mean_anomaly(next_orbit).angle,
+			from: segment.to,
+			to: segment.to,
+		}
+	}
+
+	if (closest) markers.push(closest)
+	markers.sort((a, b) => a.time - b.time)
+
+	return { segments, markers }
+}
+
+/**The `draw_trajectory` function draws a path from `predict_trajectory`, each segment in the frame of its parent
+ * using the `transform` recorded for the parent during the last `Canvas.redraw`.
+ * The markers are drawn in pixels with a label and the time left until they are reached.
+ *
+ * @param {Canvas} canvas The canvas to draw on.
+ * @param {Orbit} entity The predicted object.
+ * @param {object} prediction The path from `predict_trajectory`.
+ * @param {number} width The line width.
+ */
+function draw_trajectory(canvas, entity, prediction, width = 0.02) {
+	const context = canvas.context
+
+	prediction.segments.forEach((segment, i) => {
+		const { parent, orbit } = segment
+		if (!parent.transform) return
+
+		const true_anomaly = time =>
+			orbit
+				.mean_anomaly_at_time(
+					parent.body,
+					time,
+					segment.mean_anomaly_at_epoch,
+					segment.epoch
+				)
+				.true_anomaly(orbit).angle
+
+		// Elliptic segments wrap around, so the end is taken ahead of the start.
+		const from = true_anomaly(segment.from)
+		let to = true_anomaly(segment.to)
+		if (orbit.is_elliptic()) {
+			const revolution = Math.PI * 2.0
+			const full = segment.to - segment.from >= orbit.orbital_period(parent.body)
+			to = full
+				? from + revolution
+				: from + ((((to - from) % revolution) + revolution) % revolution)
+		}
+
+		context.save()
+		context.setTransform(parent.transform)
+		entity.transform_orbital_plane(canvas, orbit)
+
+		context.strokeStyle = TRAJECTORY_COLORS[i % TRAJECTORY_COLORS.length]
+		context.lineWidth = width
+		context.setLineDash([width * 2.0, width * 2.0])
+		context.beginPath()
+		entity.trace_orbit_arc(context, from, to, 128, orbit)
+		context.stroke()
+		context.restore()
+	})
+
+	context.save()
+	context.setTransform(1, 0, 0, 1, 0, 0)
+	context.font = "10px 'Kode Mono', monospace"
+	context.fillStyle = "#ffffff"
+	context.strokeStyle = "#ffffff"
+	context.lineWidth = 1.0
+
+	for (const marker of prediction.markers) {
+		if (!marker.parent.transform) continue
+
+		const { a, b, c, d, e, f } = marker.parent.transform
+		const point = canvas.project(marker.position)
+		const x = a * point.x + c * point.y + e
+		const y = b * point.x + d * point.y + f
+
+		context.beginPath()
+		context.moveTo(x, y - 4.0)
+		context.lineTo(x + 4.0, y)
+		context.lineTo(x, y + 4.0)
+		context.lineTo(x - 4.0, y)
+		context.closePath()
+		context.stroke()
+
+		const name = marker.body ? ` ${marker.body.name ?? marker.body.constructor.name}` : ""
+		const time = formatDuration(marker.time - canvas.clock.time)
+		context.fillText(`${TRAJECTORY_MARKERS[marker.type]}${name} T-${time}`, x + 6.0, y - 6.0)
+	}
+
+	context.restore()
+}
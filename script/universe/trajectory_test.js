@@ -0,0 +1,123 @@
+/**Creates a star with a planet, and a spacecraft aimed to pass the planet at a distance after 20 seconds.
+ *
+ * @param {number} distance The distance the spacecraft is aimed past the orbit of the planet.
+ * @returns {object} Object with the `star`, `planet` and `spacecraft`.
+ */
+function trajectory_flyby(distance) {
+	const star = new Star(new Object({}), 0, 0, 1.0e10)
+	const planet = new Planet({ parent: star, radius: 0.1, mass: 1.0e8, semimajor_axis: 3 })
+	const spacecraft = new Spacecraft({
+		parent: star,
+		semimajor_axis: 5,
+		dry_mass: 1000.0,
+		specific_impulse: 300.0,
+		thrust: 20.0,
+	})
+
+	const arrival = planet.state_vectors(20.0).position
+	const scale = 1.0 + distance / 3.0
+	const aim = { x: arrival.x * scale, y: arrival.y * scale, z: 0.0 }
+	const from = { x: -5.0, y: 0.0, z: 0.0 }
+	const { departure_velocity } = solve_lambert(star.body, from, aim, 20.0)
+	spacecraft.set_state_vectors(0.0, from, departure_velocity)
+
+	return { star, planet, spacecraft }
+}
+
+test(trajectory_apsides_test)
+function trajectory_apsides_test() {
+	const star = new Star(new Object({}), 0, 0, 1.0e10)
+	const planet = new Planet({
+		parent: star,
+		radius: 0.1,
+		mass: 1.0e8,
+		semimajor_axis: 3,
+		eccentricity: 0.5,
+		mean_anomaly_at_epoch: 1.0,
+	})
+	const period = planet.orbit.orbital_period(star.body)
+	const { segments, markers } = predict_trajectory(planet, 0.0, 2)
+
+	assert.equal(segments.length, 1, "The planet path was split into segments!")
+	assert_close(segments[0].to, period * 2.0, 1e-9, "The planet path is not two orbits long!")
+	assert.deepEqual(
+		markers.map(marker => marker.type),
+		["apoapsis", "periapsis"],
+		"The planet path does not mark the next apsides!"
+	)
+	assert_close(
+		[markers[0].time, markers[1].time],
+		[
+			((Math.PI - 1.0) / (Math.PI * 2.0)) * period,
+			((Math.PI * 2.0 - 1.0) / (Math.PI * 2.0)) * period,
+		],
+		1e-9,
+		"The apsides are marked at the wrong times!"
+	)
+	assert_close(
+		Math.hypot(markers[0].position.x, markers[0].position.y),
+		planet.orbit.apoapsis(),
+		1e-9,
+		"The apoapsis is marked at the wrong position!"
+	)
+}
+
+test(trajectory_encounter_test)
+function trajectory_encounter_test() {
+	const { star, planet, spacecraft } = trajectory_flyby(0.15)
+	const { segments, markers } = predict_trajectory(spacecraft, 0.0)
+
+	assert.deepEqual(
+		segments.slice(0, 3).map(segment => segment.parent),
+		[star, planet, star],
+		"The predicted path does not fly by the planet!"
+	)
+	const entry = markers.find(marker => marker.type === "soi_entry")
+	const exit = markers.find(marker => marker.type === "soi_exit")
+	assert(entry?.body === planet && exit?.body === planet, "The flyby is not marked!")
+
+	// The prediction matches the spacecraft when it is flown.
+	const canvas = { clock: { time: 0.0 }, project: point => point }
+	spacecraft.update(canvas)
+	canvas.clock.time = 20.0
+	spacecraft.update(canvas)
+	assert.equal(spacecraft.parent, planet, "The spacecraft did not fly by the planet!")
+	assert_close(
+		entry.time,
+		spacecraft.epoch,
+		1e-6,
+		"The predicted encounter is at the wrong time!"
+	)
+	assert_close(
+		segments[1].orbit.eccentricity,
+		spacecraft.orbit.eccentricity,
+		1e-6,
+		"The predicted flyby does not match the flown one!"
+	)
+}
+
+test(trajectory_closest_approach_test)
+function trajectory_closest_approach_test() {
+	const { star, planet, spacecraft } = trajectory_flyby(1.0)
+	const { segments, markers } = predict_trajectory(spacecraft, 0.0, 2, planet)
+
+	assert(
+		segments.every(segment => segment.parent === star),
+		"The spacecraft entered the sphere of influence it should miss!"
+	)
+	const closest = markers.find(marker => marker.type === "closest_approach")
+	assert(closest, "The closest approach is not marked!")
+
+	// No time along the path comes closer.
+	const distance = time => {
+		const { position } = spacecraft.state_vectors(time)
+		const other = planet.state_vectors(time).position
+		return Math.hypot(position.x - other.x, position.y - other.y)
+	}
+	for (let time = 0.0; time < segments[0].to; time += segments[0].to / 2000.0)
+		assert(
+			distance(time) >= closest.distance - 1e-9,
+			`The path comes closer than the closest approach at ${time}!`
+		)
+	assert_close(distance(closest.time), closest.distance, 1e-9, "The closest approach is wrong!")
+}
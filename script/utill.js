@@ -21,7 +21,8 @@ function makeNode(input) {
 
 	const { tagName, parent, class: class_, childNodes, ...data } = input
 	const e = document.createElement(tagName)
-	if (data) for (const [key, value] of Object.entries(data)) e[key] = value
+	// `Object` is shadowed by the canvas `Object` class so the keys are iterated directly.
+	if (data) for (const key in data) e[key] = data[key]
 
 	if (class_) {
 		if (typeof class_ === "string") e.classList.add(class_)
@@ -47,3 +48,52 @@ function makeNode(input) {
 function clearNode(node) {
 	while (node.firstChild) node.removeChild(node.firstChild)
 }
+
+/**
+ * Formats a number with a unit, using exponential notation for very large or small values.
+ *
+ * @example
+ * // returns "6.371e+6 m".
+ * formatQuantity(6371000, "m")
+ *
+ * @param {number} value - The number.
+ * @param {string} unit - The unit placed after the number.
+ * @param {number} precision - The number of significant digits.
+ * @returns {string} Returns the formatted number.
+ */
+function formatQuantity(value, unit = "", precision = 4) {
+	if (value === Infinity) return unit ? `∞ ${unit}` : "∞"
+	if (!Number.isFinite(value)) return "—"
+
+	const magnitude = Math.abs(value)
+	const text =
+		magnitude !== 0 && (magnitude >= 1e6 || magnitude < 1e-3)
+			? value.toExponential(precision - 1)
+			: value.toPrecision(precision)
+
+	return unit ? `${text} ${unit}` : text
+}
+
+/**
+ * Formats a duration in seconds using the largest fitting unit.
+ *
+ * @example
+ * // returns "1.5 h".
+ * formatDuration(5400)
+ *
+ * @param {number} seconds - The duration in seconds.
+ * @returns {string} Returns the formatted duration.
+ */
+function formatDuration(seconds) {
+	if (!Number.isFinite(seconds)) return formatQuantity(seconds)
+
+	const units = [
+		["yr", 31557600],
+		["d", 86400],
+		["h", 3600],
+		["min", 60],
+	]
+	const [unit, size] = units.find(([, size]) => Math.abs(seconds) >= size) ?? ["s", 1]
+
+	return formatQuantity(seconds / size, unit, 3)
+}